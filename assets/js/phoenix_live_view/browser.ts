@@ -1,8 +1,28 @@
+export type HistoryMeta = {
+  type: string;
+  scroll?: number;
+  id?: string;
+  position?: number;
+  transition?: string | null;
+};
+
+// marks the navigations started by pushState when using the Navigation API
+export const NAVIGATION_COMMIT = "phx:commit";
+
 const Browser = {
+  // set by the LiveSocket when live navigation uses the Navigation API; history
+  // state is then kept in the navigation history entries instead of history.state
+  navigation: null as Navigation | null,
+
   canPushState() {
     return typeof history.pushState !== "undefined";
   },
 
+  // deferring the commit of intercepted navigations requires precommit handlers
+  canUseNavigation() {
+    return "navigation" in window && "NavigationPrecommitController" in window;
+  },
+
   dropLocal(localStorage, namespace, subkey) {
     return localStorage.removeItem(this.localKey(namespace, subkey));
   },
@@ -19,7 +39,20 @@ const Browser = {
     return JSON.parse(localStorage.getItem(this.localKey(namespace, subkey)));
   },
 
+  getCurrentState() {
+    if (this.navigation) {
+      return this.navigation.currentEntry?.getState() ?? null;
+    }
+    return history.state;
+  },
+
   updateCurrentState(callback) {
+    if (this.navigation) {
+      this.navigation.updateCurrentEntry({
+        state: callback(this.getCurrentState() || {}),
+      });
+      return;
+    }
     if (!this.canPushState()) {
       return;
     }
@@ -30,42 +63,53 @@ const Browser = {
     );
   },
 
-  pushState(
-    kind: "replace" | "push",
-    meta: { type: string; scroll?: number; id?: string; position?: number },
-    to?: string,
-  ) {
+  pushState(kind: "replace" | "push", meta: HistoryMeta, to?: string) {
     if (this.canPushState()) {
       if (to !== window.location.href) {
         if (meta.type == "redirect" && meta.scroll) {
           // If we're redirecting store the current scrollY for the current history state.
-          const currentState = history.state || {};
-          currentState.scroll = meta.scroll;
-          history.replaceState(currentState, "", window.location.href);
+          const scroll = meta.scroll;
+          this.updateCurrentState((state) => ({ ...state, scroll }));
         }
 
         delete meta.scroll; // Only store the scroll in the redirect case.
-        history[kind + "State"](meta, "", to || null); // IE will coerce undefined to string
-
-        // when using navigate, we'd call pushState immediately before patching the DOM,
-        // jumping back to the top of the page, effectively ignoring the scrollIntoView;
-        // therefore we wait for the next frame (after the DOM patch) and only then try
-        // to scroll to the hashEl
-        window.requestAnimationFrame(() => {
-          const hashEl = this.getHashTargetEl(window.location.hash);
-
-          if (hashEl) {
-            hashEl.scrollIntoView();
-          } else if (meta.type === "redirect") {
-            window.scroll(0, 0);
-          }
-        });
+        if (this.navigation && to) {
+          // intercepted by the LiveSocket, which commits it right away
+          const { committed, finished } = this.navigation.navigate(to, {
+            history: kind,
+            state: meta,
+            info: NAVIGATION_COMMIT,
+          });
+          committed?.catch(() => {});
+          finished?.catch(() => {});
+        } else if (this.navigation) {
+          this.navigation.updateCurrentEntry({ state: meta });
+        } else {
+          history[kind + "State"](meta, "", to || null); // IE will coerce undefined to string
+        }
+        this.scrollAfterPush(meta);
       }
     } else if (to) {
       this.redirect(to);
     }
   },
 
+  scrollAfterPush(meta: HistoryMeta) {
+    // when using navigate, we'd call pushState immediately before patching the DOM,
+    // jumping back to the top of the page, effectively ignoring the scrollIntoView;
+    // therefore we wait for the next frame (after the DOM patch) and only then try
+    // to scroll to the hashEl
+    window.requestAnimationFrame(() => {
+      const hashEl = this.getHashTargetEl(window.location.hash);
+
+      if (hashEl) {
+        hashEl.scrollIntoView();
+      } else if (meta.type === "redirect") {
+        window.scroll(0, 0);
+      }
+    });
+  },
+
   setCookie(name: string, value: string | number, maxAgeSeconds?: number) {
     const expires =
       typeof maxAgeSeconds === "number" ? ` max-age=${maxAgeSeconds};` : "";
@@ -1,5 +1,6 @@
 export const CONSECUTIVE_RELOADS = "consecutive-reloads";
 export const MAX_RELOADS = 10;
+export const MAX_DROPPED_FILES = 1000;
 export const RELOAD_JITTER_MIN = 5000;
 export const RELOAD_JITTER_MAX = 10000;
 export const FAILSAFE_JITTER = 30000;
@@ -29,8 +30,13 @@ export const PHX_PREFLIGHTED_REFS = "data-phx-preflighted-refs";
 export const PHX_DONE_REFS = "data-phx-done-refs";
 export const PHX_ERROR_REFS = "data-phx-error-refs";
 export const PHX_DROP_TARGET = "drop-target";
+export const PHX_PASTE_TARGET = "paste-target";
+export const PHX_UPLOAD_TRANSFORM = "upload-transform";
 export const PHX_ACTIVE_ENTRY_REFS = "data-phx-active-refs";
 export const PHX_LIVE_FILE_UPDATED = "phx:live-file:updated";
+export const PHX_LIVE_FILE_REJECTED = "phx:live-file:rejected";
+export const PHX_MAX_FILE_SIZE = "data-phx-max-file-size";
+export const PHX_MAX_ENTRIES = "data-phx-max-entries";
 export const PHX_SKIP = "data-phx-skip";
 export const PHX_MAGIC_ID = "data-phx-id";
 export const PHX_PRUNE = "data-phx-prune";
@@ -44,7 +50,21 @@ export const PHX_MAIN = "data-phx-main";
 export const PHX_ROOT_ID = "data-phx-root-id";
 export const PHX_VIEWPORT_TOP = "viewport-top";
 export const PHX_VIEWPORT_BOTTOM = "viewport-bottom";
+export const PHX_VIEWPORT_LEFT = "viewport-left";
+export const PHX_VIEWPORT_RIGHT = "viewport-right";
+export const PHX_VIEWPORT_BINDINGS = [
+  PHX_VIEWPORT_TOP,
+  PHX_VIEWPORT_BOTTOM,
+  PHX_VIEWPORT_LEFT,
+  PHX_VIEWPORT_RIGHT,
+];
 export const PHX_VIEWPORT_OVERRUN_TARGET = "viewport-overrun-target";
+export const PHX_VIEWPORT_ROOT_MARGIN = "viewport-root-margin";
+export const PHX_VIEWPORT_THROTTLE = "viewport-throttle";
+export const PHX_SCROLL_ANCHOR = "scroll-anchor";
+export const PHX_ANIMATE_LAYOUT = "animate-layout";
+export const PHX_VIRTUAL_ITEM_HEIGHT = "virtual-item-height";
+export const PHX_VIRTUAL_SPACER = "data-phx-virtual-spacer";
 export const PHX_TRIGGER_ACTION = "trigger-action";
 export const PHX_HAS_FOCUSED = "phx-has-focused";
 export const FOCUSABLE_INPUTS = [
@@ -65,6 +85,7 @@ export const FOCUSABLE_INPUTS = [
 export const CHECKABLE_INPUTS = ["checkbox", "radio"];
 export const PHX_HAS_SUBMITTED = "phx-has-submitted";
 export const PHX_SESSION = "data-phx-session";
+export const PHX_HEAD = "data-phx-head";
 export const PHX_VIEW_SELECTOR = `[${PHX_SESSION}]`;
 export const PHX_STICKY = "data-phx-sticky";
 export const PHX_STATIC = "data-phx-static";
@@ -88,19 +109,33 @@ export const PHX_KEY = "key";
 export const PHX_PRIVATE = "phxPrivate";
 export const PHX_AUTO_RECOVER = "auto-recover";
 export const PHX_NO_UNUSED_FIELD = "no-unused-field";
+export const PHX_QUEUE = "queue";
 export const PHX_LV_DEBUG = "phx:live-socket:debug";
 export const PHX_LV_PROFILE = "phx:live-socket:profiling";
 export const PHX_LV_LATENCY_SIM = "phx:live-socket:latency-sim";
 export const PHX_LV_HISTORY_POSITION = "phx:nav-history-position";
+export const PHX_LV_QUEUED_PUSHES = "phx:live-socket:queued-pushes";
 export const PHX_PROGRESS = "progress";
+export const PHX_PREFETCH = "prefetch";
+export const PHX_SCROLL_RESTORE = "scroll-restore";
+export const PHX_VIEW_TRANSITION = "view-transition";
+export const PHX_VIEW_TRANSITION_NAME = "data-phx-view-transition";
+export const PHX_VIEW_TRANSITION_DIRECTION =
+  "data-phx-view-transition-direction";
 export const PHX_MOUNTED = "mounted";
 export const PHX_RELOAD_STATUS = "__phoenix_reload_status__";
 export const LOADER_TIMEOUT = 1;
 export const MAX_CHILD_JOIN_ATTEMPTS = 3;
 export const BEFORE_UNLOAD_LOADER_TIMEOUT = 200;
 export const DISCONNECTED_TIMEOUT = 500;
+export const PREFETCH_TIMEOUT = 10000;
+export const PREFETCH_HOVER_DELAY = 100;
+export const MAX_PREFETCHES = 3;
+export const SNAPSHOT_CACHE_SIZE = 10;
 export const BINDING_PREFIX = "phx-";
 export const PUSH_TIMEOUT = 30000;
+export const UPLOAD_CHUNK_MAX_RETRIES = 3;
+export const UPLOAD_CHUNK_RETRY_BACKOFF = 500;
 export const LINK_HEADER = "x-requested-with";
 export const RESPONSE_URL_HEADER = "x-response-url";
 export const DEBOUNCE_TRIGGER = "debounce-trigger";
@@ -121,6 +156,7 @@ export const KEYED_MOVED = "km";
 export const EVENTS = "e";
 export const REPLY = "r";
 export const TITLE = "t";
+export const HEAD = "h";
 export const TEMPLATES = "p";
 export const STREAM = "stream";
 // Diagnostics
@@ -16,6 +16,7 @@ import {
   PHX_PENDING_ATTRS,
   PHX_ROOT_ID,
   PHX_SESSION,
+  PHX_HEAD,
   PHX_STATIC,
   PHX_UPLOAD_REF,
   PHX_VIEW_SELECTOR,
@@ -233,6 +234,37 @@ const DOM = {
     );
   },
 
+  // returns the closest ancestor that scrolls on the given axis,
+  // or null when the whole page scrolls
+  findScrollContainer(el, axis: "x" | "y" = "y"): HTMLElement | null {
+    // the scroll event won't be fired on the html/body element even if overflow is set
+    // therefore we return null to instead listen for scroll events on document
+    if (!el || ["HTML", "BODY"].indexOf(el.nodeName.toUpperCase()) >= 0) {
+      return null;
+    }
+    const style = getComputedStyle(el);
+    const overflow = axis === "x" ? style.overflowX : style.overflowY;
+    if (["scroll", "auto"].indexOf(overflow) >= 0) return el;
+    return this.findScrollContainer(el.parentElement, axis);
+  },
+
+  // returns the start and end coordinate of the visible area of the given
+  // scroll container on the given axis
+  viewportEdges(
+    scrollContainer: HTMLElement | null,
+    axis: "x" | "y" = "y",
+  ): [number, number] {
+    if (scrollContainer) {
+      const rect = scrollContainer.getBoundingClientRect();
+      return axis === "x" ? [rect.left, rect.right] : [rect.top, rect.bottom];
+    }
+    // when we have no container the whole page scrolls,
+    // therefore the visible area is the window
+    return axis === "x"
+      ? [0, window.innerWidth || document.documentElement.clientWidth]
+      : [0, window.innerHeight || document.documentElement.clientHeight];
+  },
+
   findPhxSticky(el) {
     return this.all(el, `[${PHX_STICKY}]`);
   },
@@ -327,6 +359,42 @@ const DOM = {
     }
   },
 
+  // Diffs the keyed elements of the document head against the given set of
+  // `{key: [tag, attrs]}` entries. Elements without a key are never touched.
+  putHead(head?: { [key: string]: [string, { [name: string]: string }] }) {
+    const entries = head || {};
+    const existing = new Map<string, Element>();
+    document.head
+      .querySelectorAll(`[${PHX_HEAD}]`)
+      .forEach((el) => existing.set(el.getAttribute(PHX_HEAD)!, el));
+
+    Object.entries(entries).forEach(([key, [tag, attrs]]) => {
+      let el = existing.get(key);
+      existing.delete(key);
+      if (!el || el.tagName.toLowerCase() !== tag) {
+        const newEl = document.createElement(tag);
+        newEl.setAttribute(PHX_HEAD, key);
+        el ? el.replaceWith(newEl) : document.head.appendChild(newEl);
+        el = newEl;
+      }
+      Array.from(el.attributes).forEach(({ name }) => {
+        if (
+          name !== PHX_HEAD &&
+          !Object.prototype.hasOwnProperty.call(attrs, name)
+        ) {
+          el.removeAttribute(name);
+        }
+      });
+      Object.entries(attrs).forEach(([name, value]) => {
+        if (el.getAttribute(name) !== value) {
+          el.setAttribute(name, value);
+        }
+      });
+    });
+
+    existing.forEach((el) => el.remove());
+  },
+
   debounce(
     el,
     event,
@@ -461,7 +529,7 @@ const DOM = {
   // maintains or adds privately used hook information
   // fromEl and toEl can be the same element in the case of a newly added node
   // fromEl and toEl can be any HTML node type, so we need to check if it's an element node
-  maintainPrivateHooks(fromEl, toEl, phxViewportTop, phxViewportBottom) {
+  maintainPrivateHooks(fromEl, toEl, phxViewportBindings: string[]) {
     // maintain the hooks created with createHook
     if (
       fromEl.hasAttribute &&
@@ -473,8 +541,7 @@ const DOM = {
     // add hooks to elements with viewport attributes
     if (
       toEl.hasAttribute &&
-      (toEl.hasAttribute(phxViewportTop) ||
-        toEl.hasAttribute(phxViewportBottom))
+      phxViewportBindings.some((binding) => toEl.hasAttribute(binding))
     ) {
       toEl.setAttribute("data-phx-hook", "Phoenix.InfiniteScroll");
     }
@@ -13,18 +13,23 @@ import {
   PHX_REF_LOCK,
   PHX_STREAM,
   PHX_STREAM_REF,
-  PHX_VIEWPORT_TOP,
-  PHX_VIEWPORT_BOTTOM,
+  PHX_VIEWPORT_BINDINGS,
   PHX_PORTAL,
   PHX_TELEPORTED_REF,
   PHX_TELEPORTED_SRC,
   PHX_RUNTIME_HOOK,
+  PHX_VIRTUAL_SPACER,
+  PHX_SCROLL_ANCHOR,
+  PHX_ANIMATE_LAYOUT,
 } from "./constants";
 
 import { detectDuplicateIds, detectInvalidStreamInserts } from "./utils";
 import ElementRef from "./element_ref";
 import DOM from "./dom";
 import DOMPostMorphRestorer from "./dom_post_morph_restorer";
+import ScrollAnchor from "./scroll_anchor";
+import LayoutAnimation from "./layout_animation";
+import VirtualList from "./virtual_list";
 import morphdom from "morphdom";
 import View from "./view";
 import LiveSocket from "./live_socket";
@@ -168,8 +173,9 @@ export default class DOMPatch {
     const { selectionStart, selectionEnd } =
       focused && DOM.hasSelectionRange(focused) ? focused : {};
     const phxUpdate = liveSocket.binding(PHX_UPDATE);
-    const phxViewportTop = liveSocket.binding(PHX_VIEWPORT_TOP);
-    const phxViewportBottom = liveSocket.binding(PHX_VIEWPORT_BOTTOM);
+    const phxViewportBindings = PHX_VIEWPORT_BINDINGS.map((binding) =>
+      liveSocket.binding(binding),
+    );
     const phxTriggerExternal = liveSocket.binding(PHX_TRIGGER_ACTION);
     const phxPatchFocused = liveSocket.binding(PHX_PATCH_FOCUSED);
     const added: Array<Node> = [];
@@ -228,6 +234,13 @@ export default class DOMPatch {
 
           this.setStreamRef(child, ref);
 
+          const virtualList = VirtualList.of(parent);
+          if (virtualList) {
+            const { reset } = this.getStreamInsert(child);
+            virtualList.insert(child, streamAt, !!reset);
+            return;
+          }
+
           // streaming
           if (streamAt === 0) {
             parent.insertAdjacentElement("afterbegin", child);
@@ -251,15 +264,19 @@ export default class DOMPatch {
             return el;
           }
 
+          // a stream item detached by a virtualized list is updated in place
+          const detached = el.id ? this.findDetachedStreamChild(el.id) : null;
+
           // don't add update_only nodes if they did not already exist
           if (
             this.getStreamInsert(el)?.updateOnly &&
-            !this.streamComponentRestore[el.id]
+            !this.streamComponentRestore[el.id] &&
+            !detached
           ) {
             return false;
           }
 
-          DOM.maintainPrivateHooks(el, el, phxViewportTop, phxViewportBottom);
+          DOM.maintainPrivateHooks(el, el, phxViewportBindings);
 
           let morphedEl = el;
           // this is a stream item that was kept on reset, recursively morph it
@@ -267,6 +284,9 @@ export default class DOMPatch {
             morphedEl = this.streamComponentRestore[el.id];
             delete this.streamComponentRestore[el.id];
             morph(morphedEl, el, true);
+          } else if (detached) {
+            morphedEl = detached;
+            morph(morphedEl, el, true);
           }
 
           return morphedEl;
@@ -320,6 +340,9 @@ export default class DOMPatch {
           if (el.getAttribute(PHX_PRUNE) !== null) {
             return true;
           }
+          if (el.hasAttribute(PHX_VIRTUAL_SPACER)) {
+            return false;
+          }
           if (
             el.parentElement !== null &&
             el.id &&
@@ -366,12 +389,7 @@ export default class DOMPatch {
         },
         onBeforeElUpdated: (fromEl, toEl) => {
           DOM.syncPendingAttrs(fromEl, toEl);
-          DOM.maintainPrivateHooks(
-            fromEl,
-            toEl,
-            phxViewportTop,
-            phxViewportBottom,
-          );
+          DOM.maintainPrivateHooks(fromEl, toEl, phxViewportBindings);
           DOM.cleanChildNodes(toEl, phxUpdate, reportError);
           const isFocusedFormEl =
             focused &&
@@ -504,6 +522,12 @@ export default class DOMPatch {
 
     this.trackBeforeUpdated(container, container);
 
+    const scrollAnchors = this.captureScrollAnchors(targetContainer, phxUpdate);
+    // the join patch renders the initial content, which has no previous layout
+    const layoutAnimations = isJoinPatch
+      ? []
+      : this.captureLayoutAnimations(targetContainer);
+
     liveSocket.time("morphdom", () => {
       this.streams.forEach(([ref, inserts, deleteIds, reset]) => {
         inserts.forEach(([key, streamAt, limit, updateOnly]) => {
@@ -513,9 +537,13 @@ export default class DOMPatch {
           DOM.all(document, `[${PHX_STREAM_REF}="${ref}"]`, (child) => {
             this.removeStreamChildElement(child);
           });
+          VirtualList.detachedStreamChildren(ref, (list) =>
+            this.view.ownsElement(list.el),
+          ).forEach((child) => this.removeStreamChildElement(child));
         }
         deleteIds.forEach((id) => {
-          const child = document.getElementById(id);
+          const child =
+            document.getElementById(id) || this.findDetachedStreamChild(id);
           if (child) {
             this.removeStreamChildElement(child);
           }
@@ -530,7 +558,9 @@ export default class DOMPatch {
           // a parent is removed before a child
           .filter((el) => this.view.ownsElement(el))
           .forEach((el) => {
-            Array.from(el.children).forEach((child) => {
+            const children =
+              VirtualList.of(el)?.children() ?? Array.from(el.children);
+            children.forEach((child) => {
               // we already performed the owner check, each child is guaranteed to be owned
               // by the view. To prevent the nested owner check from failing in case of nested
               // streams where the parent is removed before the child, we force the removal
@@ -593,6 +623,13 @@ export default class DOMPatch {
       });
     }
 
+    scrollAnchors.forEach((anchor) => anchor.perform());
+    // further patches wait until the elements are in their final position
+    layoutAnimations.forEach((animation) => {
+      const finished = animation.perform();
+      finished && liveSocket.asyncTransition(finished);
+    });
+
     liveSocket.silenceEvents(() =>
       DOM.restoreFocus(focused, selectionStart, selectionEnd),
     );
@@ -673,24 +710,73 @@ export default class DOMPatch {
     // make sure to only remove elements owned by the current view
     // see https://github.com/phoenixframework/phoenix_live_view/issues/3047
     // and https://github.com/phoenixframework/phoenix_live_view/issues/3681
-    if (!force && !this.view.ownsElement(child)) {
+    // children detached by a virtualized list were already checked by
+    // findDetachedStreamChild, as they are not in the document
+    const detachedFrom = VirtualList.holding(child);
+    if (!force && !detachedFrom && !this.view.ownsElement(child)) {
       return;
     }
+    const virtualList = detachedFrom || VirtualList.of(child.parentElement);
 
     // we need to store the node if it is actually re-added in the same patch
     // we do NOT want to execute phx-remove, we do NOT want to call onNodeDiscarded
     if (this.streamInserts[child.id]) {
       this.streamComponentRestore[child.id] = child;
+      virtualList?.delete(child);
       child.remove();
+    } else if (detachedFrom) {
+      // there is nothing to transition for a child that is not shown
+      detachedFrom.delete(child);
+      this.onNodeDiscarded(child);
     } else {
       // only remove the element now if it has no phx-remove binding
       if (!this.maybePendingRemove(child)) {
+        virtualList?.delete(child);
         child.remove();
         this.onNodeDiscarded(child);
       }
     }
   }
 
+  // measures the stream containers with phx-scroll-anchor before they are
+  // patched, to restore their visible content afterwards
+  private captureScrollAnchors(targetContainer, phxUpdate): ScrollAnchor[] {
+    const phxScrollAnchor = this.liveSocket.binding(PHX_SCROLL_ANCHOR);
+    return DOM.all(
+      targetContainer,
+      `[${phxUpdate}=${PHX_STREAM}][${phxScrollAnchor}]`,
+    )
+      .filter((el) => this.view.ownsElement(el))
+      .flatMap((el) => {
+        const mode = el.getAttribute(phxScrollAnchor);
+        return ScrollAnchor.isMode(mode) ? [new ScrollAnchor(el, mode)] : [];
+      });
+  }
+
+  // records the position of the children of containers with
+  // phx-animate-layout before they are patched
+  private captureLayoutAnimations(targetContainer): LayoutAnimation[] {
+    if (!LayoutAnimation.isSupported()) {
+      return [];
+    }
+    const phxAnimateLayout = this.liveSocket.binding(PHX_ANIMATE_LAYOUT);
+    return DOM.all(targetContainer, `[${phxAnimateLayout}]`)
+      .filter((el) => this.view.ownsElement(el))
+      .map(
+        (el) =>
+          new LayoutAnimation(
+            el,
+            LayoutAnimation.duration(el.getAttribute(phxAnimateLayout)),
+          ),
+      );
+  }
+
+  private findDetachedStreamChild(id: string) {
+    return VirtualList.findDetached(id, (list) =>
+      this.view.ownsElement(list.el),
+    );
+  }
+
   private getStreamInsert(el) {
     const insert = el.id ? this.streamInserts[el.id] : {};
     return insert || {};
@@ -724,6 +810,16 @@ export default class DOMPatch {
       return;
     }
 
+    const virtualList = VirtualList.of(el.parentElement);
+    if (virtualList) {
+      // new children were already placed by addChild
+      if (!isNew) {
+        virtualList.insert(el, streamAt, true);
+      }
+      this.maybeLimitStream(el);
+      return;
+    }
+
     if (streamAt === 0) {
       this.moveOrInsertBefore(
         el.parentElement,
@@ -774,7 +870,9 @@ export default class DOMPatch {
   private maybeLimitStream(el) {
     const { limit } = this.getStreamInsert(el);
     if (limit !== null) {
-      const children = Array.from(el.parentElement.children);
+      const children =
+        VirtualList.of(el.parentElement)?.children() ??
+        Array.from(el.parentElement.children);
       if (limit < 0 && children.length > limit * -1) {
         children
           .slice(0, children.length + limit)
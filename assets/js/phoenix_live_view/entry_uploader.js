@@ -1,12 +1,32 @@
+import {
+  UPLOAD_CHUNK_MAX_RETRIES,
+  UPLOAD_CHUNK_RETRY_BACKOFF,
+} from "./constants";
+
 export default class EntryUploader {
   constructor(entry, config, liveSocket) {
-    const { chunk_size, chunk_timeout } = config;
+    const { chunk_size, chunk_timeout, chunk_window, checksum } = config;
     this.liveSocket = liveSocket;
     this.entry = entry;
+    // offset of the next chunk to read and offset acknowledged by the server
     this.offset = 0;
+    this.ackedOffset = 0;
     this.chunkSize = chunk_size;
     this.chunkTimeout = chunk_timeout;
+    // servers without a chunk window expect a single chunk at a time
+    this.chunkWindow = chunk_window || 1;
+    this.inFlight = [];
+    // rolling checksums by chunk end offset, kept until the chunk is acknowledged
+    // as a retry resumes from whichever offset the server acknowledged
+    this.checksums = checksum ? new Map([[0, new ArrayBuffer(0)]]) : null;
+    this.reading = false;
+    this.resuming = false;
+    this.rejoining = false;
+    this.generation = 0;
     this.chunkTimer = null;
+    this.paused = false;
+    this.keepAliveTimer = null;
+    this.retries = 0;
     this.errored = false;
     this.uploadChannel = liveSocket.channel(`lvu:${entry.ref}`, {
       token: entry.metadata(),
@@ -23,39 +43,121 @@ export default class EntryUploader {
     this.uploadChannel.leave();
     this.errored = true;
     this.chunkTimer != null && clearTimeout(this.chunkTimer);
-    if (reason === "writer_error") {
-      // The server already recorded the exact writer failure and retained the
-      // entry. Keep the uploader pending until the failed entry is cancelled
-      // and removed from the DOM, without sending a second, generic client
-      // error progress event.
+    this.keepAliveTimer != null && clearTimeout(this.keepAliveTimer);
+    if (reason === "writer_error" || reason === "checksum_mismatch") {
+      // The server already recorded the exact writer or checksum failure and
+      // retained the entry. Keep the uploader pending until the failed entry is
+      // cancelled and removed from the DOM, without sending a second, generic
+      // client error progress event.
       return;
     }
     this.entry.error(reason);
   }
 
   upload() {
-    this.uploadChannel.onError((reason) => this.error(reason));
+    this.uploadChannel.onError(() => this.disconnect());
     this.uploadChannel
       .join()
-      .receive("ok", (_data) => this.readNextChunk())
+      .receive("ok", (_data) => {
+        if (this.rejoining) {
+          this.rejoining = false;
+          return this.syncOffset();
+        }
+        this.readNextChunk();
+      })
       .receive("error", ({ reason }) => this.error(reason));
   }
 
+  // The channel rejoins on its own once the socket reconnects, and the server
+  // keeps the entry around until the chunk timeout, so chunks in flight are
+  // dropped and the upload resumes from the acknowledged offset on rejoin.
+  disconnect() {
+    if (this.errored) {
+      return;
+    }
+    this.rejoining = true;
+    this.resuming = true;
+    // replies to chunks pushed before the disconnect are ignored from now on
+    this.generation++;
+    this.inFlight = [];
+    this.chunkTimer != null && clearTimeout(this.chunkTimer);
+    this.chunkTimer = null;
+  }
+
   isDone() {
     return this.offset >= this.entry.file.size;
   }
 
+  // Chunks already in flight are still acknowledged while paused, but no
+  // further chunks are read until the upload is resumed from the offset.
+  pause() {
+    this.paused = true;
+    this.keepAlive();
+  }
+
+  resume() {
+    this.paused = false;
+    this.keepAliveTimer != null && clearTimeout(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+    this.readNextChunk();
+  }
+
+  // The server stops the upload channel when no chunk arrives within the
+  // chunk timeout, so a paused upload periodically asks for its offset,
+  // which reschedules the server timer, to keep the entry alive.
+  keepAlive() {
+    this.keepAliveTimer != null && clearTimeout(this.keepAliveTimer);
+    this.keepAliveTimer = setTimeout(() => {
+      if (!this.paused || this.errored) {
+        return;
+      }
+      if (this.uploadChannel.isJoined()) {
+        this.uploadChannel
+          .push("offset", {}, this.chunkTimeout)
+          .receive("error", ({ reason }) => this.error(reason));
+      }
+      this.keepAlive();
+    }, this.chunkTimeout / 2);
+  }
+
   readNextChunk() {
+    if (
+      this.errored ||
+      this.paused ||
+      !this.uploadChannel.isJoined() ||
+      this.reading ||
+      this.resuming ||
+      this.isDone() ||
+      this.inFlight.length >= this.chunkWindow
+    ) {
+      return;
+    }
+    const generation = this.generation;
     const reader = new window.FileReader();
     const blob = this.entry.file.slice(
       this.offset,
       this.chunkSize + this.offset,
     );
     reader.onload = (e) => {
+      if (generation !== this.generation) {
+        // the chunk was read before a retry reset the offset
+        this.reading = false;
+        return this.readNextChunk();
+      }
       if (e.target?.error === null) {
-        this.offset += /** @type {ArrayBuffer} */ (e.target.result).byteLength;
-        this.pushChunk(/** @type {ArrayBuffer} */ (e.target.result));
+        const chunk = /** @type {ArrayBuffer} */ (e.target.result);
+        this.withChecksum(chunk, (payload, rolling) => {
+          this.reading = false;
+          if (generation !== this.generation) {
+            return this.readNextChunk();
+          }
+          this.offset += chunk.byteLength;
+          rolling && this.checksums.set(this.offset, rolling);
+          this.pushChunk(payload);
+          this.readNextChunk();
+        });
       } else {
+        this.reading = false;
         return this.entry.view.logError(
           "upload.read-failed",
           "Read error: " + e.target?.error,
@@ -63,24 +165,140 @@ export default class EntryUploader {
         );
       }
     };
+    this.reading = true;
     reader.readAsArrayBuffer(blob);
   }
 
+  // With checksums, the chunk is prefixed with its SHA-256 digest and the
+  // rolling checksum becomes the digest of the previous rolling checksum
+  // followed by the chunk digest, which the server computes alike.
+  withChecksum(chunk, callback) {
+    if (!this.checksums) {
+      return callback(chunk, null);
+    }
+    // SubtleCrypto is only available in secure contexts
+    const subtle = window.crypto?.subtle;
+    if (!subtle) {
+      this.reading = false;
+      this.entry.view.logError(
+        "upload.checksum-unavailable",
+        "Upload checksums require a secure context (HTTPS or localhost)",
+        { entry: this.entry },
+      );
+      return this.error("failed");
+    }
+    const previous = this.checksums.get(this.offset);
+    subtle
+      .digest("SHA-256", chunk)
+      .then((digest) =>
+        subtle
+          .digest("SHA-256", concatBuffers(previous, digest))
+          .then((rolling) => callback(concatBuffers(digest, chunk), rolling)),
+      )
+      .catch((error) => {
+        this.reading = false;
+        this.entry.view.logError(
+          "upload.checksum-failed",
+          "Failed to compute the checksum of an upload chunk",
+          { entry: this.entry, offset: this.offset, error },
+        );
+        this.error("failed");
+      });
+  }
+
+  checksumAt(offset) {
+    const checksum = this.checksums && this.checksums.get(offset);
+    if (!checksum) {
+      return undefined;
+    }
+    return Array.from(new Uint8Array(checksum), (byte) =>
+      byte.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  reportProgress() {
+    const progress = (this.ackedOffset / this.entry.file.size) * 100;
+    if (this.checksums) {
+      this.entry.progress(progress, this.checksumAt(this.ackedOffset));
+    } else {
+      this.entry.progress(progress);
+    }
+  }
+
   pushChunk(chunk) {
+    // chunks read while an errored channel rejoins are dropped before this,
+    // so the channel was closed by the server, which cannot resume the upload
     if (!this.uploadChannel.isJoined()) {
-      return;
+      return this.error("disconnected");
     }
+    const generation = this.generation;
+    const pending = { end: this.offset, acked: false };
+    this.inFlight.push(pending);
     this.uploadChannel
       .push("chunk", chunk, this.chunkTimeout)
-      .receive("ok", () => {
-        this.entry.progress((this.offset / this.entry.file.size) * 100);
-        if (!this.isDone()) {
-          this.chunkTimer = setTimeout(
-            () => this.readNextChunk(),
-            this.liveSocket.getLatencySim() || 0,
-          );
-        }
+      .receive("ok", () => generation === this.generation && this.ack(pending))
+      .receive("error", ({ reason }) => this.error(reason))
+      .receive("timeout", () => generation === this.generation && this.retry());
+  }
+
+  // Replies arrive in order, but the acknowledged offset only ever advances
+  // up to the first unacknowledged chunk, so progress is always monotonic.
+  ack(pending) {
+    pending.acked = true;
+    this.retries = 0;
+    while (this.inFlight.length > 0 && this.inFlight[0].acked) {
+      this.checksums && this.checksums.delete(this.ackedOffset);
+      this.ackedOffset = this.inFlight.shift().end;
+    }
+    this.reportProgress();
+    if (!this.isDone()) {
+      this.chunkTimer = setTimeout(
+        () => this.readNextChunk(),
+        this.liveSocket.getLatencySim() || 0,
+      );
+    }
+  }
+
+  // A timed out chunk may or may not have been written by the server, so
+  // instead of pushing it again we ask for the acknowledged offset and
+  // continue reading from there. An errored channel resumes the same way
+  // once rejoined, but a channel closed by the server cannot be rejoined,
+  // so the entry fails instead.
+  retry() {
+    if (this.retries >= UPLOAD_CHUNK_MAX_RETRIES) {
+      return this.error("timeout");
+    }
+    const backoff = UPLOAD_CHUNK_RETRY_BACKOFF * 2 ** this.retries;
+    this.retries++;
+    // replies to chunks pushed before the retry are ignored from now on
+    this.generation++;
+    this.inFlight = [];
+    this.resuming = true;
+    this.chunkTimer = setTimeout(() => {
+      if (!this.uploadChannel.isJoined()) {
+        return this.error("disconnected");
+      }
+      this.syncOffset();
+    }, backoff);
+  }
+
+  syncOffset() {
+    this.uploadChannel
+      .push("offset", {}, this.chunkTimeout)
+      .receive("ok", ({ offset }) => {
+        this.resuming = false;
+        this.offset = this.ackedOffset = offset;
+        this.reportProgress();
+        this.readNextChunk();
       })
-      .receive("error", ({ reason }) => this.error(reason));
+      .receive("error", ({ reason }) => this.error(reason))
+      .receive("timeout", () => this.retry());
   }
 }
+
+const concatBuffers = (a, b) => {
+  const result = new Uint8Array(a.byteLength + b.byteLength);
+  result.set(new Uint8Array(a), 0);
+  result.set(new Uint8Array(b), a.byteLength);
+  return result.buffer;
+};
@@ -1,197 +1,217 @@
 import {
   PHX_ACTIVE_ENTRY_REFS,
   PHX_ERROR_REFS,
+  PHX_LIVE_FILE_REJECTED,
   PHX_LIVE_FILE_UPDATED,
   PHX_PREFLIGHTED_REFS,
   PHX_UPLOAD_REF,
+  PHX_VIEWPORT_BOTTOM,
+  PHX_VIEWPORT_LEFT,
   PHX_VIEWPORT_OVERRUN_TARGET,
+  PHX_VIEWPORT_RIGHT,
+  PHX_VIEWPORT_ROOT_MARGIN,
+  PHX_VIEWPORT_THROTTLE,
+  PHX_VIEWPORT_TOP,
+  PHX_VIRTUAL_ITEM_HEIGHT,
 } from "./constants";
 
 import type { Hook } from "./view_hook";
 
 import LiveUploader from "./live_uploader";
 import ARIA from "./aria";
+import DOM from "./dom";
+import VirtualListController from "./virtual_list";
 
-const findScrollContainer = (el): HTMLElement | null => {
-  // the scroll event won't be fired on the html/body element even if overflow is set
-  // therefore we return null to instead listen for scroll events on document
-  if (["HTML", "BODY"].indexOf(el.nodeName.toUpperCase()) >= 0) return null;
-  if (["scroll", "auto"].indexOf(getComputedStyle(el).overflowY) >= 0)
-    return el;
-  return findScrollContainer(el.parentElement);
-};
-
-const scrollTop = (scrollContainer: HTMLElement | null) => {
-  if (scrollContainer) {
-    return scrollContainer.scrollTop;
-  } else {
-    return document.documentElement.scrollTop || document.body.scrollTop;
-  }
-};
-
-const bottom = (scrollContainer: HTMLElement | null) => {
-  if (scrollContainer) {
-    return scrollContainer.getBoundingClientRect().bottom;
-  } else {
-    // when we have no container, the whole page scrolls,
-    // therefore the bottom coordinate is the viewport height
-    return window.innerHeight || document.documentElement.clientHeight;
-  }
-};
-
-const top = (scrollContainer: HTMLElement | null) => {
-  if (scrollContainer) {
-    return scrollContainer.getBoundingClientRect().top;
-  } else {
-    // when we have no container the whole page scrolls,
-    // therefore the top coordinate is 0
-    return 0;
-  }
-};
-
-const isAtViewportTop = (el: Element, scrollContainer: HTMLElement | null) => {
-  const rect = el.getBoundingClientRect();
-  return (
-    Math.ceil(rect.top) >= top(scrollContainer) &&
-    Math.floor(rect.top) <= bottom(scrollContainer)
-  );
-};
+type ViewportAxis = "x" | "y";
 
-const isAtViewportBottom = (
+const isWithinViewport = (
   el: Element,
   scrollContainer: HTMLElement | null,
+  axis: ViewportAxis,
 ) => {
   const rect = el.getBoundingClientRect();
-  return (
-    Math.ceil(rect.bottom) >= top(scrollContainer) &&
-    Math.floor(rect.bottom) <= bottom(scrollContainer)
-  );
+  const [start, end] = DOM.viewportEdges(scrollContainer, axis);
+  const edge = axis === "x" ? rect.left : rect.top;
+  return Math.ceil(edge) >= start && Math.floor(edge) <= end;
 };
 
-const isWithinViewport = (el: Element, scrollContainer: HTMLElement | null) => {
-  const rect = el.getBoundingClientRect();
-  return (
-    Math.ceil(rect.top) >= top(scrollContainer) &&
-    Math.floor(rect.top) <= bottom(scrollContainer)
-  );
-};
+const scrollIntoViewOptions = (
+  axis: ViewportAxis,
+  align: "start" | "end",
+): ScrollIntoViewOptions =>
+  axis === "x" ? { inline: align, block: "nearest" } : { block: align };
 
 const InfiniteScroll: Hook<
   {
     scrollContainer: HTMLElement | null;
+    axis: ViewportAxis;
+    edges: Element[];
+    edgeObserver: IntersectionObserver | null;
+    overrunObserver: IntersectionObserver | null;
+    overrunTarget: Element | null;
+    initialOverrunTargets: Set<Element>;
   },
   HTMLElement
 > = {
   mounted() {
-    this.scrollContainer = findScrollContainer(this.el);
-    let scrollBefore = scrollTop(this.scrollContainer);
-    let topOverran = false;
-    const throttleInterval = 500;
-    let pendingOp: (() => void) | null = null;
-
-    const onTopOverrun = this.throttle(
-      throttleInterval,
-      (topEvent, firstChild) => {
-        pendingOp = () => true;
-        this.liveSocket.js().push(this.el, topEvent, {
-          value: { id: firstChild.id, _overran: true },
-          callback: () => {
-            pendingOp = null;
-          },
-        });
-      },
+    const binding = (name: string) => this.liveSocket.binding(name);
+    this.axis =
+      this.el.hasAttribute(binding(PHX_VIEWPORT_LEFT)) ||
+      this.el.hasAttribute(binding(PHX_VIEWPORT_RIGHT))
+        ? "x"
+        : "y";
+    const [startBinding, endBinding] =
+      this.axis === "x"
+        ? [binding(PHX_VIEWPORT_LEFT), binding(PHX_VIEWPORT_RIGHT)]
+        : [binding(PHX_VIEWPORT_TOP), binding(PHX_VIEWPORT_BOTTOM)];
+    this.scrollContainer = DOM.findScrollContainer(this.el, this.axis);
+    const throttleInterval = parseInt(
+      this.el.getAttribute(binding(PHX_VIEWPORT_THROTTLE)) || "",
     );
+    const rootMargin =
+      this.el.getAttribute(binding(PHX_VIEWPORT_ROOT_MARGIN)) || "0px";
+    let pending = false;
+    let overran = false;
+
+    const push = (
+      event: string,
+      child: Element,
+      value: object,
+      align: "start" | "end" | null,
+    ) => {
+      pending = true;
+      this.liveSocket.js().push(this.el, event, {
+        value,
+        callback: () => {
+          pending = false;
+          // make sure that the DOM is patched by waiting for the next tick
+          window.requestAnimationFrame(() => {
+            if (
+              align &&
+              child.isConnected &&
+              !isWithinViewport(child, this.scrollContainer, this.axis)
+            ) {
+              child.scrollIntoView(scrollIntoViewOptions(this.axis, align));
+            }
+            recheckDeferredEdges();
+          });
+        },
+      });
+    };
 
-    const onFirstChildAtTop = this.throttle(
-      throttleInterval,
-      (topEvent, firstChild) => {
-        pendingOp = () => firstChild.scrollIntoView({ block: "start" });
-        this.liveSocket.js().push(this.el, topEvent, {
-          value: { id: firstChild.id },
-          callback: () => {
-            pendingOp = null;
-            // make sure that the DOM is patched by waiting for the next tick
-            window.requestAnimationFrame(() => {
-              if (!isWithinViewport(firstChild, this.scrollContainer)) {
-                firstChild.scrollIntoView({ block: "start" });
-              }
-            });
-          },
+    const interval = isNaN(throttleInterval) ? 500 : throttleInterval;
+    const onStartOverrun = this.throttle(interval, (event, firstChild) => {
+      push(event, firstChild, { id: firstChild.id, _overran: true }, null);
+    });
+    const onFirstChildVisible = this.throttle(interval, (event, firstChild) => {
+      push(event, firstChild, { id: firstChild.id }, "start");
+    });
+    const onLastChildVisible = this.throttle(interval, (event, lastChild) => {
+      push(event, lastChild, { id: lastChild.id }, "end");
+    });
+    this.throttles = [onStartOverrun, onFirstChildVisible, onLastChildVisible];
+
+    // the first and last child act as sentinels: once one of them scrolls
+    // into the (root margin extended) viewport, the next page is loaded.
+    // The initial notification for the children rendered on mount only
+    // reports their state, so it does not load anything
+    const initialEdges = new Set<Element>();
+    const onEdgeVisible = (target: Element) => {
+      const startEvent = this.el.getAttribute(startBinding);
+      const endEvent = this.el.getAttribute(endBinding);
+      if (startEvent && target === this.el.firstElementChild) {
+        onFirstChildVisible(startEvent, target);
+      } else if (endEvent && target === this.el.lastElementChild) {
+        onLastChildVisible(endEvent, target);
+      }
+    };
+
+    // the observer only reports changes, so an edge scrolling into view
+    // while a page is loading is checked again once the load completes
+    const deferredEdges = new Set<Element>();
+    const recheckDeferredEdges = () => {
+      const edges = Array.from(deferredEdges);
+      deferredEdges.clear();
+      edges.forEach((edge) => {
+        if (
+          this.edgeObserver &&
+          !pending &&
+          this.edges.includes(edge) &&
+          isWithinViewport(edge, this.scrollContainer, this.axis)
+        ) {
+          onEdgeVisible(edge);
+        }
+      });
+    };
+
+    this.edges = [];
+    this.edgeObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach(({ target, isIntersecting, intersectionRatio }) => {
+          // an element touching the viewport edge is intersecting, but not visible
+          if (
+            initialEdges.delete(target) ||
+            !isIntersecting ||
+            intersectionRatio <= 0
+          ) {
+            deferredEdges.delete(target);
+            return;
+          }
+          if (pending) {
+            deferredEdges.add(target);
+            return;
+          }
+          onEdgeVisible(target);
         });
       },
+      { root: this.scrollContainer, rootMargin },
     );
-
-    const onLastChildAtBottom = this.throttle(
-      throttleInterval,
-      (bottomEvent, lastChild) => {
-        pendingOp = () => lastChild.scrollIntoView({ block: "end" });
-        this.liveSocket.js().push(this.el, bottomEvent, {
-          value: { id: lastChild.id },
-          callback: () => {
-            pendingOp = null;
-            // make sure that the DOM is patched by waiting for the next tick
-            window.requestAnimationFrame(() => {
-              if (!isWithinViewport(lastChild, this.scrollContainer)) {
-                lastChild.scrollIntoView({ block: "end" });
-              }
-            });
+    this.observeEdges();
+    this.edges.forEach((edge) => initialEdges.add(edge));
+
+    // to detect when the start of the overrun target scrolls into view,
+    // the root is shrunk to its start edge: the target stops intersecting
+    // once its own start edge moves past it
+    // like for the edges, the initial notification of each observed
+    // target only reports its state
+    this.initialOverrunTargets = new Set();
+    this.overrunObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach(
+          ({ target, isIntersecting, boundingClientRect, rootBounds }) => {
+            if (this.initialOverrunTargets.delete(target)) {
+              return;
+            }
+            const start =
+              this.axis === "x"
+                ? boundingClientRect.left
+                : boundingClientRect.top;
+            const rootStart = rootBounds
+              ? this.axis === "x"
+                ? rootBounds.left
+                : rootBounds.top
+              : 0;
+            if (isIntersecting || start < rootStart) {
+              overran = false;
+              return;
+            }
+            const startEvent = this.el.getAttribute(startBinding);
+            const firstChild = this.el.firstElementChild;
+            if (!overran && startEvent && firstChild) {
+              overran = true;
+              onStartOverrun(startEvent, firstChild);
+            }
           },
-        });
+        );
+      },
+      {
+        root: this.scrollContainer,
+        rootMargin:
+          this.axis === "x" ? "0px -100% 0px 0px" : "0px 0px -100% 0px",
       },
     );
-    this.throttles = [onTopOverrun, onFirstChildAtTop, onLastChildAtBottom];
-
-    this.onScroll = (_e: Event) => {
-      const scrollNow = scrollTop(this.scrollContainer);
-
-      if (pendingOp) {
-        scrollBefore = scrollNow;
-        return pendingOp();
-      }
-
-      const rect = this.findOverrunTarget();
-      const topEvent = this.el.getAttribute(
-        this.liveSocket.binding("viewport-top"),
-      );
-      const bottomEvent = this.el.getAttribute(
-        this.liveSocket.binding("viewport-bottom"),
-      );
-      const lastChild = this.el.lastElementChild;
-      const firstChild = this.el.firstElementChild;
-      const isScrollingUp = scrollNow < scrollBefore;
-      const isScrollingDown = scrollNow > scrollBefore;
-
-      // el overran while scrolling up
-      if (isScrollingUp && topEvent && !topOverran && rect.top >= 0) {
-        topOverran = true;
-        onTopOverrun(topEvent, firstChild);
-      } else if (isScrollingDown && topOverran && rect.top <= 0) {
-        topOverran = false;
-      }
-
-      if (
-        topEvent &&
-        isScrollingUp &&
-        firstChild &&
-        isAtViewportTop(firstChild, this.scrollContainer)
-      ) {
-        onFirstChildAtTop(topEvent, firstChild);
-      } else if (
-        bottomEvent &&
-        isScrollingDown &&
-        lastChild &&
-        isAtViewportBottom(lastChild, this.scrollContainer)
-      ) {
-        onLastChildAtBottom(bottomEvent, lastChild);
-      }
-      scrollBefore = scrollNow;
-    };
-
-    if (this.scrollContainer) {
-      this.scrollContainer.addEventListener("scroll", this.onScroll);
-    } else {
-      window.addEventListener("scroll", this.onScroll);
-    }
+    this.overrunTarget = null;
+    this.observeOverrunTarget();
   },
 
   updated() {
@@ -200,17 +220,48 @@ const InfiniteScroll: Hook<
     if (this.scrollContainer && !this.scrollContainer.isConnected) {
       this.destroyed!();
       this.mounted!();
+    } else if (this.edgeObserver) {
+      this.observeEdges();
+      this.observeOverrunTarget();
     }
   },
 
   destroyed() {
     this.throttles?.forEach((throttled) => throttled.cancel());
     this.throttles = null;
+    this.edgeObserver?.disconnect();
+    this.edgeObserver = null;
+    this.overrunObserver?.disconnect();
+    this.overrunObserver = null;
+    this.overrunTarget = null;
+  },
+
+  // observes the current first and last child, as a patch may have
+  // added or removed children at either end
+  observeEdges() {
+    const edges = [this.el.firstElementChild, this.el.lastElementChild].filter(
+      (edge, i, all): edge is Element => !!edge && all.indexOf(edge) === i,
+    );
+    this.edges
+      .filter((edge) => !edges.includes(edge))
+      .forEach((edge) => this.edgeObserver!.unobserve(edge));
+    edges
+      .filter((edge) => !this.edges.includes(edge))
+      .forEach((edge) => this.edgeObserver!.observe(edge));
+    this.edges = edges;
+  },
 
-    if (this.scrollContainer) {
-      this.scrollContainer.removeEventListener("scroll", this.onScroll);
-    } else {
-      window.removeEventListener("scroll", this.onScroll);
+  // observes the current overrun target, as a patch may have replaced it
+  observeOverrunTarget() {
+    const target = this.findOverrunTarget();
+    if (target !== this.overrunTarget) {
+      if (this.overrunTarget) {
+        this.overrunObserver!.unobserve(this.overrunTarget);
+        this.initialOverrunTargets.delete(this.overrunTarget);
+      }
+      this.initialOverrunTargets.add(target);
+      this.overrunObserver!.observe(target);
+      this.overrunTarget = target;
     }
   },
 
@@ -249,21 +300,85 @@ const InfiniteScroll: Hook<
   },
 
   findOverrunTarget() {
-    let rect;
     const overrunTarget = this.el.getAttribute(
       this.liveSocket.binding(PHX_VIEWPORT_OVERRUN_TARGET),
     );
     if (overrunTarget) {
       const overrunEl = document.getElementById(overrunTarget);
       if (overrunEl) {
-        rect = overrunEl.getBoundingClientRect();
+        return overrunEl;
       } else {
         throw new Error("did not find element with id " + overrunTarget);
       }
-    } else {
-      rect = this.el.getBoundingClientRect();
     }
-    return rect;
+    return this.el;
+  },
+};
+
+const VirtualList: Hook<
+  {
+    scrollContainer: HTMLElement | null;
+    list: VirtualListController | null;
+    frame: number | null;
+  },
+  HTMLElement
+> = {
+  mounted() {
+    this.scrollContainer = DOM.findScrollContainer(this.el);
+    const estimatedHeight = parseFloat(
+      this.el.getAttribute(this.liveSocket.binding(PHX_VIRTUAL_ITEM_HEIGHT)) ||
+        "",
+    );
+    this.list = new VirtualListController(
+      this.el,
+      () => {
+        const container = this.scrollContainer;
+        const height = container ? container.clientHeight : window.innerHeight;
+        // a scrolling list moves its children, not itself
+        if (container === this.el) {
+          return { top: container.scrollTop, height };
+        }
+        return {
+          top:
+            DOM.viewportEdges(container, "y")[0] -
+            this.el.getBoundingClientRect().top,
+          height,
+        };
+      },
+      isNaN(estimatedHeight) ? null : estimatedHeight,
+    );
+    this.frame = null;
+    this.onScroll = () => {
+      if (this.frame === null) {
+        this.frame = window.requestAnimationFrame(() => {
+          this.frame = null;
+          this.list?.render();
+        });
+      }
+    };
+    (this.scrollContainer || window).addEventListener("scroll", this.onScroll, {
+      passive: true,
+    });
+    window.addEventListener("resize", this.onScroll);
+    this.list.render();
+  },
+
+  updated() {
+    this.list?.render();
+  },
+
+  destroyed() {
+    (this.scrollContainer || window).removeEventListener(
+      "scroll",
+      this.onScroll,
+    );
+    window.removeEventListener("resize", this.onScroll);
+    if (this.frame !== null) {
+      window.cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.list?.destroy();
+    this.list = null;
   },
 };
 
@@ -300,9 +415,31 @@ const LiveFileUpload: Hook<object, HTMLInputElement> = {
     this.preflightedWas = this.preflightedRefs();
     this.errorRefsWas = this.errorRefs();
     this.el.addEventListener("input", () => this.maybeRemoveRequired());
+    this.el.addEventListener(PHX_LIVE_FILE_REJECTED, (e) =>
+      this.onRejected((e as CustomEvent).detail.errors),
+    );
     this.maybeRemoveRequired();
   },
 
+  onRejected(errors: Array<{ file: File | Blob; reason: string }>) {
+    // rejected files are never tracked, so a single file input must not
+    // keep showing the rejected selection
+    if (!this.el.multiple) {
+      this.el.value = "";
+    }
+    this.__view().log(
+      "upload",
+      () => [
+        `rejected ${errors.length} file(s) for ${this.el.name}`,
+        errors.map(({ reason }) => reason),
+      ],
+      {
+        code: "upload.entry-rejected",
+        metadata: () => ({ name: this.el.name, errors }),
+      },
+    );
+  },
+
   updated() {
     const newPreflights = this.preflightedRefs();
     const newErrorRefs = this.errorRefs();
@@ -380,6 +517,7 @@ const Hooks: Record<string, Hook<any, any>> = {
     },
   },
   InfiniteScroll,
+  VirtualList,
 };
 
 export default Hooks;
@@ -8,19 +8,39 @@
  * @packageDocumentation
  */
 
-import LiveSocket, { type LiveSocketOptions, isUsedInput } from "./live_socket";
+import LiveSocket, {
+  type LiveSocketOptions,
+  type ReloadContext,
+  type ReloadDecision,
+  type ReloadReason,
+  type ReloadStrategy,
+  type UploadTransformer,
+  isUsedInput,
+} from "./live_socket";
 import DOM from "./dom";
 import { ViewHook } from "./view_hook";
 import View from "./view";
 import { logError } from "./diagnostics";
 
-import type { EncodedJS } from "./js_commands";
+import type { EncodedJS, JSCommand, JSCommandContext } from "./js_commands";
 import type { Hook, HooksOptions, HookInterface } from "./view_hook";
 import LiveUploader from "./live_uploader";
 import { RenderingBuffer, ReportingBuffer } from "./rendered/buffer";
 import type { BufferFrame } from "./rendered/buffer";
 
-export type { LiveSocketOptions, HookInterface, HooksOptions, EncodedJS };
+export type {
+  LiveSocketOptions,
+  HookInterface,
+  HooksOptions,
+  EncodedJS,
+  JSCommand,
+  JSCommandContext,
+  ReloadContext,
+  ReloadDecision,
+  ReloadReason,
+  ReloadStrategy,
+  UploadTransformer,
+};
 
 /** Creates a hook instance for the given element and callbacks.
  *
@@ -1,8 +1,10 @@
 import DOM from "./dom";
 import ARIA from "./aria";
+import { prefersReducedMotion } from "./utils";
 
 const focusStack = [];
 const default_transition_time = 200;
+const max_animation_blocking_time = 1000;
 
 const JS = {
   // private
@@ -23,12 +25,32 @@ const JS = {
         args = { ...defaultArgs, ...args };
         args.callback = args.callback || defaultArgs.callback;
       }
+      const command = this.findCommand(view, kind);
+      if (!command) {
+        view.logError(
+          "js.unknown-command",
+          `unknown JS command "${kind}". Custom commands must be registered with the jsCommands option of the LiveSocket`,
+          { kind },
+          { attribution: "app" },
+        );
+        return;
+      }
       this.filterToEls(view.liveSocket, sourceEl, args).forEach((el) => {
-        this[`exec_${kind}`](e, eventType, phxEvent, view, sourceEl, el, args);
+        command(e, eventType, phxEvent, view, sourceEl, el, args);
       });
     });
   },
 
+  // built-in commands take precedence over the ones registered with
+  // the jsCommands option of the LiveSocket
+  findCommand(view, kind) {
+    const builtin = this[`exec_${kind}`];
+    if (typeof builtin === "function") {
+      return builtin.bind(this);
+    }
+    return view.liveSocket.getJSCommand(kind);
+  },
+
   isVisible(el) {
     return !!(
       el.offsetWidth ||
@@ -108,7 +130,11 @@ const JS = {
     const phxTarget =
       target || targetSrc.getAttribute(view.binding("target")) || targetSrc;
     const handler = (targetView, targetCtx) => {
-      if (!targetView.isConnected()) {
+      // change events are never queued, as forms are recovered on rejoin
+      if (
+        !targetView.isConnected() &&
+        (eventType === "change" || !targetView.canQueuePush(sourceEl))
+      ) {
         return;
       }
       if (eventType === "change") {
@@ -158,25 +184,53 @@ const JS = {
     }
   },
 
-  exec_navigate(e, eventType, phxEvent, view, sourceEl, el, { href, replace }) {
+  exec_navigate(
+    e,
+    eventType,
+    phxEvent,
+    view,
+    sourceEl,
+    el,
+    { href, replace, transition },
+  ) {
     view.liveSocket.historyRedirect(
       e,
       href,
       replace ? "replace" : "push",
       null,
       sourceEl,
+      undefined,
+      transition || null,
     );
   },
 
-  exec_patch(e, eventType, phxEvent, view, sourceEl, el, { href, replace }) {
+  exec_patch(
+    e,
+    eventType,
+    phxEvent,
+    view,
+    sourceEl,
+    el,
+    { href, replace, transition },
+  ) {
     view.liveSocket.pushHistoryPatch(
       e,
       href,
       replace ? "replace" : "push",
       sourceEl,
+      undefined,
+      transition || null,
     );
   },
 
+  exec_pause_upload(e, eventType, phxEvent, view, sourceEl, el, { ref }) {
+    view.pauseUpload(ref);
+  },
+
+  exec_resume_upload(e, eventType, phxEvent, view, sourceEl, el, { ref }) {
+    view.resumeUpload(ref);
+  },
+
   exec_focus(e, eventType, phxEvent, view, sourceEl, el) {
     ARIA.attemptFocus(el);
     // in case the JS.focus command is in a JS.show/hide/toggle chain, for show we need
@@ -294,6 +348,18 @@ const JS = {
     this.addOrRemoveClasses(el, [], [], transition, time, view, blocking);
   },
 
+  exec_animate(
+    e,
+    eventType,
+    phxEvent,
+    view,
+    sourceEl,
+    el,
+    { keyframes, options, blocking },
+  ) {
+    this.animate(el, keyframes, options, view.liveSocket, blocking);
+  },
+
   exec_toggle(
     e,
     eventType,
@@ -346,6 +412,34 @@ const JS = {
     this.setOrRemoveAttrs(el, [], [attr]);
   },
 
+  exec_show_modal(e, eventType, phxEvent, view, sourceEl, el) {
+    this.setDialogOpen(el, true);
+  },
+
+  exec_close_dialog(
+    e,
+    eventType,
+    phxEvent,
+    view,
+    sourceEl,
+    el,
+    { return_value },
+  ) {
+    this.setDialogOpen(el, false, return_value);
+  },
+
+  exec_show_popover(e, eventType, phxEvent, view, sourceEl, el) {
+    this.setPopoverOpen(el, true);
+  },
+
+  exec_hide_popover(e, eventType, phxEvent, view, sourceEl, el) {
+    this.setPopoverOpen(el, false);
+  },
+
+  exec_toggle_popover(e, eventType, phxEvent, view, sourceEl, el) {
+    this.setPopoverOpen(el, !this.isPopoverOpen(el));
+  },
+
   ignoreAttrs(el, attrs) {
     DOM.putPrivate(el, "JS:ignore_attrs", {
       apply: (fromEl, toEl) => {
@@ -549,6 +643,95 @@ const JS = {
     }
   },
 
+  animate(el, keyframes, options, liveSocket, blocking) {
+    if (typeof el.animate !== "function") {
+      return;
+    }
+    options = { duration: default_transition_time, ...options };
+    // JSON has no infinity, therefore the server encodes it as a string
+    if (options.iterations === "infinity") {
+      options.iterations = Infinity;
+    }
+    // users preferring reduced motion get the end state without the motion,
+    // as the final keyframe may be kept with the fill option
+    if (prefersReducedMotion()) {
+      options = { ...options, duration: 0, delay: 0, endDelay: 0 };
+    }
+    const animation = el.animate(keyframes, options);
+    // endless animations never finish, therefore they cannot block the
+    // patches, and long ones release them after the maximum blocking time
+    const endless =
+      options.iterations === Infinity || options.duration === Infinity;
+    if (blocking !== false && !endless) {
+      // a cancelled animation rejects, but must still release the patches
+      liveSocket.asyncTransition(
+        Promise.race([
+          animation.finished.then(
+            () => {},
+            () => {},
+          ),
+          new Promise((resolve) =>
+            setTimeout(resolve, max_animation_blocking_time),
+          ),
+        ]),
+      );
+    }
+  },
+
+  setDialogOpen(el, open, returnValue) {
+    if (typeof el.showModal !== "function") {
+      return;
+    }
+    if (open && !el.open) {
+      el.showModal();
+    } else if (!open && el.open) {
+      el.close(returnValue);
+    }
+    // The open attribute is not rendered by the server, therefore a patch
+    // would remove it and leave the dialog in an inconsistent state. The
+    // patched element mirrors the current state of the dialog instead of the
+    // one set by this command, as the dialog may also be closed natively,
+    // for example with the Esc key or a form with method="dialog".
+    DOM.putSticky(el, "dialog", (currentEl) => {
+      if (currentEl !== el) {
+        currentEl.toggleAttribute("open", el.open);
+      }
+    });
+  },
+
+  setPopoverOpen(el, open) {
+    if (typeof el.showPopover !== "function") {
+      return;
+    }
+    if (open && !this.isPopoverOpen(el)) {
+      el.showPopover();
+    } else if (!open && this.isPopoverOpen(el)) {
+      el.hidePopover();
+    }
+    // The open state of a popover is not reflected in its attributes, but the
+    // browser hides a popover that a patch moves within the document, for
+    // example when reordering a stream. A popover open before the patch is
+    // shown again afterwards, while popovers closed natively stay closed.
+    DOM.putSticky(el, "popover", () => {
+      if (!this.isPopoverOpen(el)) {
+        return;
+      }
+      window.requestAnimationFrame(() => {
+        if (el.isConnected && !this.isPopoverOpen(el)) {
+          el.showPopover();
+        }
+      });
+    });
+  },
+
+  isPopoverOpen(el) {
+    try {
+      return el.matches(":popover-open");
+    } catch {
+      return false;
+    }
+  },
+
   addOrRemoveClasses(el, adds, removes, transition, time, view, blocking) {
     time = time == null ? default_transition_time : time;
     const [transitionRun, transitionStart, transitionEnd] = transition || [
@@ -1,4 +1,5 @@
 import JS from "./js";
+import DOM from "./dom";
 import LiveSocket from "./live_socket";
 import { ensureSameOrigin } from "./utils";
 
@@ -65,6 +66,15 @@ type TransitionCommandOpts = {
   blocking?: boolean;
 };
 
+// Options specific to the 'animate' command
+type AnimateOpts = KeyframeAnimationOptions & {
+  /**
+   * Whether to block UI until the animation is finished, for at most one
+   * second. Endless animations never block. Defaults `true`.
+   */
+  blocking?: boolean;
+};
+
 type PushOpts = {
   /** Data to be merged into the event payload. */
   value?: any;
@@ -78,6 +88,10 @@ type PushOpts = {
 type NavigationOpts = {
   /** Whether to replace the current history entry instead of pushing a new one. */
   replace?: boolean;
+  /** A signal to cancel the navigation while it is pending. */
+  signal?: AbortSignal;
+  /** The name of the view transition to run, see `phx-view-transition`. */
+  transition?: string;
 };
 
 /**
@@ -171,6 +185,60 @@ export interface AllJSCommands {
     opts?: TransitionCommandOpts,
   ): void;
 
+  /**
+   * Animates an element with the Web Animations API.
+   *
+   * The animation runs without motion when the user prefers reduced motion,
+   * applying the final keyframe if it is kept with the `fill` option.
+   *
+   * @param el - The element to animate.
+   * @param keyframes - The keyframes, as accepted by `Element.animate()`.
+   * @param [opts={}] - The options of `Element.animate()`, such as `duration`,
+   *   `easing` and `fill`, and `blocking`. The duration defaults to `200`.
+   */
+  animate(
+    el: HTMLElement,
+    keyframes: Keyframe[] | PropertyIndexedKeyframes,
+    opts?: AnimateOpts,
+  ): void;
+
+  /**
+   * Opens a `<dialog>` element as a modal dialog. The open state is kept
+   * across patches, including when the dialog is closed natively.
+   *
+   * @param el - The dialog to open.
+   */
+  showModal(el: HTMLDialogElement): void;
+
+  /**
+   * Closes a `<dialog>` element.
+   *
+   * @param el - The dialog to close.
+   * @param [returnValue] - The value to set as the `returnValue` of the dialog.
+   */
+  closeDialog(el: HTMLDialogElement, returnValue?: string): void;
+
+  /**
+   * Shows a popover element.
+   *
+   * @param el - The element with the `popover` attribute to show.
+   */
+  showPopover(el: HTMLElement): void;
+
+  /**
+   * Hides a popover element.
+   *
+   * @param el - The element with the `popover` attribute to hide.
+   */
+  hidePopover(el: HTMLElement): void;
+
+  /**
+   * Shows or hides a popover element based on its open state.
+   *
+   * @param el - The element with the `popover` attribute to toggle.
+   */
+  togglePopover(el: HTMLElement): void;
+
   /**
    * Sets an attribute on an element.
    *
@@ -219,7 +287,7 @@ export interface AllJSCommands {
    *
    * @param href - The URL to navigate to.
    * @param [opts={}] - Optional settings.
-   *   Accepts: `replace`.
+   *   Accepts: `replace`, `signal`, `transition`.
    */
   navigate(href: string, opts?: NavigationOpts): void;
 
@@ -228,7 +296,7 @@ export interface AllJSCommands {
    *
    * @param href - The URL to patch to.
    * @param [opts={}] - Optional settings.
-   *   Accepts: `replace`.
+   *   Accepts: `replace`, `signal`, `transition`.
    */
   patch(href: string, opts?: NavigationOpts): void;
 
@@ -239,6 +307,23 @@ export interface AllJSCommands {
    * @param attrs - The attribute name or names to ignore.
    */
   ignoreAttributes(el: HTMLElement, attrs: string | string[]): void;
+
+  /**
+   * Pauses an in-progress upload entry. No further chunks are sent until
+   * the entry is resumed, while the upload channel is kept alive.
+   *
+   * @param el - An element that belongs to the LiveView owning the upload.
+   * @param ref - The ref of the upload entry to pause.
+   */
+  pauseUpload(el: HTMLElement, ref: string): void;
+
+  /**
+   * Resumes a paused upload entry from the last sent offset.
+   *
+   * @param el - An element that belongs to the LiveView owning the upload.
+   * @param ref - The ref of the upload entry to resume.
+   */
+  resumeUpload(el: HTMLElement, ref: string): void;
 }
 
 export default (
@@ -338,6 +423,25 @@ export default (
         opts.blocking,
       );
     },
+    animate(el, keyframes, opts = {}) {
+      const { blocking, ...options } = opts;
+      JS.animate(el, keyframes, options, liveSocket, blocking);
+    },
+    showModal(el) {
+      JS.setDialogOpen(el, true);
+    },
+    closeDialog(el, returnValue) {
+      JS.setDialogOpen(el, false, returnValue);
+    },
+    showPopover(el) {
+      JS.setPopoverOpen(el, true);
+    },
+    hidePopover(el) {
+      JS.setPopoverOpen(el, false);
+    },
+    togglePopover(el) {
+      JS.setPopoverOpen(el, !JS.isPopoverOpen(el));
+    },
     setAttribute(el, attr, val) {
       JS.setOrRemoveAttrs(el, [[attr, val]], []);
     },
@@ -364,6 +468,8 @@ export default (
         opts.replace ? "replace" : "push",
         null,
         null,
+        liveSocket.newNavigationController(opts.signal),
+        opts.transition || null,
       );
     },
     patch(href, opts = {}) {
@@ -374,11 +480,96 @@ export default (
         href,
         opts.replace ? "replace" : "push",
         null,
+        liveSocket.newNavigationController(opts.signal),
+        opts.transition || null,
       );
     },
     ignoreAttributes(el, attrs) {
       JS.ignoreAttrs(el, Array.isArray(attrs) ? attrs : [attrs]);
     },
+    pauseUpload(el, ref) {
+      liveSocket.owner(el, (view) => view.pauseUpload(ref));
+    },
+    resumeUpload(el, ref) {
+      liveSocket.owner(el, (view) => view.resumeUpload(ref));
+    },
+  };
+};
+
+/**
+ * The context custom JS commands are executed with as `this`.
+ */
+export interface JSCommandContext {
+  /** Returns the JS commands of the LiveSocket to run built-in commands. */
+  js(): LiveSocketJSCommands;
+
+  /**
+   * Applies `op` to the element and applies it again whenever the element
+   * is patched, just like the built-in commands keep their changes across
+   * patches. A later call with the same name replaces the previous `op`.
+   *
+   * @param el - The element to change.
+   * @param name - The name of the change.
+   * @param op - The function applying the change.
+   */
+  sticky(el: HTMLElement, name: string, op: (el: HTMLElement) => void): void;
+
+  /**
+   * Defers DOM patches for the given time, like the transitions of
+   * built-in commands.
+   *
+   * @param time - The duration in milliseconds.
+   * @param onStart - Called immediately.
+   * @param onDone - Called once the time has passed.
+   */
+  transition(time: number, onStart: () => void, onDone?: () => void): void;
+
+  /**
+   * Defers DOM patches until the promise is settled.
+   *
+   * @param promise - The promise to wait for.
+   */
+  asyncTransition(promise: Promise<unknown>): void;
+}
+
+/**
+ * A custom JS command, registered with the `jsCommands` option of the
+ * LiveSocket. It receives the same arguments as the built-in commands,
+ * once for each element targeted by the `to` option, and is called with
+ * a {@link JSCommandContext} as `this`.
+ */
+export type JSCommand = (
+  this: JSCommandContext,
+  e: Event | null,
+  eventType: string | null,
+  phxEvent: EncodedJS | null,
+  view: unknown,
+  sourceEl: HTMLElement | null,
+  el: HTMLElement,
+  args: { [key: string]: any },
+) => void;
+
+export const jsCommandContext = (liveSocket: LiveSocket): JSCommandContext => {
+  return {
+    js() {
+      return liveSocket.js();
+    },
+    sticky(el, name, op) {
+      // custom names must not replace the sticky operations of built-in commands
+      DOM.putSticky(el, `custom:${name}`, op);
+    },
+    transition(time, onStart, onDone = () => {}) {
+      liveSocket.transition(time, onStart, onDone);
+    },
+    asyncTransition(promise) {
+      // a rejected promise must not defer patches forever
+      liveSocket.asyncTransition(
+        promise.then(
+          () => {},
+          () => {},
+        ),
+      );
+    },
   };
 };
 
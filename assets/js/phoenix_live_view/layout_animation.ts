@@ -0,0 +1,97 @@
+import DOM from "./dom";
+import { prefersReducedMotion } from "./utils";
+
+// the duration in milliseconds used when phx-animate-layout has no value
+const DEFAULT_DURATION = 200;
+
+/**
+ * Animates the children of a container from their position before a patch
+ * to their new position, using the FLIP technique: the positions are
+ * recorded before the patch (first), read again afterwards (last), and the
+ * difference is played back as an inverted transform with the Web
+ * Animations API.
+ *
+ * Children that moved, for example through a stream insert at a position or
+ * a keyed reorder, or because a sibling was inserted or deleted, slide into
+ * place. Inserted children fade in. Removed children are not animated, as
+ * `phx-remove` covers them.
+ */
+export default class LayoutAnimation {
+  private container: Element;
+  private duration: number;
+  private positions: Map<Element, DOMRect>;
+
+  static duration(value: string | null) {
+    const duration = parseInt(value || "");
+    return isNaN(duration) || duration < 0 ? DEFAULT_DURATION : duration;
+  }
+
+  static isSupported() {
+    return (
+      typeof Element.prototype.animate === "function" && !prefersReducedMotion()
+    );
+  }
+
+  constructor(container: Element, duration: number) {
+    this.container = container;
+    this.duration = duration;
+    this.positions = new Map(
+      Array.from(container.children).map((child) => [
+        child,
+        child.getBoundingClientRect(),
+      ]),
+    );
+  }
+
+  /**
+   * Starts the animations of the children that changed position.
+   * Returns a promise that resolves once all of them are finished,
+   * or null if nothing is animated.
+   */
+  perform(): Promise<void> | null {
+    if (!this.container.isConnected) {
+      return null;
+    }
+    const options = { duration: this.duration, easing: "ease-in-out" };
+    const animations: Promise<void>[] = [];
+    Array.from(this.container.children).forEach((child) => {
+      // an animation still running from a previous patch was already
+      // included in the recorded position, so we continue from there
+      DOM.private(child, "layoutAnimation")?.cancel();
+      const first = this.positions.get(child);
+      let animation: Animation | null = null;
+      if (!first) {
+        animation = child.animate([{ opacity: 0 }, { opacity: 1 }], options);
+      } else {
+        const last = child.getBoundingClientRect();
+        const dx = first.left - last.left;
+        const dy = first.top - last.top;
+        if (dx !== 0 || dy !== 0) {
+          animation = child.animate(
+            [
+              { transform: `translate(${dx}px, ${dy}px)` },
+              { transform: "none" },
+            ],
+            options,
+          );
+        }
+      }
+      if (animation) {
+        const current = animation;
+        DOM.putPrivate(child, "layoutAnimation", current);
+        // a cancelled animation rejects its finished promise, but it must
+        // still release the patches waiting for it
+        const release = () => {
+          if (DOM.private(child, "layoutAnimation") === current) {
+            DOM.deletePrivate(child, "layoutAnimation");
+          }
+        };
+        animations.push(current.finished.then(release, release));
+      }
+    });
+    if (animations.length === 0) {
+      return null;
+    }
+    return Promise.all(animations).then(() => {});
+  }
+}
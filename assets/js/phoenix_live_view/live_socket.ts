@@ -7,10 +7,15 @@ import {
   FAILSAFE_JITTER,
   LOADER_TIMEOUT,
   DISCONNECTED_TIMEOUT,
+  MAX_DROPPED_FILES,
+  MAX_PREFETCHES,
   MAX_RELOADS,
   PHX_DEBOUNCE,
   PHX_DROP_TARGET,
+  PHX_LIVE_FILE_REJECTED,
+  PHX_PASTE_TARGET,
   PHX_HAS_FOCUSED,
+  PHX_HOOK,
   PHX_KEY,
   PHX_LINK_STATE,
   PHX_LIVE_LINK,
@@ -20,18 +25,27 @@ import {
   PHX_LV_HISTORY_POSITION,
   PHX_MAIN,
   PHX_PARENT_ID,
+  PHX_PREFETCH,
   PHX_VIEW_SELECTOR,
   PHX_ROOT_ID,
+  PHX_SCROLL_RESTORE,
   PHX_THROTTLE,
   PHX_TRACK_UPLOADS,
+  PHX_UPLOAD_TRANSFORM,
+  PHX_VIEW_TRANSITION,
+  PHX_VIEW_TRANSITION_NAME,
+  PHX_VIEW_TRANSITION_DIRECTION,
   PHX_SESSION,
   RELOAD_JITTER_MIN,
   RELOAD_JITTER_MAX,
+  SNAPSHOT_CACHE_SIZE,
   PHX_REF_SRC,
   PHX_RELOAD_STATUS,
   PHX_RUNTIME_HOOK,
   PHX_DROP_TARGET_ACTIVE_CLASS,
   PHX_TELEPORTED_SRC,
+  PREFETCH_HOVER_DELAY,
+  PREFETCH_TIMEOUT,
 } from "./constants";
 
 import {
@@ -50,18 +64,63 @@ import {
   type LiveViewDiagnosticMetadata,
 } from "./diagnostics";
 
-import Browser from "./browser";
+import Browser, { NAVIGATION_COMMIT, type HistoryMeta } from "./browser";
 import DOM from "./dom";
 import Hooks from "./hooks";
 import LiveUploader from "./live_uploader";
 import View from "./view";
 import JS from "./js";
-import jsCommands, { EncodedJS, LiveSocketJSCommands } from "./js_commands";
+import jsCommands, {
+  EncodedJS,
+  JSCommand,
+  jsCommandContext,
+  LiveSocketJSCommands,
+} from "./js_commands";
 import { HooksOptions } from "./view_hook";
 import { RenderingBuffer, ReportingBuffer } from "./rendered/buffer";
 
 const BUFFERS = Object.freeze({ RenderingBuffer, ReportingBuffer });
 
+type PrefetchIntent = "hover" | "focus" | "viewport";
+
+// A LiveView joined ahead of a live navigation by `phx-prefetch`.
+type Prefetch = {
+  href: string;
+  view: View;
+  timer: ReturnType<typeof setTimeout> | null;
+  // the join callback arguments, kept until the view is swapped in
+  joined: [joinCount: number, onDone: () => void] | null;
+  onJoined: ((joinCount: number, onDone: () => void) => void) | null;
+};
+
+// The DOM of a main LiveView left at a history position.
+type Snapshot = { href: string; el: Element };
+
+// The scroll offsets of phx-scroll-restore containers, by id.
+type ScrollOffsets = Record<string, { top: number; left: number }>;
+
+// The info of the Navigation API navigations started for live navigations,
+// running the live navigation once the navigation is intercepted.
+type LiveNavigationInfo = { phxNavigation: () => void };
+
+// A live navigation intercepted from the Navigation API, whose URL is committed
+// once the live navigation is done.
+type InterceptedNavigation = {
+  href: string;
+  commit: (meta: HistoryMeta, onCommitted: () => void) => void;
+  cancel: () => void;
+};
+
+/**
+ * The named view transition of a live navigation, see `phx-view-transition`.
+ *
+ * @internal
+ */
+export type NavigationTransition = {
+  name: string;
+  direction: "forward" | "backward";
+};
+
 /**
  * Returns true if the given element was touched by a user.
  * @param {HTMLElement} el - The element to check.
@@ -69,6 +128,108 @@ const BUFFERS = Object.freeze({ RenderingBuffer, ReportingBuffer });
  */
 export const isUsedInput = (el) => DOM.isUsedInput(el);
 
+// When wrapping an SVG element in an anchor tag, the href can be an SVGAnimatedString
+const linkHref = (link: HTMLAnchorElement): string =>
+  (link.href as unknown) instanceof SVGAnimatedString
+    ? (link.href as unknown as SVGAnimatedString).baseVal
+    : link.href;
+
+/**
+ * The reason why LiveView wants to recover by reloading the page.
+ *
+ * - `"join-error"` - the main LiveView failed to join.
+ * - `"push-timeout"` - the server did not reply to a pushed event in time.
+ * - `"server-close"` - the server closed the socket, for example on a `"disconnect"` broadcast.
+ * - `"navigation"` - the main LiveView closed while a live navigation was pending.
+ */
+export type ReloadReason =
+  "join-error" | "push-timeout" | "server-close" | "navigation";
+
+/**
+ * Information passed to {@link ReloadStrategy.decide}.
+ */
+export interface ReloadContext {
+  /** The reason why recovery is necessary. */
+  reason: ReloadReason;
+  /**
+   * The number of consecutive recovery attempts for the current path,
+   * including the current one. The counter survives page reloads and is
+   * reset once the main LiveView joins successfully.
+   */
+  attempt: number;
+  /** The id of the LiveView that triggered the recovery. */
+  viewId: string;
+}
+
+/**
+ * The recovery action chosen by a {@link ReloadStrategy}.
+ *
+ * - `{action: "reload", delay}` - reloads the page after `delay` milliseconds.
+ * - `{action: "halt"}` - disconnects without reloading, leaving the page in its
+ *   disconnected state. A `phx:reload-halted` event is dispatched on `window`
+ *   with the {@link ReloadContext} in `detail`, so the app can inform the user
+ *   and offer to recover by reloading the page. The attempt counter is kept
+ *   across that reload, so the strategy sees the next attempt if it fails again.
+ *
+ * ```javascript
+ * window.addEventListener("phx:reload-halted", ({detail}) => {
+ *   showBanner(`Connection lost (${detail.reason})`, {
+ *     action: "Retry",
+ *     onClick: () => window.location.reload()
+ *   })
+ * })
+ * ```
+ */
+export type ReloadDecision =
+  { action: "reload"; delay: number } | { action: "halt" };
+
+/**
+ * A strategy deciding how LiveView recovers from failures that require a
+ * full page reload.
+ *
+ * Example of an exponential backoff that stops reloading after 5 attempts:
+ *
+ * ```javascript
+ * let reloadStrategy = {
+ *   decide({attempt}) {
+ *     if (attempt > 5) return {action: "halt"}
+ *     return {action: "reload", delay: Math.min(1000 * 2 ** attempt, 30000)}
+ *   }
+ * }
+ * ```
+ */
+export interface ReloadStrategy {
+  decide(context: ReloadContext): ReloadDecision;
+}
+
+/**
+ * A function transforming a file selected for upload before it is sent for
+ * preflight, for example to resize images. The returned file replaces the
+ * selected one, including for `Phoenix.Component.live_img_preview/1`.
+ *
+ * Transformers are registered with the `uploadTransformers` option and
+ * applied to file inputs with a matching `phx-upload-transform` attribute:
+ *
+ * ```javascript
+ * let uploadTransformers = {
+ *   resize: async (file) => {
+ *     let bitmap = await createImageBitmap(file)
+ *     let scale = Math.min(1, 1024 / Math.max(bitmap.width, bitmap.height))
+ *     let canvas = new OffscreenCanvas(bitmap.width * scale, bitmap.height * scale)
+ *     canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+ *     let blob = await canvas.convertToBlob({type: "image/jpeg", quality: 0.8})
+ *     return new File([blob], file.name, {type: blob.type})
+ *   }
+ * }
+ * ```
+ *
+ * If the transformer throws or rejects, the original file is uploaded instead.
+ */
+export type UploadTransformer = (
+  file: File | Blob,
+  context: { input: HTMLInputElement },
+) => File | Blob | Promise<File | Blob>;
+
 /**
  * Options for configuring the LiveSocket instance.
  */
@@ -103,10 +264,64 @@ export interface LiveSocketOptions {
    * See [Client hooks via `phx-hook`](https://phoenix-live-view.hexdocs.pm/js-interop.html#client-hooks-via-phx-hook) for more information.
    */
   hooks?: HooksOptions;
+  /**
+   * Custom JS commands, by name. They can be executed like built-in commands
+   * from the server with `Phoenix.LiveView.JS.command/3`. See {@link JSCommand}.
+   *
+   * Built-in commands take precedence over custom ones of the same name.
+   */
+  jsCommands?: { [name: string]: JSCommand };
   /** Callbacks for LiveView uploaders. */
   uploaders?: { [key: string]: any }; // TODO: define more specifically
+  /**
+   * Transformers for files selected for upload, applied to file inputs
+   * annotated with `phx-upload-transform`. See {@link UploadTransformer}.
+   */
+  uploadTransformers?: { [key: string]: UploadTransformer };
+  /**
+   * Maximum number of files read from directories dropped on a
+   * `phx-drop-target`. Drops exceeding it are rejected with `"too_many_files"`.
+   * Defaults to `1000`.
+   */
+  maxDroppedFiles?: number;
   /** Delay in milliseconds before applying loading states. */
   loaderTimeout?: number;
+  /**
+   * Time in milliseconds a LiveView joined by `phx-prefetch` is kept
+   * before it is discarded, unless navigated to. Defaults to `10000`.
+   */
+  prefetchTimeout?: number;
+  /**
+   * Maximum number of pages kept in memory to be shown instantly when
+   * navigating back or forward, until the LiveView of the page has joined.
+   * Set to `0` to disable. Defaults to `10`.
+   */
+  snapshotCacheSize?: number;
+  /**
+   * If set to `true`, live navigation uses the
+   * [Navigation API](https://developer.mozilla.org/docs/Web/API/Navigation_API)
+   * in browsers supporting it. Pending live navigations are then reflected
+   * by `navigation.transition` and can be aborted, for example by the
+   * browser's stop button. Other browsers use the History API.
+   *
+   * Defaults to `false`.
+   */
+  navigationApi?: boolean;
+  /**
+   * How tracked static assets (see `phx-track-static`) that changed on the
+   * server since the page was loaded are handled:
+   *
+   * - `"ignore"` - nothing happens on the client. The LiveView can still check
+   *   `Phoenix.LiveView.static_changed?/1` on mount.
+   * - `"notify"` - a `phx:assets-stale` event with the changed URLs in
+   *   `detail.urls` is dispatched on `window`, so the app can show a
+   *   "new version available" banner. The page is not reloaded until the next
+   *   live navigation, which then performs a regular page load, or until the
+   *   app reloads it.
+   *
+   * Defaults to `"ignore"`.
+   */
+  staleAssets?: "ignore" | "notify";
   /** Delay in milliseconds before executing phx-disconnected commands. */
   disconnectedTimeout?: number;
   /** Maximum reloads before entering failsafe mode. */
@@ -117,6 +332,20 @@ export interface LiveSocketOptions {
   reloadJitterMax?: number;
   /** Time between reload attempts in failsafe mode. */
   failsafeJitter?: number;
+  /**
+   * A {@link ReloadStrategy} that decides whether and when the page is reloaded
+   * to recover from failures. Each decision is dispatched as a
+   * `"view.reload-decision"` diagnostic, at `"debug"` level for reloads and at
+   * `"error"` level when halting. Halting also dispatches a `phx:reload-halted`
+   * event on `window`.
+   *
+   * When set, `maxReloads`, `reloadJitterMin`, `reloadJitterMax` and
+   * `failsafeJitter` are ignored.
+   *
+   * Defaults to reloading after a random delay between `reloadJitterMin` and
+   * `reloadJitterMax`, or after `failsafeJitter` once `maxReloads` is exceeded.
+   */
+  reloadStrategy?: ReloadStrategy;
   /**
    * Function to log debug information. For example:
    *
@@ -198,6 +427,25 @@ export interface LiveSocketOptions {
    * Defaults to `true`.
    */
   cascadePhxRemoveOnNavigation?: boolean;
+  /**
+   * If set to `true`, events pushed while the LiveView is disconnected are
+   * queued instead of being dropped and replayed in order once the LiveView
+   * rejoins. This applies to `phx-click` and other element bindings,
+   * `phx-submit` and `pushEvent` from hooks. `phx-change` events are never
+   * queued, as form recovery sends the latest form state on rejoin.
+   *
+   * Queued events keep their loading states until they are acknowledged and
+   * are persisted in `sessionStorage`, so they are also replayed if the page
+   * is reloaded at the same URL before the LiveView rejoins, as long as the
+   * server confirms that the same LiveView and session is mounted. Events
+   * targeting LiveComponents are not replayed after a reload. If the
+   * LiveView is destroyed before it rejoins, awaited pushes are rejected.
+   *
+   * Individual elements can opt out by setting `phx-queue="false"`.
+   *
+   * Defaults to `false`.
+   */
+  queueEventsWhileDisconnected?: boolean;
   /** DOM callbacks. */
   dom?: {
     /**
@@ -275,6 +523,7 @@ export default class LiveSocket {
   private pendingLink: string | null;
   private currentLocation: Location;
   private hooks: HooksOptions;
+  private jsCommands: { [name: string]: JSCommand };
   /** @internal */
   loaderTimeout: number;
   private reloadWithJitterTimer: ReturnType<typeof setTimeout> | null;
@@ -282,13 +531,17 @@ export default class LiveSocket {
   private reloadJitterMin: number;
   private reloadJitterMax: number;
   private failsafeJitter: number;
+  private reloadStrategy: ReloadStrategy | null;
   /** @internal */
   localStorage: Storage;
-  private sessionStorage: Storage;
+  /** @internal */
+  sessionStorage: Storage;
   private boundTopLevelEvents: boolean;
   private boundEventNames: Set<string>;
   private blockPhxChangeWhileComposing: boolean;
   private cascadePhxRemoveOnNavigation: boolean;
+  /** @internal */
+  queueEventsWhileDisconnected: boolean;
   private serverCloseRef: string | null;
   /** @internal */
   domCallbacks: {
@@ -314,6 +567,24 @@ export default class LiveSocket {
   /** @internal */
   uploaders: any;
   /** @internal */
+  uploadTransformers: { [key: string]: UploadTransformer };
+  private maxDroppedFiles: number;
+  private prefetchTimeout: number;
+  private prefetches: Map<string, Prefetch>;
+  private prefetchRef: number;
+  private prefetchObserver: IntersectionObserver | null;
+  private snapshotCacheSize: number;
+  private snapshots: Map<number, Snapshot>;
+  private scrollContainersTimer: ReturnType<typeof setTimeout> | null;
+  private navigationApi: boolean;
+  private navigationRef: number;
+  private runningNavigation: boolean;
+  private interceptedNavigation: InterceptedNavigation | null;
+  private navigationController: AbortController | null;
+  private viewTransition: ViewTransition | null;
+  private staleAssets: "ignore" | "notify";
+  private staleAssetUrls: string[] | null;
+  /** @internal */
   disconnectedTimeout: number;
   /** @internal */
   RenderingBuffer: typeof RenderingBuffer;
@@ -374,9 +645,27 @@ export default class LiveSocket {
     this.pendingLink = null;
     this.currentLocation = clone(window.location);
     this.hooks = opts.hooks || {};
+    this.jsCommands = opts.jsCommands || {};
     this.uploaders = opts.uploaders || {};
+    this.uploadTransformers = opts.uploadTransformers || {};
+    this.maxDroppedFiles = opts.maxDroppedFiles || MAX_DROPPED_FILES;
     this.RenderingBuffer = RenderingBuffer;
     this.loaderTimeout = opts.loaderTimeout || LOADER_TIMEOUT;
+    this.prefetchTimeout = opts.prefetchTimeout || PREFETCH_TIMEOUT;
+    this.prefetches = new Map();
+    this.prefetchRef = 0;
+    this.prefetchObserver = null;
+    this.snapshotCacheSize = opts.snapshotCacheSize ?? SNAPSHOT_CACHE_SIZE;
+    this.snapshots = new Map();
+    this.scrollContainersTimer = null;
+    this.navigationApi = !!opts.navigationApi && Browser.canUseNavigation();
+    this.navigationRef = 0;
+    this.runningNavigation = false;
+    this.viewTransition = null;
+    this.interceptedNavigation = null;
+    this.navigationController = null;
+    this.staleAssets = opts.staleAssets || "ignore";
+    this.staleAssetUrls = null;
     this.disconnectedTimeout = opts.disconnectedTimeout || DISCONNECTED_TIMEOUT;
     /**
      * @type {ReturnType<typeof setTimeout> | null}
@@ -386,6 +675,7 @@ export default class LiveSocket {
     this.reloadJitterMin = opts.reloadJitterMin || RELOAD_JITTER_MIN;
     this.reloadJitterMax = opts.reloadJitterMax || RELOAD_JITTER_MAX;
     this.failsafeJitter = opts.failsafeJitter || FAILSAFE_JITTER;
+    this.reloadStrategy = opts.reloadStrategy || null;
     this.localStorage = opts.localStorage || window.localStorage;
     this.sessionStorage = opts.sessionStorage || window.sessionStorage;
     this.boundTopLevelEvents = false;
@@ -395,6 +685,8 @@ export default class LiveSocket {
     // TODO: Default to false in LiveView 2.0.
     this.cascadePhxRemoveOnNavigation =
       opts.cascadePhxRemoveOnNavigation ?? true;
+    this.queueEventsWhileDisconnected =
+      opts.queueEventsWhileDisconnected || false;
     this.serverCloseRef = null;
     this.domCallbacks = Object.assign(
       {
@@ -730,13 +1022,10 @@ export default class LiveSocket {
   }
 
   /** @internal */
-  reloadWithJitter(view, log?) {
+  reloadWithJitter(view, reason: ReloadReason, log?) {
     this.reloadWithJitterTimer != null &&
       clearTimeout(this.reloadWithJitterTimer);
     this.disconnect();
-    const minMs = this.reloadJitterMin;
-    const maxMs = this.reloadJitterMax;
-    let afterMs = Math.floor(Math.random() * (maxMs - minMs + 1)) + minMs;
     const tries = Browser.updateLocal(
       this.localStorage,
       window.location.pathname,
@@ -744,8 +1033,27 @@ export default class LiveSocket {
       0,
       (count) => count + 1,
     );
-    if (tries >= this.maxReloads) {
-      afterMs = this.failsafeJitter;
+    const attempt = tries + 1;
+    const decision = this.reloadStrategy
+      ? this.reloadStrategy.decide({ reason, attempt, viewId: view.id })
+      : this.defaultReloadDecision(tries);
+    dispatchDiagnostic({
+      // routine reloads are part of the recovery, only halting is an error
+      level: decision.action === "halt" ? "error" : "debug",
+      code: "view.reload-decision",
+      message:
+        decision.action === "reload"
+          ? `reloading in ${decision.delay}ms after ${reason}`
+          : `not reloading after ${reason}`,
+      metadata: { reason, attempt, ...decision },
+      viewId: view.id,
+      attribution: "unknown",
+    });
+    if (decision.action === "halt") {
+      DOM.dispatchEvent(window, "phx:reload-halted", {
+        detail: { reason, attempt, viewId: view.id },
+      });
+      return;
     }
     this.reloadWithJitterTimer = setTimeout(() => {
       // if view has recovered, such as transport replaced, then cancel
@@ -764,7 +1072,7 @@ export default class LiveSocket {
               metadata: () => ({ tries }),
             },
           );
-      if (tries >= this.maxReloads) {
+      if (!this.reloadStrategy && tries >= this.maxReloads) {
         this.log(
           view,
           "join",
@@ -783,7 +1091,29 @@ export default class LiveSocket {
       } else {
         window.location.reload();
       }
-    }, afterMs);
+    }, decision.delay);
+  }
+
+  private defaultReloadDecision(tries: number): ReloadDecision {
+    if (tries >= this.maxReloads) {
+      return { action: "reload", delay: this.failsafeJitter };
+    }
+    const minMs = this.reloadJitterMin;
+    const maxMs = this.reloadJitterMax;
+    const delay = Math.floor(Math.random() * (maxMs - minMs + 1)) + minMs;
+    return { action: "reload", delay };
+  }
+
+  /** @internal */
+  getJSCommand(kind: string) {
+    const command = Object.prototype.hasOwnProperty.call(this.jsCommands, kind)
+      ? this.jsCommands[kind]
+      : null;
+    if (!command) {
+      return null;
+    }
+    const context = jsCommandContext(this);
+    return (...args: Parameters<JSCommand>) => command.apply(context, args);
   }
 
   /** @internal */
@@ -881,7 +1211,8 @@ export default class LiveSocket {
       window.requestAnimationFrame(() => {
         view.execNewMounted();
         // restore scroll position when navigating from an external / non-live page
-        this.maybeScroll(history.state?.scroll);
+        const state = Browser.getCurrentState();
+        this.maybeScroll(state?.scroll, state?.scrollContainers);
       });
     }
   }
@@ -920,12 +1251,32 @@ export default class LiveSocket {
     Browser.redirect(to, flash);
   }
 
+  /** @internal */
+  watchesStaleAssets() {
+    return this.staleAssets === "notify" && !this.staleAssetUrls;
+  }
+
+  /** @internal */
+  assetsStale(view: View, urls: string[]) {
+    if (!this.watchesStaleAssets()) {
+      return;
+    }
+    this.staleAssetUrls = urls;
+    this.log(view, "assets", () => ["stale tracked static assets", urls], {
+      code: "socket.assets-stale",
+      metadata: () => ({ urls }),
+    });
+    DOM.dispatchEvent(window, "phx:assets-stale", { detail: { urls } });
+  }
+
   /** @internal */
   replaceMain(
     href: string,
     flash: string | null,
     callback: ((linkRef: number) => void) | null = null,
     linkRef = this.setPendingLink(href),
+    snapshot: Element | null = null,
+    transition: NavigationTransition | null = null,
   ) {
     if (!this.main) {
       return;
@@ -939,35 +1290,261 @@ export default class LiveSocket {
       stickies,
     );
 
-    const newMainEl = DOM.cloneNode(this.outgoingMainEl, "");
+    const prefetch = this.takePrefetch(href, flash);
+    const newMainEl = prefetch
+      ? prefetch.view.el
+      : snapshot || DOM.cloneNode(this.outgoingMainEl, "");
     const oldMainView = this.main;
     oldMainView.showLoader(this.loaderTimeout);
     oldMainView.destroy();
 
-    this.main = this.newRootView(newMainEl, flash, liveReferer);
-    this.main.setRedirect(href);
+    if (prefetch) {
+      this.main = prefetch.view;
+      this.roots[this.main.id] = this.main;
+    } else {
+      this.main = this.newRootView(newMainEl, flash, liveReferer);
+      this.main.setRedirect(href);
+    }
     // the old view is destroyed at this point; pass it explicitly so the
     // phx-remove commands execute in the context of the outgoing view
     this.transitionRemoves(removeEls, oldMainView);
-    this.main.join((joinCount, onDone) => {
+    const swapMain = () => {
+      if (!this.outgoingMainEl) {
+        return;
+      }
+      // moving the sticky LiveViews below resets their scroll offsets
+      const stickyOffsets = this.scrollOffsets(stickies);
+      // Remove descendant phx-remove elements right before we replace the
+      // main element. The outgoing main itself must remain connected so
+      // replaceWith below can swap in the new main element.
+      removeEls.forEach((el) => {
+        if (!el.isSameNode(this.outgoingMainEl)) {
+          el.remove();
+        }
+      });
+      stickies.forEach((el) => newMainEl.appendChild(el));
+      this.outgoingMainEl.replaceWith(newMainEl);
+      this.outgoingMainEl = null;
+      this.restoreScrollOffsets(stickyOffsets);
+    };
+    const swapsSnapshot = snapshot && !prefetch;
+    if (swapsSnapshot) {
+      // a restored snapshot is shown while joining and patched by the join
+      this.requestDOMUpdate(
+        () =>
+          linkRef === this.linkRef &&
+          this.withViewTransition(transition, swapMain),
+      );
+    }
+    const onJoined = (joinCount: number, onDone: () => void) => {
       if (joinCount === 1 && this.commitPendingLink(linkRef)) {
         this.requestDOMUpdate(() => {
-          // Remove descendant phx-remove elements right before we replace the
-          // main element. The outgoing main itself must remain connected so
-          // replaceWith below can swap in the new main element.
-          removeEls.forEach((el) => {
-            if (!el.isSameNode(this.outgoingMainEl)) {
-              el.remove();
-            }
-          });
-          stickies.forEach((el) => newMainEl.appendChild(el));
-          this.outgoingMainEl!.replaceWith(newMainEl);
-          this.outgoingMainEl = null;
-          callback && callback(linkRef);
-          onDone();
+          const update = () => {
+            swapMain();
+            callback && callback(linkRef);
+            onDone();
+          };
+          swapsSnapshot
+            ? update()
+            : this.withViewTransition(transition, update);
         });
       }
+    };
+    if (prefetch) {
+      prefetch.onJoined = onJoined;
+      prefetch.joined && onJoined(...prefetch.joined);
+    } else {
+      this.main.join(onJoined);
+    }
+  }
+
+  /**
+   * @internal
+   * Runs the DOM update of a live navigation in a view transition, if
+   * the navigation has a named transition and the browser supports them.
+   * The name and the direction of the navigation are set as the types
+   * of the transition and, for browsers without transition types, as
+   * attributes of the document element until the transition finishes.
+   */
+  withViewTransition(
+    transition: NavigationTransition | null,
+    update: () => void,
+  ) {
+    if (!transition || typeof document.startViewTransition !== "function") {
+      return update();
+    }
+    const html = document.documentElement;
+    html.setAttribute(PHX_VIEW_TRANSITION_NAME, transition.name);
+    html.setAttribute(PHX_VIEW_TRANSITION_DIRECTION, transition.direction);
+    const viewTransition = document.startViewTransition(update);
+    this.viewTransition = viewTransition;
+    // the types are not supported by all browsers implementing view transitions
+    viewTransition.types?.add(transition.name);
+    viewTransition.types?.add(transition.direction);
+    const cleanup = () => {
+      // a newer transition owns the attributes once it started
+      if (this.viewTransition !== viewTransition) {
+        return;
+      }
+      this.viewTransition = null;
+      html.removeAttribute(PHX_VIEW_TRANSITION_NAME);
+      html.removeAttribute(PHX_VIEW_TRANSITION_DIRECTION);
+    };
+    viewTransition.finished.then(cleanup, cleanup);
+  }
+
+  /** @internal */
+  prefetch(href: string, intent: PrefetchIntent) {
+    if (
+      !this.isConnected() ||
+      !this.main ||
+      !this.main.isMain() ||
+      this.main.isJoinPending() ||
+      this.hasPendingLink() ||
+      !this.isNewLocation(new URL(href))
+    ) {
+      return;
+    }
+    const existing = this.prefetches.get(href);
+    if (existing) {
+      this.keepPrefetch(existing);
+      return;
+    }
+    if (this.prefetches.size >= MAX_PREFETCHES) {
+      // links scrolled into view never evict a prefetch with a stronger intent
+      if (intent === "viewport") {
+        return;
+      }
+      this.discardPrefetch(this.prefetches.values().next().value!.view);
+    }
+    const el = DOM.cloneNode(this.main.el, "");
+    const topic = `lv:${el.id}:prefetch-${++this.prefetchRef}`;
+    const view = new View(
+      el,
+      this,
+      null,
+      null,
+      this.currentLocation.href,
+      topic,
+    );
+    view.prefetching = true;
+    view.setRedirect(href);
+    const prefetch: Prefetch = {
+      href,
+      view,
+      timer: null,
+      joined: null,
+      onJoined: null,
+    };
+    this.prefetches.set(href, prefetch);
+    this.keepPrefetch(prefetch);
+    this.log(view, "prefetch", () => [`prefetching ${href}`], {
+      code: "navigation.prefetch-start",
+      metadata: () => ({ href, intent }),
+    });
+    view.join((joinCount, onDone) => {
+      if (prefetch.onJoined) {
+        prefetch.onJoined(joinCount, onDone);
+      } else {
+        prefetch.joined = [joinCount, onDone];
+      }
+    });
+  }
+
+  /** @internal */
+  discardPrefetch(view: View) {
+    const prefetch = Array.from(this.prefetches.values()).find(
+      (prefetch) => prefetch.view === view,
+    );
+    if (!prefetch) {
+      return;
+    }
+    this.prefetches.delete(prefetch.href);
+    prefetch.timer != null && clearTimeout(prefetch.timer);
+    this.log(view, "prefetch", () => [`discarding ${prefetch.href}`], {
+      code: "navigation.prefetch-discarded",
+      metadata: () => ({ href: prefetch.href }),
+    });
+    view.destroy();
+  }
+
+  // Stores the DOM of the main LiveView for the current history position,
+  // to be shown right away when navigating back or forward to it again.
+  private snapshotMain() {
+    if (
+      this.snapshotCacheSize <= 0 ||
+      !this.main ||
+      this.main.isJoinPending() ||
+      this.hasPendingLink()
+    ) {
+      return;
+    }
+    const el = this.main.el.cloneNode(true) as Element;
+    DOM.findPhxSticky(el).forEach((sticky) => sticky.remove());
+    DOM.all(el, ".phx-click-loading", (loadingEl) =>
+      loadingEl.classList.remove("phx-click-loading"),
+    );
+    const position = this.currentHistoryPosition;
+    this.snapshots.delete(position);
+    this.snapshots.set(position, { href: this.currentLocation.href, el });
+    while (this.snapshots.size > this.snapshotCacheSize) {
+      this.snapshots.delete(this.snapshots.keys().next().value!);
+    }
+  }
+
+  // Returns the snapshot for the current history position, if it was taken
+  // at the given href. Hooks of its elements are told they were restored.
+  private takeSnapshot(href: string) {
+    const snapshot = this.snapshots.get(this.currentHistoryPosition);
+    this.snapshots.delete(this.currentHistoryPosition);
+    if (!snapshot || snapshot.href !== href) {
+      return null;
+    }
+    const hookSelector = `[${this.binding(PHX_HOOK)}], [data-phx-${PHX_HOOK}]`;
+    DOM.all(snapshot.el, hookSelector, (el) =>
+      DOM.putPrivate(el, "restored", true),
+    );
+    return snapshot.el;
+  }
+
+  // a new history entry replaces all entries from its position onwards
+  private dropSnapshotsFrom(position: number) {
+    this.snapshots.forEach((_snapshot, snapshotPosition) => {
+      if (snapshotPosition >= position) {
+        this.snapshots.delete(snapshotPosition);
+      }
+    });
+  }
+
+  // (re)starts the time a prefetched view is kept before it is discarded
+  private keepPrefetch(prefetch: Prefetch) {
+    prefetch.timer != null && clearTimeout(prefetch.timer);
+    prefetch.timer = setTimeout(
+      () => this.discardPrefetch(prefetch.view),
+      this.prefetchTimeout,
+    );
+  }
+
+  // Returns the view prefetched for the given href when it can be swapped in.
+  // All other prefetches are discarded, as they were made for the outgoing page.
+  private takePrefetch(href: string, flash: string | null) {
+    const prefetch = flash === null ? this.prefetches.get(href) : undefined;
+    this.prefetches.forEach(({ view }) => {
+      if (!prefetch || view !== prefetch.view) {
+        this.discardPrefetch(view);
+      }
     });
+    if (!prefetch) {
+      return null;
+    }
+    this.prefetches.delete(href);
+    prefetch.timer != null && clearTimeout(prefetch.timer);
+    prefetch.view.prefetching = false;
+    this.log(prefetch.view, "prefetch", () => [`navigating to ${href}`], {
+      code: "navigation.prefetch-used",
+      metadata: () => ({ href, joined: prefetch.joined !== null }),
+    });
+    return prefetch;
   }
 
   private phxRemoveElementsForNavigation(
@@ -1066,6 +1643,7 @@ export default class LiveSocket {
 
   /** @internal */
   destroyAllViews() {
+    this.prefetches.forEach(({ view }) => this.discardPrefetch(view));
     for (const id in this.roots) {
       this.roots[id].destroy();
       delete this.roots[id];
@@ -1125,7 +1703,7 @@ export default class LiveSocket {
       this.serverCloseRef = this.socket.onClose((event) => {
         // failsafe reload if normal closure and we still have a main LV
         if (event && event.code === 1000 && this.main) {
-          return this.reloadWithJitter(this.main);
+          return this.reloadWithJitter(this.main, "server-close");
         }
       });
     }
@@ -1150,6 +1728,7 @@ export default class LiveSocket {
     );
     if (!dead) {
       this.bindNav();
+      this.bindPrefetch();
     }
     this.bindClicks();
     if (!dead) {
@@ -1187,6 +1766,7 @@ export default class LiveSocket {
         }
       },
     );
+    this.bindDialogs();
     this.on("dragover", (e) => e.preventDefault());
 
     // Browsers fire dragenter and dragleave when a drag crosses child element boundaries, even
@@ -1257,20 +1837,73 @@ export default class LiveSocket {
 
       const dropTargetId = dropzone.getAttribute(this.binding(PHX_DROP_TARGET));
       const dropTarget = dropTargetId && document.getElementById(dropTargetId);
-      const files = Array.from(e.dataTransfer.files || []);
       if (
         !dropTarget ||
         !(dropTarget instanceof HTMLInputElement) ||
         dropTarget.disabled ||
-        files.length === 0 ||
         !(dropTarget.files instanceof FileList)
       ) {
         return;
       }
 
-      LiveUploader.trackFiles(dropTarget, files, e.dataTransfer);
+      const directoryFiles = LiveUploader.readDroppedDirectories(
+        e.dataTransfer,
+        this.maxDroppedFiles,
+      );
+      if (directoryFiles) {
+        this.trackDroppedDirectories(dropTarget, directoryFiles);
+        return;
+      }
+
+      const files = Array.from(e.dataTransfer.files || []);
+      if (files.length === 0) {
+        return;
+      }
+      LiveUploader.trackFiles(dropTarget, files, e.dataTransfer, {
+        deferValidation: this.transformsUploads(dropTarget),
+      });
       dropTarget.dispatchEvent(new Event("input", { bubbles: true }));
     });
+    this.on("paste", (e) => {
+      const target = e.target && DOM.elementFromTarget(e.target);
+      if (!target || !e.clipboardData) {
+        return;
+      }
+      const pastezone = closestPhxBinding(
+        target,
+        this.binding(PHX_PASTE_TARGET),
+      );
+      if (!pastezone) {
+        return;
+      }
+
+      const pasteTargetId = pastezone.getAttribute(
+        this.binding(PHX_PASTE_TARGET),
+      );
+      const pasteTarget =
+        pasteTargetId && document.getElementById(pasteTargetId);
+      const files = Array.from(e.clipboardData.files || []);
+      if (
+        !pasteTarget ||
+        !DOM.isUploadInput(pasteTarget) ||
+        pasteTarget.disabled ||
+        files.length === 0
+      ) {
+        return;
+      }
+      // pasting text is left alone, only pasted files are uploaded
+      e.preventDefault();
+
+      // like the file dialog, an input without multiple only takes one file
+      const multiple = pasteTarget.hasAttribute("multiple");
+      this.owner(pasteTarget, (view) =>
+        view.dispatchUploads(
+          pasteTarget.form,
+          pasteTarget.name,
+          multiple ? files : files.slice(0, 1),
+        ),
+      );
+    });
     this.on(PHX_TRACK_UPLOADS, (e) => {
       const uploadTarget = e.target && DOM.elementFromTarget(e.target);
       if (!DOM.isUploadInput(uploadTarget)) {
@@ -1279,23 +1912,96 @@ export default class LiveSocket {
       const files = Array.from(e.detail.files || []).filter(
         (f) => f instanceof File || f instanceof Blob,
       );
-      LiveUploader.trackFiles(uploadTarget as HTMLInputElement, files);
+      LiveUploader.trackFiles(
+        uploadTarget as HTMLInputElement,
+        files,
+        undefined,
+        {
+          deferValidation: this.transformsUploads(uploadTarget),
+        },
+      );
       uploadTarget.dispatchEvent(new Event("input", { bubbles: true }));
     });
   }
 
+  // files of inputs with an upload transformer are validated once transformed
+  private transformsUploads(input: Element) {
+    const name = input.getAttribute(this.binding(PHX_UPLOAD_TRANSFORM));
+    return !!name && !!this.uploadTransformers[name];
+  }
+
+  private trackDroppedDirectories(
+    dropTarget: HTMLInputElement,
+    directoryFiles: Promise<File[]>,
+  ) {
+    directoryFiles
+      .then((files) => {
+        if (files.length > this.maxDroppedFiles) {
+          // like exceeding the max entries, the whole drop is rejected
+          const errors = files.map((file) => ({
+            file,
+            reason: "too_many_files",
+          }));
+          DOM.dispatchEvent(dropTarget, PHX_LIVE_FILE_REJECTED, {
+            detail: { errors },
+          });
+          this.owner(dropTarget, (view) => view.pushUploadOverflow(dropTarget));
+        } else if (files.length > 0 && !dropTarget.disabled) {
+          LiveUploader.trackFiles(dropTarget, files, undefined, {
+            deferValidation: this.transformsUploads(dropTarget),
+          });
+          dropTarget.dispatchEvent(new Event("input", { bubbles: true }));
+        }
+      })
+      .catch((error) => {
+        logError(
+          "upload.directory-read-failed",
+          "failed to read the files of a dropped directory",
+          { error, input: dropTarget },
+          { attribution: "unknown" },
+        );
+      });
+  }
+
   /** @internal */
   eventMeta(eventName, e, targetEl) {
     const callback = this.metadataCallbacks[eventName];
     return callback ? callback(e, targetEl) : {};
   }
 
+  /**
+   * @internal
+   * Creates the controller of a live navigation, which is aborted when the
+   * navigation is superseded by another one or canceled, including by the
+   * given signal.
+   */
+  newNavigationController(signal?: AbortSignal | null) {
+    const controller = new AbortController();
+    if (signal?.aborted) {
+      controller.abort(signal.reason);
+    } else if (signal) {
+      signal.addEventListener("abort", () => controller.abort(signal.reason), {
+        once: true,
+      });
+    }
+    return controller;
+  }
+
   /** @internal */
-  setPendingLink(href) {
+  setPendingLink(href, controller = new AbortController()) {
+    const superseded = this.navigationController;
     this.linkRef++;
     this.pendingLink = href;
+    this.navigationController = controller;
     this.resetReloadStatus();
-    return this.linkRef;
+    const linkRef = this.linkRef;
+    superseded?.abort();
+    controller.signal.addEventListener(
+      "abort",
+      () => linkRef === this.linkRef && this.cancelNavigation(),
+      { once: true },
+    );
+    return linkRef;
   }
 
   /**
@@ -1316,6 +2022,7 @@ export default class LiveSocket {
       this.href = this.pendingLink;
       this.pendingLink = null;
     }
+    this.navigationController = null;
     return true;
   }
 
@@ -1386,6 +2093,47 @@ export default class LiveSocket {
     }
   }
 
+  /**
+   * @internal
+   * Binds phx-close to the close event of dialogs and phx-toggle to the
+   * toggle event of popovers and details elements. These events do not
+   * bubble, therefore they are captured on the window.
+   */
+  bindDialogs() {
+    const payloads = {
+      close: (e: Event, el: Element) => ({
+        return_value: (el as HTMLDialogElement).returnValue,
+      }),
+      toggle: (e: Event) => ({
+        new_state: (e as ToggleEvent).newState,
+        old_state: (e as ToggleEvent).oldState,
+      }),
+    };
+    for (const event in payloads) {
+      window.addEventListener(
+        event,
+        (e) => {
+          const el = e.target;
+          if (this.silenced || !(el instanceof Element)) {
+            return;
+          }
+          const phxEvent = el.getAttribute(this.binding(event));
+          if (!phxEvent) {
+            return;
+          }
+          this.withinOwners(el, (view) => {
+            const data = {
+              ...payloads[event](e, el),
+              ...this.eventMeta(event, e, el),
+            };
+            JS.exec(e, event, phxEvent, view, el, ["push", { data }]);
+          });
+        },
+        true,
+      );
+    }
+  }
+
   /** @internal */
   bindClicks() {
     this.on("mousedown", (e) => (this.clickStartedAtTarget = e.target));
@@ -1502,65 +2250,36 @@ export default class LiveSocket {
         );
       }, 100);
     });
-    window.addEventListener(
-      "popstate",
-      (event) => {
-        if (!this.isNewLocation(window.location)) {
-          return;
-        }
-        const { type, backType, id, scroll, position } = event.state || {};
-        const href = window.location.href;
-
-        // Compare positions to determine direction
-        const isForward = position > this.currentHistoryPosition;
-        const navType = isForward ? type : backType || type;
-        const direction = isForward ? "forward" : "backward";
-        const detail = {
-          href,
-          patch: navType === "patch",
-          pop: true,
-          direction,
-        };
-
-        if (!this.dispatchBeforeNavigate(detail)) {
-          // Because we only register the new location afterwards,
-          // the back / forward popstate event exits early in the isNewLocation check.
-          if (isForward) {
-            history.back();
-          } else {
-            history.forward();
-          }
+    // scroll events of elements do not bubble, so we listen in the capture phase
+    document.addEventListener(
+      "scroll",
+      (e) => {
+        const target = e.target;
+        if (
+          !(target instanceof Element) ||
+          !target.hasAttribute(this.binding(PHX_SCROLL_RESTORE))
+        ) {
           return;
         }
-
-        this.registerNewLocation(window.location);
-
-        // Update current position
-        this.currentHistoryPosition = position || 0;
-        this.sessionStorage.setItem(
-          PHX_LV_HISTORY_POSITION,
-          this.currentHistoryPosition.toString(),
+        this.scrollContainersTimer != null &&
+          clearTimeout(this.scrollContainersTimer);
+        this.scrollContainersTimer = setTimeout(
+          () => this.saveScrollContainers(),
+          100,
         );
-
-        DOM.dispatchEvent(window, "phx:navigate", { detail });
-        this.requestDOMUpdate(() => {
-          const callback = () => {
-            this.maybeScroll(scroll);
-          };
-          if (
-            this.main &&
-            this.main.isConnected() &&
-            navType === "patch" &&
-            id === this.main.id
-          ) {
-            this.main.pushLinkPatch(event, href, null, callback);
-          } else {
-            this.replaceMain(href, null, callback);
-          }
-        });
       },
-      false,
+      true,
     );
+    if (this.navigationApi) {
+      Browser.navigation = window.navigation;
+      window.navigation.addEventListener("navigate", (e) => this.onNavigate(e));
+    } else {
+      window.addEventListener(
+        "popstate",
+        (event) => this.onHistoryNavigation(event, event.state),
+        false,
+      );
+    }
     window.addEventListener(
       "click",
       (e) => {
@@ -1577,11 +2296,7 @@ export default class LiveSocket {
           return;
         }
 
-        // When wrapping an SVG element in an anchor tag, the href can be an SVGAnimatedString
-        const href =
-          (target.href as unknown) instanceof SVGAnimatedString
-            ? (target.href as unknown as SVGAnimatedString).baseVal
-            : target.href;
+        const href = linkHref(target);
 
         const linkState = target.getAttribute(PHX_LINK_STATE);
         if (linkState !== "replace" && linkState !== "push") {
@@ -1600,11 +2315,13 @@ export default class LiveSocket {
           return;
         }
 
+        const controller = this.newNavigationController();
         const detail = {
           href,
           patch: type === "patch",
           pop: false,
           direction: "forward",
+          signal: controller.signal,
         };
         const phxClick = target.getAttribute(this.binding("click"));
         const execPhxClick = () => {
@@ -1619,10 +2336,28 @@ export default class LiveSocket {
         }
 
         this.requestDOMUpdate(() => {
+          const transition = target.getAttribute(
+            this.binding(PHX_VIEW_TRANSITION),
+          );
           if (type === "patch") {
-            this.pushHistoryPatch(e, href, linkState, target);
+            this.pushHistoryPatch(
+              e,
+              href,
+              linkState,
+              target,
+              controller,
+              transition,
+            );
           } else {
-            this.historyRedirect(e, href, linkState, null, target);
+            this.historyRedirect(
+              e,
+              href,
+              linkState,
+              null,
+              target,
+              controller,
+              transition,
+            );
           }
           execPhxClick();
         });
@@ -1631,13 +2366,416 @@ export default class LiveSocket {
     );
   }
 
+  // Handles a back / forward navigation to the given history state, calling
+  // done once the navigation is complete. A canceled navigation returns to
+  // the previous entry with restore, or through the History API.
+  private onHistoryNavigation(
+    event: Event,
+    state,
+    done = () => {},
+    restore?: () => void,
+  ) {
+    if (!this.isNewLocation(window.location)) {
+      return done();
+    }
+    if (this.staleAssetUrls) {
+      done();
+      return this.redirect(window.location.href, null, null);
+    }
+    const {
+      type,
+      backType,
+      transition,
+      backTransition,
+      id,
+      scroll,
+      scrollContainers,
+      position,
+    } = state || {};
+    const href = window.location.href;
+
+    // Compare positions to determine direction
+    const isForward = position > this.currentHistoryPosition;
+    const navType = isForward ? type : backType || type;
+    const direction = isForward ? "forward" : "backward";
+    // going back reverses the transition of the navigation we came from
+    const transitionName = isForward ? transition : backTransition;
+    const viewTransition: NavigationTransition | null = transitionName
+      ? { name: transitionName, direction }
+      : null;
+    const controller = this.newNavigationController();
+    const detail = {
+      href,
+      patch: navType === "patch",
+      pop: true,
+      direction,
+      signal: controller.signal,
+    };
+
+    if (!this.dispatchBeforeNavigate(detail)) {
+      done();
+      // Because we only register the new location afterwards,
+      // the back / forward navigation exits early in the isNewLocation check.
+      if (restore) {
+        restore();
+      } else if (isForward) {
+        history.back();
+      } else {
+        history.forward();
+      }
+      return;
+    }
+
+    this.snapshotMain();
+    this.registerNewLocation(window.location);
+
+    // Update current position
+    this.currentHistoryPosition = position || 0;
+    this.sessionStorage.setItem(
+      PHX_LV_HISTORY_POSITION,
+      this.currentHistoryPosition.toString(),
+    );
+
+    DOM.dispatchEvent(window, "phx:navigate", { detail });
+    this.requestDOMUpdate(() => {
+      const callback = () => {
+        this.maybeScroll(scroll, scrollContainers);
+        done();
+      };
+      if (
+        this.main &&
+        this.main.isConnected() &&
+        navType === "patch" &&
+        id === this.main.id
+      ) {
+        this.main.pushLinkPatch(
+          event,
+          href,
+          null,
+          callback,
+          controller,
+          viewTransition,
+        );
+      } else {
+        const snapshot = this.takeSnapshot(href);
+        const linkRef = this.setPendingLink(href, controller);
+        this.replaceMain(
+          href,
+          null,
+          callback,
+          linkRef,
+          snapshot,
+          viewTransition,
+        );
+        snapshot && this.maybeScroll(scroll, scrollContainers);
+      }
+    });
+  }
+
+  // Intercepts the Navigation API navigations of live navigations and
+  // same-document traversals, other navigations are left to the browser.
+  private onNavigate(e: NavigateEvent) {
+    if (
+      !e.canIntercept ||
+      e.hashChange ||
+      e.downloadRequest !== null ||
+      e.formData
+    ) {
+      return;
+    }
+    const run = (e.info as LiveNavigationInfo | undefined)?.phxNavigation;
+    if (e.info === NAVIGATION_COMMIT) {
+      // the history entry of a live navigation, see Browser.pushState
+      this.navigationRef++;
+      e.intercept({ scroll: "manual", focusReset: "manual" });
+    } else if (typeof run === "function") {
+      this.interceptNavigation(e, run);
+    } else if (e.navigationType === "traverse" && e.destination.sameDocument) {
+      const from = window.navigation.currentEntry;
+      this.navigationRef++;
+      e.intercept({
+        scroll: "manual",
+        focusReset: "manual",
+        handler: () =>
+          new Promise<void>((resolve) =>
+            this.onHistoryNavigation(e, e.destination.getState(), resolve, () =>
+              this.restoreEntry(from),
+            ),
+          ),
+      });
+    }
+  }
+
+  // Traversals are committed before they are handled, so a canceled traversal
+  // traverses back to the entry it started from once it is done.
+  private restoreEntry(entry: NavigationHistoryEntry | null) {
+    const restore = () => {
+      if (entry) {
+        const { committed, finished } = window.navigation.traverseTo(entry.key);
+        committed?.catch(() => {});
+        finished?.catch(() => {});
+      }
+    };
+    const transition = window.navigation.transition;
+    transition ? transition.finished.then(restore, restore) : restore();
+  }
+
+  private interceptNavigation(e: NavigateEvent, run: () => void) {
+    const ref = ++this.navigationRef;
+    let committed: { meta: HistoryMeta; onCommitted: () => void } | null = null;
+    let commit: () => void;
+    let cancel: () => void;
+    const precommit = new Promise<void>((resolve, reject) => {
+      commit = resolve;
+      cancel = reject;
+    });
+    const intercepted = {
+      href: e.destination.url,
+      commit: (meta: HistoryMeta, onCommitted: () => void) => {
+        committed = { meta, onCommitted };
+        commit();
+      },
+      cancel: () => cancel(),
+    };
+    e.intercept({
+      scroll: "manual",
+      focusReset: "manual",
+      // the URL is only committed once the live navigation is done
+      precommitHandler: () => {
+        this.interceptedNavigation = intercepted;
+        this.runningNavigation = true;
+        try {
+          run();
+        } finally {
+          this.runningNavigation = false;
+        }
+        return precommit;
+      },
+      handler: () => {
+        const { meta, onCommitted } = committed!;
+        Browser.updateCurrentState(() => meta);
+        Browser.scrollAfterPush(meta);
+        onCommitted();
+      },
+    });
+    e.signal.addEventListener("abort", () => {
+      if (this.interceptedNavigation === intercepted) {
+        this.interceptedNavigation = null;
+      }
+      // navigations started after this one are dispatched right after the
+      // abort, in which case the live navigation is superseded instead
+      setTimeout(() => {
+        if (!committed && ref === this.navigationRef) {
+          this.cancelNavigation();
+        }
+      }, 0);
+    });
+  }
+
+  // Starts a live navigation as a Navigation API navigation, running it
+  // once intercepted by onNavigate.
+  private startNavigation(
+    href: string,
+    linkState: "replace" | "push",
+    run: () => void,
+  ) {
+    const info: LiveNavigationInfo = { phxNavigation: run };
+    const { committed, finished } = window.navigation.navigate(href, {
+      history: linkState,
+      info,
+    });
+    committed?.catch(() => {});
+    finished?.catch(() => {});
+  }
+
+  // Cancels the pending live navigation, keeping the current page. If the
+  // main LiveView was already replaced, its join is left and the current
+  // page's LiveView is rejoined.
+  private cancelNavigation() {
+    if (this.pendingLink === null) {
+      return;
+    }
+    const href = this.pendingLink;
+    const controller = this.navigationController;
+    const intercepted = this.interceptedNavigation;
+    this.linkRef++;
+    this.pendingLink = null;
+    this.navigationController = null;
+    this.interceptedNavigation = null;
+    controller?.abort();
+    intercepted?.cancel();
+    const el = this.outgoingMainEl;
+    if (el && this.main) {
+      this.main.destroy();
+      this.outgoingMainEl = null;
+      DOM.deletePrivate(el, "destroyed");
+      this.main = this.newRootView(el);
+      this.main.setHref(this.href);
+      this.main.join();
+    }
+    this.main &&
+      this.log(this.main, "navigation", () => [`canceled ${href}`], {
+        code: "navigation.canceled",
+        metadata: () => ({ href }),
+      });
+  }
+
+  // Adds the history entry of a live navigation. When using the Navigation
+  // API, this commits the intercepted navigation of the live navigation.
+  private commitHistory(
+    kind: "replace" | "push",
+    meta: HistoryMeta,
+    href: string,
+    onCommitted: () => void,
+  ) {
+    const intercepted = this.interceptedNavigation;
+    if (
+      intercepted &&
+      intercepted.href === new URL(href, window.location.href).href
+    ) {
+      this.interceptedNavigation = null;
+      if (meta.type === "redirect" && meta.scroll) {
+        // store the current scrollY for the current history state
+        const scroll = meta.scroll;
+        Browser.updateCurrentState((state) => ({ ...state, scroll }));
+      }
+      delete meta.scroll;
+      intercepted.commit(meta, onCommitted);
+    } else {
+      Browser.pushState(kind, meta, href);
+      onCommitted();
+    }
+  }
+
+  /** @internal */
+  bindPrefetch() {
+    if (!Browser.canPushState()) {
+      return;
+    }
+    let hoverLink: HTMLAnchorElement | null = null;
+    let hoverTimer: ReturnType<typeof setTimeout> | null = null;
+    this.on("mouseover", (e) => {
+      const link = this.prefetchLink(e.target, "hover");
+      if (!link || link === hoverLink) {
+        return;
+      }
+      hoverLink = link;
+      hoverTimer != null && clearTimeout(hoverTimer);
+      hoverTimer = setTimeout(
+        () => this.prefetch(linkHref(link), "hover"),
+        PREFETCH_HOVER_DELAY,
+      );
+    });
+    this.on("mouseout", (e) => {
+      // moving between the children of a link keeps the intent
+      if (!hoverLink || hoverLink.contains(e.relatedTarget as Node | null)) {
+        return;
+      }
+      hoverLink = null;
+      hoverTimer != null && clearTimeout(hoverTimer);
+    });
+    this.on("focusin", (e) => {
+      const link = this.prefetchLink(e.target, "focus");
+      link && this.prefetch(linkHref(link), "focus");
+    });
+  }
+
+  /** @internal */
+  observePrefetch(el: Element) {
+    if (
+      !("IntersectionObserver" in window) ||
+      !el.hasAttribute(this.binding(PHX_PREFETCH)) ||
+      !this.prefetchLink(el, "viewport")
+    ) {
+      return;
+    }
+    if (!this.prefetchObserver) {
+      this.prefetchObserver = new IntersectionObserver((entries) => {
+        entries.forEach(({ target, isIntersecting }) => {
+          const link = isIntersecting && this.prefetchLink(target, "viewport");
+          if (link) {
+            this.prefetchObserver!.unobserve(link);
+            this.prefetch(linkHref(link), "viewport");
+          }
+        });
+      });
+    }
+    this.prefetchObserver.observe(el);
+  }
+
+  // Returns the live navigation link for the target if it is prefetched on the
+  // given intent. An empty phx-prefetch value prefetches on hover and focus.
+  private prefetchLink(
+    target: EventTarget | null,
+    intent: PrefetchIntent,
+  ): HTMLAnchorElement | null {
+    const el = target && DOM.elementFromTarget(target);
+    const link = el && closestPhxBinding(el, PHX_LIVE_LINK);
+    const intents = link && link.getAttribute(this.binding(PHX_PREFETCH));
+    if (
+      !link ||
+      intents === null ||
+      link.getAttribute(PHX_LIVE_LINK) !== "redirect"
+    ) {
+      return null;
+    }
+    const wanted =
+      intents.trim() === "" ? ["hover", "focus"] : intents.trim().split(/\s+/);
+    return wanted.includes(intent) ? (link as HTMLAnchorElement) : null;
+  }
+
   /** @internal */
-  maybeScroll(scroll) {
+  maybeScroll(scroll, scrollContainers?: ScrollOffsets) {
     if (typeof scroll === "number") {
       requestAnimationFrame(() => {
         window.scrollTo(0, scroll);
       }); // the body needs to render before we scroll.
     }
+    if (scrollContainers) {
+      requestAnimationFrame(() => this.restoreScrollOffsets(scrollContainers));
+    }
+  }
+
+  // Returns the scroll offsets of phx-scroll-restore containers, either of the
+  // whole document or of the given elements and their descendants.
+  private scrollOffsets(within?: Element[]): ScrollOffsets {
+    const selector = `[${this.binding(PHX_SCROLL_RESTORE)}]`;
+    const containers = within
+      ? within.flatMap((el) => [
+          ...(el.matches(selector) ? [el] : []),
+          ...DOM.all(el, selector),
+        ])
+      : DOM.all(document, selector);
+    const offsets: ScrollOffsets = {};
+    containers.forEach((el) => {
+      if (el.id) {
+        offsets[el.id] = { top: el.scrollTop, left: el.scrollLeft };
+      }
+    });
+    return offsets;
+  }
+
+  private restoreScrollOffsets(offsets: ScrollOffsets) {
+    for (const id in offsets) {
+      const el = document.getElementById(id);
+      if (el && el.hasAttribute(this.binding(PHX_SCROLL_RESTORE))) {
+        el.scrollTop = offsets[id].top;
+        el.scrollLeft = offsets[id].left;
+      }
+    }
+  }
+
+  // records the offsets of phx-scroll-restore containers in the current history entry
+  private saveScrollContainers() {
+    this.scrollContainersTimer != null &&
+      clearTimeout(this.scrollContainersTimer);
+    this.scrollContainersTimer = null;
+    const scrollContainers = this.scrollOffsets();
+    if (Object.keys(scrollContainers).length > 0) {
+      Browser.updateCurrentState((state) =>
+        Object.assign(state, { scrollContainers }),
+      );
+    }
   }
 
   /** @internal */
@@ -1664,21 +2802,60 @@ export default class LiveSocket {
   }
 
   /** @internal */
-  pushHistoryPatch(e, href, linkState, targetEl) {
+  pushHistoryPatch(
+    e,
+    href,
+    linkState,
+    targetEl,
+    controller = this.newNavigationController(),
+    transition: string | null = null,
+  ) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    if (this.staleAssetUrls) {
+      return this.redirect(href, null, null);
+    }
+    if (this.navigationApi && !this.runningNavigation) {
+      return this.startNavigation(href, linkState, () =>
+        this.pushHistoryPatch(
+          e,
+          href,
+          linkState,
+          targetEl,
+          controller,
+          transition,
+        ),
+      );
+    }
     if (!this.isConnected() || !(this.main && this.main.isMain())) {
       return Browser.redirect(href);
     }
 
-    this.withPageLoading({ to: href, kind: "patch" }, (done) => {
-      this.main!.pushLinkPatch(e, href, targetEl, (linkRef) => {
-        this.historyPatch(href, linkState, linkRef);
-        done();
-      });
+    this.saveScrollContainers();
+    const info = { to: href, kind: "patch", signal: controller.signal };
+    this.withPageLoading(info, (done) => {
+      this.main!.pushLinkPatch(
+        e,
+        href,
+        targetEl,
+        (linkRef) => {
+          this.historyPatch(href, linkState, linkRef, transition);
+          done();
+        },
+        controller,
+        transition ? { name: transition, direction: "forward" } : null,
+      );
     });
   }
 
   /** @internal */
-  historyPatch(href, linkState, linkRef = this.setPendingLink(href)) {
+  historyPatch(
+    href,
+    linkState,
+    linkRef = this.setPendingLink(href),
+    transition: string | null = null,
+  ) {
     if (!this.commitPendingLink(linkRef)) {
       return;
     }
@@ -1689,24 +2866,31 @@ export default class LiveSocket {
       PHX_LV_HISTORY_POSITION,
       this.currentHistoryPosition.toString(),
     );
+    this.dropSnapshotsFrom(this.currentHistoryPosition);
 
     // store the type for back navigation
-    Browser.updateCurrentState((state) => ({ ...state, backType: "patch" }));
+    Browser.updateCurrentState((state) => ({
+      ...state,
+      backType: "patch",
+      backTransition: transition || undefined,
+    }));
 
-    Browser.pushState(
+    this.commitHistory(
       linkState,
       {
         type: "patch",
         id: this.main!.id,
         position: this.currentHistoryPosition,
+        transition: transition || undefined,
       },
       href,
+      () => {
+        DOM.dispatchEvent(window, "phx:navigate", {
+          detail: { patch: true, href, pop: false, direction: "forward" },
+        });
+        this.registerNewLocation(window.location);
+      },
     );
-
-    DOM.dispatchEvent(window, "phx:navigate", {
-      detail: { patch: true, href, pop: false, direction: "forward" },
-    });
-    this.registerNewLocation(window.location);
   }
 
   /** @internal */
@@ -1716,7 +2900,28 @@ export default class LiveSocket {
     linkState: "replace" | "push",
     flash: string | null,
     targetEl?: Element | null,
+    controller = this.newNavigationController(),
+    transition: string | null = null,
   ) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    if (this.staleAssetUrls) {
+      return this.redirect(href, flash, null);
+    }
+    if (this.navigationApi && !this.runningNavigation) {
+      return this.startNavigation(href, linkState, () =>
+        this.historyRedirect(
+          e,
+          href,
+          linkState,
+          flash,
+          targetEl,
+          controller,
+          transition,
+        ),
+      );
+    }
     const clickLoading = targetEl && e.isTrusted && e.type !== "popstate";
     if (clickLoading) {
       targetEl.classList.add("phx-click-loading");
@@ -1731,45 +2936,64 @@ export default class LiveSocket {
       href = `${protocol}//${host}${href}`;
     }
     const scroll = window.scrollY;
-    this.withPageLoading({ to: href, kind: "redirect" }, (done) => {
-      this.replaceMain(href, flash, (linkRef) => {
-        if (linkRef === this.linkRef) {
-          // Increment position for new state
-          this.currentHistoryPosition++;
-          this.sessionStorage.setItem(
-            PHX_LV_HISTORY_POSITION,
-            this.currentHistoryPosition.toString(),
-          );
-
-          // store the type for back navigation
-          Browser.updateCurrentState((state) => ({
-            ...state,
-            backType: "redirect",
-          }));
-
-          Browser.pushState(
-            linkState,
-            {
-              type: "redirect",
-              id: this.main!.id,
-              scroll: scroll,
-              position: this.currentHistoryPosition,
-            },
-            href,
-          );
-
-          DOM.dispatchEvent(window, "phx:navigate", {
-            detail: { href, patch: false, pop: false, direction: "forward" },
-          });
-          this.registerNewLocation(window.location);
-        }
-        // explicitly undo click-loading class
-        // (in case it originated in a sticky live view, otherwise it would be removed anyway)
-        if (clickLoading) {
-          targetEl.classList.remove("phx-click-loading");
-        }
-        done();
-      });
+    this.saveScrollContainers();
+    this.snapshotMain();
+    const info = { to: href, kind: "redirect", signal: controller.signal };
+    this.withPageLoading(info, (done) => {
+      this.replaceMain(
+        href,
+        flash,
+        (linkRef) => {
+          if (linkRef === this.linkRef) {
+            // Increment position for new state
+            this.currentHistoryPosition++;
+            this.sessionStorage.setItem(
+              PHX_LV_HISTORY_POSITION,
+              this.currentHistoryPosition.toString(),
+            );
+            this.dropSnapshotsFrom(this.currentHistoryPosition);
+
+            // store the type for back navigation
+            Browser.updateCurrentState((state) => ({
+              ...state,
+              backType: "redirect",
+              backTransition: transition || undefined,
+            }));
+
+            this.commitHistory(
+              linkState,
+              {
+                type: "redirect",
+                id: this.main!.id,
+                scroll: scroll,
+                position: this.currentHistoryPosition,
+                transition: transition || undefined,
+              },
+              href,
+              () => {
+                DOM.dispatchEvent(window, "phx:navigate", {
+                  detail: {
+                    href,
+                    patch: false,
+                    pop: false,
+                    direction: "forward",
+                  },
+                });
+                this.registerNewLocation(window.location);
+              },
+            );
+          }
+          // explicitly undo click-loading class
+          // (in case it originated in a sticky live view, otherwise it would be removed anyway)
+          if (clickLoading) {
+            targetEl.classList.remove("phx-click-loading");
+          }
+          done();
+        },
+        this.setPendingLink(href, controller),
+        null,
+        transition ? { name: transition, direction: "forward" } : null,
+      );
     });
   }
 
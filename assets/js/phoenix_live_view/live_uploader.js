@@ -1,6 +1,7 @@
 import {
   PHX_DONE_REFS,
   PHX_ERROR_REFS,
+  PHX_LIVE_FILE_REJECTED,
   PHX_PREFLIGHTED_REFS,
   PHX_UPLOAD_REF,
 } from "./constants";
@@ -36,7 +37,8 @@ export default class LiveUploader {
     DOM.findUploadInputs(formEl).forEach((input) => {
       if (
         input.getAttribute(PHX_PREFLIGHTED_REFS) !==
-        input.getAttribute(PHX_DONE_REFS)
+          input.getAttribute(PHX_DONE_REFS) ||
+        this.isTransforming(input)
       ) {
         active++;
       }
@@ -89,25 +91,196 @@ export default class LiveUploader {
    * @param {HTMLInputElement} inputEl
    * @param {Array<File|Blob>} files
    * @param {DataTransfer} [dataTransfer]
+   * @param {{deferValidation?: boolean}} [opts] - defers validating each file
+   *   until it is transformed, see `transformFiles`
    */
-  static trackFiles(inputEl, files, dataTransfer) {
-    if (inputEl.getAttribute("multiple") !== null) {
-      const newFiles = files.filter(
-        (file) => !this.activeFiles(inputEl).find((f) => Object.is(f, file)),
-      );
+  static trackFiles(inputEl, files, dataTransfer, opts = {}) {
+    const multiple = inputEl.getAttribute("multiple") !== null;
+    const newFiles = multiple
+      ? files.filter(
+          (file) => !this.activeFiles(inputEl).find((f) => Object.is(f, file)),
+        )
+      : files;
+    const errors = this.rejectFiles(inputEl, newFiles, opts.deferValidation);
+    const acceptedFiles = newFiles.filter(
+      (file) => !errors.find((error) => Object.is(error.file, file)),
+    );
+    if (errors.length > 0) {
+      DOM.dispatchEvent(inputEl, PHX_LIVE_FILE_REJECTED, {
+        detail: { errors },
+      });
+    }
+    if (multiple) {
       DOM.updatePrivate(inputEl, "files", [], (existing) =>
-        existing.concat(newFiles),
+        existing.concat(acceptedFiles),
       );
       inputEl.value = "";
-    } else {
+    } else if (acceptedFiles.length > 0 || errors.length === 0) {
       // Reset inputEl files to align output with programmatic changes (i.e. drag and drop)
-      if (dataTransfer && dataTransfer.files.length > 0) {
+      if (
+        errors.length === 0 &&
+        dataTransfer &&
+        dataTransfer.files.length > 0
+      ) {
         inputEl.files = dataTransfer.files;
       }
-      DOM.putPrivate(inputEl, "files", files);
+      DOM.putPrivate(inputEl, "files", acceptedFiles);
     }
   }
 
+  /**
+   * Validates newly selected files against the limits of the upload, returning
+   * an error for each file that would be rejected by the server during preflight.
+   *
+   * @param {HTMLInputElement} inputEl
+   * @param {Array<File|Blob>} files
+   * @param {boolean} [onlyCount] - only validates the number of files
+   * @returns {Array<{file: File|Blob, reason: string}>}
+   */
+  static rejectFiles(inputEl, files, onlyCount = false) {
+    if (!UploadEntry.validatesOnClient(inputEl) || files.length === 0) {
+      return [];
+    }
+    const maxEntries = UploadEntry.maxEntries(inputEl);
+    const existing =
+      inputEl.getAttribute("multiple") !== null
+        ? this.activeFiles(inputEl).length
+        : 0;
+    if (maxEntries !== null && existing + files.length > maxEntries) {
+      // like the server, reject the whole selection instead of picking entries
+      return files.map((file) => ({ file, reason: "too_many_files" }));
+    }
+    if (onlyCount) {
+      return [];
+    }
+    return files.reduce((errors, file) => {
+      const reason = UploadEntry.validate(inputEl, file);
+      return reason ? errors.concat({ file, reason }) : errors;
+    }, []);
+  }
+
+  /**
+   * Reads the files of a drop containing directories, walking the directories
+   * so their files are uploaded with paths relative to the drop, like files of
+   * a `webkitdirectory` input. Returns null if no directory was dropped. Stops
+   * reading once more than `maxFiles` files are found.
+   *
+   * The entries must be obtained while handling the drop event, as browsers
+   * clear the data transfer once the event handler returns.
+   *
+   * @param {DataTransfer} dataTransfer
+   * @param {number} maxFiles
+   * @returns {Promise<Array<File>> | null}
+   */
+  static readDroppedDirectories(dataTransfer, maxFiles) {
+    const entries = Array.from(dataTransfer.items || [])
+      .filter(
+        (item) =>
+          item.kind === "file" && typeof item.webkitGetAsEntry === "function",
+      )
+      .map((item) => item.webkitGetAsEntry())
+      .filter((entry) => entry);
+    if (!entries.some((entry) => entry.isDirectory)) {
+      return null;
+    }
+    const files = [];
+    const walk = (entry) => {
+      if (files.length > maxFiles) {
+        return Promise.resolve();
+      } else if (entry.isFile) {
+        return new Promise((resolve, reject) =>
+          entry.file(resolve, reject),
+        ).then((file) => {
+          // fullPath starts at the root of the drop, so top level files
+          // are kept without a relative path, as in a regular drop
+          const path = entry.fullPath.replace(/^\//, "");
+          if (path.includes("/")) {
+            setRelativePath(file, path);
+          }
+          files.push(file);
+        });
+      } else if (entry.isDirectory) {
+        return readDirectory(
+          entry.createReader(),
+          walk,
+          () => files.length > maxFiles,
+        );
+      } else {
+        return Promise.resolve();
+      }
+    };
+    return eachInSequence(entries, walk).then(() => files);
+  }
+
+  static isTransforming(inputEl) {
+    return (DOM.private(inputEl, "transforming") || 0) > 0;
+  }
+
+  static filesAwaitingTransform(inputEl) {
+    return this.activeFiles(inputEl).filter(
+      (file) => !file._phxTransformed && !file._phxTransforming,
+    );
+  }
+
+  /**
+   * Replaces the tracked files awaiting transformation with the result of
+   * the given transformer. Files failing to transform are kept unchanged.
+   * With client validation, the resulting files are validated in place of
+   * the selected ones, dropping and reporting the rejected ones.
+   *
+   * @param {HTMLInputElement} inputEl
+   * @param {import("./live_socket").UploadTransformer} transformer
+   * @param {(file: File|Blob, error: unknown) => void} onError
+   * @returns {Promise<void>}
+   */
+  static transformFiles(inputEl, transformer, onError) {
+    const files = this.filesAwaitingTransform(inputEl);
+    files.forEach((file) => (file._phxTransforming = true));
+    DOM.updatePrivate(inputEl, "transforming", 0, (n) => n + files.length);
+    const validates = UploadEntry.validatesOnClient(inputEl);
+    const errors = [];
+    const transforms = files.map((file) =>
+      Promise.resolve()
+        .then(() => transformer(file, { input: inputEl }))
+        .then((result) => {
+          if (!(result instanceof Blob)) {
+            throw new Error("upload transformers must return a File or Blob");
+          }
+          return result;
+        })
+        .catch((error) => {
+          onError(file, error);
+          return file;
+        })
+        .then((result) => {
+          if (result !== file && typeof file.meta === "function") {
+            result.meta = result.meta || file.meta;
+          }
+          if (result !== file && file.webkitRelativePath) {
+            setRelativePath(result, file.webkitRelativePath);
+          }
+          result._phxTransformed = true;
+          file._phxTransforming = false;
+          const reason = validates && UploadEntry.validate(inputEl, result);
+          reason && errors.push({ file: result, reason });
+          // the file might have been replaced by a new selection in the meantime
+          DOM.updatePrivate(inputEl, "files", [], (existing) =>
+            reason
+              ? existing.filter((f) => !Object.is(f, file))
+              : existing.map((f) => (Object.is(f, file) ? result : f)),
+          );
+          DOM.updatePrivate(inputEl, "transforming", 0, (n) => n - 1);
+        }),
+    );
+    return Promise.all(transforms).then(() => {
+      if (errors.length > 0) {
+        DOM.dispatchEvent(inputEl, PHX_LIVE_FILE_REJECTED, {
+          detail: { errors },
+        });
+      }
+    });
+  }
+
   static activeFileInputs(formEl) {
     const fileInputs = DOM.findUploadInputs(formEl);
     return Array.from(fileInputs).filter(
@@ -203,3 +376,31 @@ export default class LiveUploader {
     }
   }
 }
+
+// File instances only expose webkitRelativePath for files selected through a
+// webkitdirectory input, so we shadow it for files read from dropped directories.
+const setRelativePath = (file, path) => {
+  Object.defineProperty(file, "webkitRelativePath", {
+    value: path,
+    configurable: true,
+  });
+};
+
+const eachInSequence = (items, callback) =>
+  items.reduce(
+    (promise, item) => promise.then(() => callback(item)),
+    Promise.resolve(),
+  );
+
+// readEntries returns the entries of a directory in batches, until an empty one
+const readDirectory = (reader, callback, isDone) =>
+  new Promise((resolve, reject) => reader.readEntries(resolve, reject)).then(
+    (entries) => {
+      if (entries.length === 0 || isDone()) {
+        return;
+      }
+      return eachInSequence(entries, callback).then(() =>
+        readDirectory(reader, callback, isDone),
+      );
+    },
+  );
@@ -9,6 +9,7 @@ import {
   REPLY,
   STATIC,
   TITLE,
+  HEAD,
   STREAM,
   ROOT,
   KEYED,
@@ -24,11 +25,17 @@ import { logError } from "./diagnostics";
 /** @internal */
 export default class Rendered {
   static extract(diff) {
-    const { [REPLY]: reply, [EVENTS]: events, [TITLE]: title } = diff;
+    const {
+      [REPLY]: reply,
+      [EVENTS]: events,
+      [TITLE]: title,
+      [HEAD]: head,
+    } = diff;
     delete diff[REPLY];
     delete diff[EVENTS];
     delete diff[TITLE];
-    return { diff, title, reply: reply || null, events: events || [] };
+    delete diff[HEAD];
+    return { diff, title, head, reply: reply || null, events: events || [] };
   }
 
   // The buffer class is read afresh on every merge and every render rather
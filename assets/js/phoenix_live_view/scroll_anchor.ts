@@ -0,0 +1,82 @@
+import DOM from "./dom";
+
+export type ScrollAnchorMode = "preserve" | "bottom";
+
+// the distance to the end of the scroll container, in pixels, that still
+// counts as being scrolled to the bottom, as scroll positions are fractional
+const BOTTOM_TOLERANCE = 2;
+
+/**
+ * Keeps the visible content of a stream container in place while the
+ * container is patched.
+ *
+ * With `"preserve"`, the first child visible before the patch is used as
+ * anchor: items inserted above it, for example with `at: 0`, adjust the
+ * scroll position by their height instead of pushing the visible content
+ * down. With `"bottom"`, a container that is scrolled to the end stays
+ * scrolled to the end when items are appended; otherwise it is preserved
+ * like with `"preserve"`.
+ */
+export default class ScrollAnchor {
+  private scrollContainer: HTMLElement | null;
+  private atBottom: boolean;
+  private anchor: Element | null;
+  private anchorTop: number;
+
+  static isMode(mode: string | null): mode is ScrollAnchorMode {
+    return mode === "preserve" || mode === "bottom";
+  }
+
+  constructor(container: Element, mode: ScrollAnchorMode) {
+    this.scrollContainer = DOM.findScrollContainer(container);
+    this.atBottom =
+      mode === "bottom" && this.distanceToBottom() <= BOTTOM_TOLERANCE;
+    this.anchor = this.findAnchor(container);
+    this.anchorTop = this.anchor ? this.anchor.getBoundingClientRect().top : 0;
+  }
+
+  perform() {
+    if (this.atBottom) {
+      this.scrollBy(this.distanceToBottom());
+    } else if (this.anchor && this.anchor.isConnected) {
+      // whatever moved the anchor, including the browser's own scroll
+      // anchoring, we only correct the remaining difference
+      const delta = this.anchor.getBoundingClientRect().top - this.anchorTop;
+      if (delta !== 0) {
+        this.scrollBy(delta);
+      }
+    }
+  }
+
+  // stream children always have an id, which excludes
+  // helper elements like the spacers of a virtualized list
+  private findAnchor(container: Element) {
+    const [top, bottom] = DOM.viewportEdges(this.scrollContainer);
+    return (
+      Array.from(container.children).find((child) => {
+        if (!child.id) {
+          return false;
+        }
+        const rect = child.getBoundingClientRect();
+        return rect.bottom > top && rect.top < bottom;
+      }) || null
+    );
+  }
+
+  private scrollingElement(): Element {
+    return (
+      this.scrollContainer ||
+      document.scrollingElement ||
+      document.documentElement
+    );
+  }
+
+  private distanceToBottom() {
+    const el = this.scrollingElement();
+    return el.scrollHeight - el.scrollTop - el.clientHeight;
+  }
+
+  private scrollBy(delta: number) {
+    this.scrollingElement().scrollTop += delta;
+  }
+}
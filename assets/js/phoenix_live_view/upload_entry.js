@@ -1,6 +1,8 @@
 import {
   PHX_ACTIVE_ENTRY_REFS,
   PHX_LIVE_FILE_UPDATED,
+  PHX_MAX_ENTRIES,
+  PHX_MAX_FILE_SIZE,
   PHX_PREFLIGHTED_REFS,
 } from "./constants";
 
@@ -26,6 +28,55 @@ export default class UploadEntry {
     return isPreflighted && this.isActive(fileEl, file);
   }
 
+  // The limits are only rendered when the upload opts into client validation.
+  static validatesOnClient(fileEl) {
+    return (
+      fileEl.hasAttribute(PHX_MAX_FILE_SIZE) ||
+      fileEl.hasAttribute(PHX_MAX_ENTRIES)
+    );
+  }
+
+  static maxEntries(fileEl) {
+    const maxEntries = parseInt(fileEl.getAttribute(PHX_MAX_ENTRIES), 10);
+    return isNaN(maxEntries) ? null : maxEntries;
+  }
+
+  // Mirrors the :max_file_size and :accept validations of the server,
+  // returning the same reason the server would report for the file.
+  static validate(fileEl, file) {
+    const maxFileSize = parseInt(fileEl.getAttribute(PHX_MAX_FILE_SIZE), 10);
+    if (!isNaN(maxFileSize) && file.size > maxFileSize) {
+      return "too_large";
+    }
+    if (!this.isAccepted(fileEl.getAttribute("accept"), file)) {
+      return "not_accepted";
+    }
+    return null;
+  }
+
+  static isAccepted(accept, file) {
+    const filters = (accept || "")
+      .split(",")
+      .map((filter) => filter.trim().toLowerCase())
+      .filter((filter) => filter !== "");
+    if (filters.length === 0) {
+      return true;
+    }
+    const type = (file.type || "").toLowerCase();
+    const name = (file.name || "").toLowerCase();
+    return filters.some((filter) => {
+      if (filter === "*" || filter === "*/*") {
+        return true;
+      } else if (filter.startsWith(".")) {
+        return name.endsWith(filter);
+      } else if (filter.endsWith("/*")) {
+        return type.startsWith(filter.slice(0, -1));
+      } else {
+        return type === filter;
+      }
+    });
+  }
+
   static isPreflightInProgress(file) {
     return file._preflightInProgress === true;
   }
@@ -42,9 +93,12 @@ export default class UploadEntry {
     this.meta = null;
     this._isCancelled = false;
     this._isDone = false;
+    this._isPaused = false;
     this._progress = 0;
     this._lastProgressSent = -1;
     this._onCancel = function () {};
+    this._onPause = function () {};
+    this._onResume = function () {};
     this._onDone = function () {};
     this._onElUpdated = this.onElUpdated.bind(this);
     this.fileEl.addEventListener(PHX_LIVE_FILE_UPDATED, this._onElUpdated);
@@ -55,17 +109,24 @@ export default class UploadEntry {
     return this.meta;
   }
 
-  progress(progress) {
+  progress(progress, checksum) {
     this._progress = Math.floor(progress);
     if (this._progress > this._lastProgressSent) {
       if (this._progress >= 100) {
         this._progress = 100;
         this._lastProgressSent = 100;
         this._isDone = true;
-        this.view.pushFileProgress(this.fileEl, this.ref, 100, () => {
+        const onReply = () => {
           LiveUploader.untrackFile(this.fileEl, this.file);
           this._onDone();
-        });
+        };
+        this.view.pushFileProgress(
+          this.fileEl,
+          this.ref,
+          100,
+          onReply,
+          checksum,
+        );
       } else {
         this._lastProgressSent = this._progress;
         this.view.pushFileProgress(this.fileEl, this.ref, this._progress);
@@ -92,6 +153,26 @@ export default class UploadEntry {
     return this._isDone;
   }
 
+  isPaused() {
+    return this._isPaused;
+  }
+
+  pause() {
+    if (this._isPaused || this._isDone) {
+      return;
+    }
+    this._isPaused = true;
+    this._onPause();
+  }
+
+  resume() {
+    if (!this._isPaused) {
+      return;
+    }
+    this._isPaused = false;
+    this._onResume();
+  }
+
   error(reason = "failed") {
     this.fileEl.removeEventListener(PHX_LIVE_FILE_UPDATED, this._onElUpdated);
     this.view.pushFileProgress(this.fileEl, this.ref, { error: reason });
@@ -112,6 +193,19 @@ export default class UploadEntry {
     }
   }
 
+  // Uploaders register these callbacks to support pausing. An entry paused
+  // before its uploader starts is paused as soon as the callback is set.
+  onPause(callback) {
+    this._onPause = callback;
+    if (this.isPaused()) {
+      callback();
+    }
+  }
+
+  onResume(callback) {
+    this._onResume = callback;
+  }
+
   //private
 
   onDone(callback) {
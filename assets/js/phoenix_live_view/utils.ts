@@ -139,9 +139,15 @@ export const isEmpty = (obj) => {
 
 export const maybe = (el, callback) => el && callback(el);
 
+export const prefersReducedMotion = () =>
+  typeof window.matchMedia === "function" &&
+  window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
 export const channelUploader = function (entries, onError, resp, liveSocket) {
   entries.forEach((entry) => {
     const entryUploader = new EntryUploader(entry, resp.config, liveSocket);
+    entry.onPause(() => entryUploader.pause());
+    entry.onResume(() => entryUploader.resume());
     entryUploader.upload();
   });
 };
@@ -30,17 +30,20 @@ import {
   PHX_STICKY,
   PHX_TRACK_STATIC,
   PHX_TRACK_UPLOADS,
+  PHX_UPLOAD_TRANSFORM,
   PHX_UPDATE,
   PHX_UPLOAD_REF,
   PHX_VIEW_SELECTOR,
   PHX_MAIN,
   PHX_MOUNTED,
+  PHX_PREFETCH,
   PUSH_TIMEOUT,
-  PHX_VIEWPORT_TOP,
-  PHX_VIEWPORT_BOTTOM,
+  PHX_VIEWPORT_BINDINGS,
   MAX_CHILD_JOIN_ATTEMPTS,
   PHX_LV_PID,
   PHX_NO_UNUSED_FIELD,
+  PHX_QUEUE,
+  PHX_LV_QUEUED_PUSHES,
   PHX_PORTAL,
   PHX_TELEPORTED_REF,
   PHX_TELEPORTED_SRC,
@@ -71,7 +74,7 @@ import { ViewHook } from "./view_hook";
 import JS from "./js";
 
 import morphdom from "morphdom";
-import LiveSocket from "./live_socket";
+import LiveSocket, { type NavigationTransition } from "./live_socket";
 
 export const prependFormDataKey = (key, prefix) => {
   const isArray = key.endsWith("[]");
@@ -86,6 +89,28 @@ export const prependFormDataKey = (key, prefix) => {
   return baseKey;
 };
 
+type PushResult =
+  | { type: "ok"; resp: any; reply: any; ref: number | null }
+  | { type: "error"; error: string; context: LiveViewDiagnosticContext };
+
+type QueuedPush = {
+  ref: number | null;
+  el?: Element;
+  opts: { [key: string]: any };
+  event: string;
+  payload: any;
+  // the element of the targeted LiveComponent, as its cid may change on rejoin
+  componentEl?: Element | null;
+  resolve: (result: PushResult) => void;
+};
+
+type StoredQueuedPush = {
+  view: string;
+  session: string;
+  event: string;
+  payload: any;
+};
+
 /** @internal */
 export default class View {
   static closestView(el) {
@@ -98,6 +123,11 @@ export default class View {
   el: Element;
   isDead: boolean;
   root: View;
+  /**
+   * Set while this root view is joined speculatively for `phx-prefetch`,
+   * detached from the document until it is swapped in on navigation.
+   */
+  prefetching: boolean;
   portalElementIds: Set<string>;
   private channel: Channel;
   private rendered: Rendered | null;
@@ -124,6 +154,8 @@ export default class View {
   private pendingForms: Set<string>;
   private formsForRecovery: Record<string, HTMLFormElement>;
   private activeUploaders: Set<LiveUploader>;
+  private queuedPushes: QueuedPush[];
+  private replayStoredPushes: boolean;
 
   constructor(
     el: Element,
@@ -131,9 +163,11 @@ export default class View {
     parentView: View | null,
     flash: string | null = null,
     liveReferer: string | null = null,
+    topic: string | null = null,
   ) {
     this.rendered = null;
     this.isDead = false;
+    this.prefetching = false;
     this.liveSocket = liveSocket;
     this.flash = flash;
     this.parent = parentView;
@@ -179,6 +213,8 @@ export default class View {
     this.pendingDiffs = [];
     this.pendingForms = new Set();
     this.activeUploaders = new Set();
+    this.queuedPushes = [];
+    this.replayStoredPushes = false;
     this.redirect = false;
     this.href = null;
     this.joinCount = this.parent ? this.parent.joinCount - 1 : 0;
@@ -199,7 +235,7 @@ export default class View {
     this.children = this.parent ? null : {};
     this.root.children![this.id] = {};
     this.formsForRecovery = {};
-    this.channel = this.liveSocket.channel(`lv:${this.id}`, () => {
+    this.channel = this.liveSocket.channel(topic || `lv:${this.id}`, () => {
       const url = this.href && this.expandURL(this.href);
       return {
         redirect: this.redirect ? url : undefined,
@@ -239,6 +275,12 @@ export default class View {
       params["_track_static"] = manifest;
     }
     params["_mounts"] = this.joinCount;
+    // the server only compares the tracked statics when they are reported
+    params["_stale_assets"] =
+      (!this.parent && this.liveSocket.watchesStaleAssets()) || undefined;
+    // the server confirms that pushes persisted before a page reload were
+    // queued for the same LiveView and session (see replayQueuedPushes)
+    params["_queued_session"] = this.storedQueuedSession() ?? undefined;
     params["_mount_attempts"] = this.joinAttempts;
     params["_live_referer"] = liveReferer ?? undefined;
     this.joinAttempts++;
@@ -267,6 +309,16 @@ export default class View {
     this.destroyed = true;
     this.activeUploaders.forEach((uploader) => uploader.cancel());
     this.activeUploaders.clear();
+    // persisted pushes are kept, as they are replayed after a page reload,
+    // but nobody on this page awaits them anymore
+    this.queuedPushes.forEach(({ resolve }) =>
+      resolve({
+        type: "error",
+        error: "view destroyed",
+        context: { attribution: "unknown" },
+      }),
+    );
+    this.queuedPushes = [];
     DOM.deletePrivate(this.el, "view");
     delete this.root.children![this.id];
     if (this.parent) {
@@ -419,7 +471,7 @@ export default class View {
       code: `view.diff-${type}`,
       metadata: () => ({ diff: clonedDiff }),
     });
-    const { diff, reply, events, title } = Rendered.extract(rawDiff);
+    const { diff, reply, events, title, head } = Rendered.extract(rawDiff);
 
     // Events are either [event, payload] or [event, payload, true]
     // where the optional third element (true) indicates that the event should
@@ -437,13 +489,23 @@ export default class View {
       { pre: [], post: [] },
     );
 
-    this.liveSocket.dispatchEvents(ev.pre);
+    // a prefetched view is cloned from the main one, but must not dispatch
+    // events or touch the document before it is swapped in
+    const whenSwappedIn = (op: () => void) =>
+      this.root.prefetching ? this.root.pendingJoinOps.push([this, op]) : op();
+
+    whenSwappedIn(() => this.liveSocket.dispatchEvents(ev.pre));
 
     const update = () => {
       callback({ diff, reply, events: ev.post });
-      if (typeof title === "string" || (type == "mount" && this.isMain())) {
-        window.requestAnimationFrame(() => DOM.putTitle(title));
-      }
+      whenSwappedIn(() => {
+        if (typeof title === "string" || (type == "mount" && this.isMain())) {
+          window.requestAnimationFrame(() => DOM.putTitle(title));
+        }
+        if (head !== undefined) {
+          window.requestAnimationFrame(() => DOM.putHead(head));
+        }
+      });
     };
 
     if ("onDocumentPatch" in this.liveSocket.domCallbacks) {
@@ -454,7 +516,15 @@ export default class View {
   }
 
   onJoin(resp) {
-    const { rendered, container, liveview_version, pid } = resp;
+    const {
+      rendered,
+      container,
+      liveview_version,
+      pid,
+      assets_stale,
+      replay_queued,
+    } = resp;
+    this.replayStoredPushes = !!replay_queued;
     if (container) {
       const [tag, attrs] = container;
       this.el = DOM.replaceRootContainer(this.el, tag, attrs);
@@ -466,7 +536,10 @@ export default class View {
     if (this.root === this) {
       this.formsForRecovery = this.getFormsForRecovery();
     }
-    if (this.isMain() && window.history.state === null) {
+    if (assets_stale) {
+      this.liveSocket.assetsStale(this, assets_stale);
+    }
+    if (this.isMain() && !this.prefetching && !Browser.getCurrentState()) {
       // set initial history entry if this is the first page load (no history)
       Browser.pushState("replace", {
         type: "patch",
@@ -513,7 +586,17 @@ export default class View {
   }
 
   dropPendingRefs() {
+    // refs of queued pushes stay in place until the push is replayed and acked
+    const queuedRefs = new Set<string | null>(
+      this.queuedPushes.flatMap(({ ref }) => (ref === null ? [] : [`${ref}`])),
+    );
     DOM.all(document, `[${PHX_REF_SRC}="${this.refSrc()}"]`, (el) => {
+      if (
+        queuedRefs.has(el.getAttribute(PHX_REF_LOADING)) ||
+        queuedRefs.has(el.getAttribute(PHX_REF_LOCK))
+      ) {
+        return;
+      }
       el.removeAttribute(PHX_REF_LOADING);
       el.removeAttribute(PHX_REF_SRC);
       el.removeAttribute(PHX_REF_LOCK);
@@ -554,6 +637,14 @@ export default class View {
           () => this.applyJoinPatch(live_patch, html, streams, events),
         ]);
         this.parent.ackJoin(this);
+      } else if (this.prefetching) {
+        // applied with the other pending join ops once the join callback is
+        // done, as a prefetched view must not patch the page before its swap
+        this.pendingJoinOps.push([
+          this,
+          () => this.applyJoinPatch(live_patch, html, streams, events),
+        ]);
+        this.onAllChildJoinsComplete();
       } else {
         this.onAllChildJoinsComplete();
         this.applyJoinPatch(live_patch, html, streams, events);
@@ -583,18 +674,14 @@ export default class View {
   // and connected states. This also handles cases where hooks exist
   // in a root layout with a LV in the body
   execNewMounted(parent = document) {
-    let phxViewportTop = this.binding(PHX_VIEWPORT_TOP);
-    let phxViewportBottom = this.binding(PHX_VIEWPORT_BOTTOM);
+    const phxViewportBindings = PHX_VIEWPORT_BINDINGS.map((binding) =>
+      this.binding(binding),
+    );
     this.all(
       parent,
-      `[${phxViewportTop}], [${phxViewportBottom}]`,
+      phxViewportBindings.map((binding) => `[${binding}]`).join(", "),
       (hookEl) => {
-        DOM.maintainPrivateHooks(
-          hookEl,
-          hookEl,
-          phxViewportTop,
-          phxViewportBottom,
-        );
+        DOM.maintainPrivateHooks(hookEl, hookEl, phxViewportBindings);
         this.maybeAddNewHook(hookEl);
       },
     );
@@ -608,6 +695,9 @@ export default class View {
     this.all(parent, `[${this.binding(PHX_MOUNTED)}]`, (el) => {
       this.maybeMounted(el);
     });
+    this.all(parent, `[${this.binding(PHX_PREFETCH)}]`, (el) => {
+      this.liveSocket.observePrefetch(el);
+    });
   }
 
   all(parent, selector, callback) {
@@ -646,6 +736,7 @@ export default class View {
     if (this.joinCount > 1) {
       this.triggerReconnected();
     }
+    this.replayQueuedPushes();
     this.stopCallback();
   }
 
@@ -676,6 +767,11 @@ export default class View {
     const newHook = this.addHook(el);
     if (newHook) {
       newHook.__mounted();
+      // the element was shown from the back/forward cache before the join
+      if (DOM.private(el, "restored")) {
+        DOM.deletePrivate(el, "restored");
+        newHook.__restored();
+      }
     }
   }
 
@@ -689,12 +785,14 @@ export default class View {
 
     patch.afterAdded((el) => {
       this.liveSocket.triggerDOM("onNodeAdded", [el]);
-      const phxViewportTop = this.binding(PHX_VIEWPORT_TOP);
-      const phxViewportBottom = this.binding(PHX_VIEWPORT_BOTTOM);
-      DOM.maintainPrivateHooks(el, el, phxViewportTop, phxViewportBottom);
+      const phxViewportBindings = PHX_VIEWPORT_BINDINGS.map((binding) =>
+        this.binding(binding),
+      );
+      DOM.maintainPrivateHooks(el, el, phxViewportBindings);
       this.maybeAddNewHook(el);
       if (el.getAttribute) {
         this.maybeMounted(el);
+        this.liveSocket.observePrefetch(el);
       }
     });
 
@@ -913,6 +1011,11 @@ export default class View {
   }
 
   joinChild(el) {
+    // a prefetched child would join on the topic of the mounted one
+    if (this.root.prefetching && document.getElementById(el.id)) {
+      this.maybeDiscardPrefetch();
+      return false;
+    }
     const child = this.getChildById(el.id);
     if (!child) {
       const view = new View(el, this.liveSocket, this);
@@ -1204,6 +1307,9 @@ export default class View {
   }
 
   onLiveRedirect(redir) {
+    if (this.maybeDiscardPrefetch()) {
+      return;
+    }
     const { to, kind, flash } = redir;
     const url = this.expandURL(to);
     const e = new CustomEvent("phx:server-navigate", {
@@ -1233,6 +1339,9 @@ export default class View {
     flash?: string | null;
     reloadToken?: string;
   }) {
+    if (this.maybeDiscardPrefetch()) {
+      return;
+    }
     this.liveSocket.redirect(to, flash ?? null, reloadToken ?? null);
   }
 
@@ -1240,6 +1349,16 @@ export default class View {
     return this.destroyed;
   }
 
+  // A prefetched view never redirects, reloads or shows errors, as it is not
+  // part of the page yet; it is discarded and a click navigates as usual.
+  private maybeDiscardPrefetch() {
+    if (!this.root.prefetching) {
+      return false;
+    }
+    this.liveSocket.discardPrefetch(this.root);
+    return true;
+  }
+
   joinDead() {
     this.isDead = true;
   }
@@ -1247,7 +1366,7 @@ export default class View {
   join(callback?) {
     this.showLoader(this.liveSocket.loaderTimeout);
     this.bindChannel();
-    if (this.isMain()) {
+    if (this.isMain() && !this.prefetching) {
       this.stopCallback = this.liveSocket.withPageLoading({
         to: this.href,
         kind: "initial",
@@ -1266,6 +1385,9 @@ export default class View {
   }
 
   onJoinError(resp) {
+    if (this.maybeDiscardPrefetch()) {
+      return;
+    }
     if (resp.events) {
       this.liveSocket.dispatchEvents(resp.events);
     }
@@ -1335,7 +1457,7 @@ export default class View {
         { unstructuredError: resp, errorKind: "server" },
       );
       if (this.liveSocket.isConnected()) {
-        this.liveSocket.reloadWithJitter(this);
+        this.liveSocket.reloadWithJitter(this, "join-error");
       }
     } else {
       if (this.joinAttempts >= MAX_CHILD_JOIN_ATTEMPTS) {
@@ -1377,7 +1499,7 @@ export default class View {
   }
 
   onClose(reason) {
-    if (this.isDestroyed()) {
+    if (this.isDestroyed() || this.maybeDiscardPrefetch()) {
       return;
     }
     if (
@@ -1385,7 +1507,7 @@ export default class View {
       this.liveSocket.hasPendingLink() &&
       reason !== "leave"
     ) {
-      return this.liveSocket.reloadWithJitter(this);
+      return this.liveSocket.reloadWithJitter(this, "navigation");
     }
     this.destroyAllChildren();
     this.liveSocket.dropActiveElement(this);
@@ -1395,6 +1517,9 @@ export default class View {
   }
 
   onError(reason) {
+    if (this.maybeDiscardPrefetch()) {
+      return;
+    }
     this.onClose(reason);
     if (this.liveSocket.isConnected()) {
       this.log("error", () => ["view crashed", reason], {
@@ -1460,11 +1585,12 @@ export default class View {
     refGenerator,
     event,
     payload,
-  ): Promise<
-    | { type: "ok"; resp: any; reply: any; ref: number | null }
-    | { type: "error"; error: string; context: LiveViewDiagnosticContext }
-  > {
+    queueable = false,
+  ): Promise<PushResult> {
     if (!this.isConnected()) {
+      if (queueable) {
+        return this.queuePush(refGenerator, event, payload);
+      }
       return Promise.resolve({
         type: "error",
         error: "no connection",
@@ -1475,6 +1601,10 @@ export default class View {
     const [ref, [el], opts] = refGenerator
       ? refGenerator({ payload })
       : [null, [], {}];
+    return this.sendPush(ref, el, opts, event, payload);
+  }
+
+  private sendPush(ref, el, opts, event, payload): Promise<PushResult> {
     const oldJoinCount = this.joinCount;
     let onLoadingDone = function () {};
     if (opts.page_loading) {
@@ -1542,7 +1672,7 @@ export default class View {
             context: { attribution: "network" },
           });
           if (this.joinCount === oldJoinCount) {
-            this.liveSocket.reloadWithJitter(this, () => {
+            this.liveSocket.reloadWithJitter(this, "push-timeout", () => {
               this.log(
                 "timeout",
                 () => [
@@ -1561,6 +1691,179 @@ export default class View {
     });
   }
 
+  canQueuePush(el: Element) {
+    return (
+      this.liveSocket.queueEventsWhileDisconnected &&
+      el.getAttribute(this.binding(PHX_QUEUE)) !== "false"
+    );
+  }
+
+  private queuePush(refGenerator, event, payload): Promise<PushResult> {
+    // refs are generated right away to apply loading states while disconnected
+    const [ref, [el], opts] = refGenerator
+      ? refGenerator({ payload })
+      : [null, [], {}];
+    if (typeof payload.cid !== "number") {
+      delete payload.cid;
+    }
+    const componentEl =
+      typeof payload.cid === "number"
+        ? DOM.findComponent(this.id, payload.cid)
+        : undefined;
+    this.log(
+      "push",
+      () => ["queueing event while disconnected", { event, payload }],
+      {
+        code: "view.push-queued",
+        metadata: () => ({
+          event,
+          payload,
+          queued: this.queuedPushes.length + 1,
+        }),
+        context: { attribution: "network" },
+      },
+    );
+    return new Promise((resolve) => {
+      this.queuedPushes.push({
+        ref,
+        el,
+        opts,
+        event,
+        payload,
+        componentEl,
+        resolve,
+      });
+      this.persistQueuedPushes();
+    });
+  }
+
+  private replayQueuedPushes() {
+    if (!this.liveSocket.queueEventsWhileDisconnected) {
+      return;
+    }
+    const pushes =
+      this.queuedPushes.length > 0
+        ? this.queuedPushes
+        : this.restoreQueuedPushes();
+    this.queuedPushes = [];
+    this.persistQueuedPushes();
+    if (pushes.length === 0) {
+      return;
+    }
+
+    this.log("push", () => [`replaying ${pushes.length} queued events`], {
+      code: "view.push-replayed",
+      metadata: () => ({ count: pushes.length }),
+    });
+    pushes.forEach(
+      ({ ref, el, opts, event, payload, componentEl, resolve }) => {
+        // LiveComponents get new cids when the view is mounted again
+        if (componentEl !== undefined) {
+          const cid = componentEl?.isConnected
+            ? this.componentID(componentEl)
+            : null;
+          if (cid === null) {
+            return this.dropQueuedPush(ref, event, payload, resolve);
+          }
+          payload.cid = cid;
+        }
+        this.sendPush(ref, el, opts, event, payload).then(resolve);
+      },
+    );
+  }
+
+  // Pushes are restored from storage if the page was reloaded before the
+  // view could rejoin. Their loading states are gone and nobody awaits them.
+  // As the reloaded page has a new session, they are only replayed if the
+  // server confirmed the session they were queued with.
+  private restoreQueuedPushes(): QueuedPush[] {
+    const stored = this.storedQueuedPushes().filter(
+      ({ view, session }) =>
+        view === this.queueKey() &&
+        (session === this.getSession() || this.replayStoredPushes),
+    );
+    return stored.map(({ event, payload }) => ({
+      ref: null,
+      el: undefined,
+      opts: {},
+      event,
+      payload,
+      // the elements of LiveComponents are unknown after a reload
+      componentEl: typeof payload.cid === "number" ? null : undefined,
+      resolve: (result: PushResult) => {
+        if (result.type === "error") {
+          this.logError(
+            "event.queued-push-failed",
+            "Failed to replay queued event",
+            { error: result.error, event, payload },
+            result.context,
+          );
+        }
+      },
+    }));
+  }
+
+  private dropQueuedPush(ref, event, payload, resolve) {
+    this.log(
+      "push",
+      () => ["dropping queued event of a removed LiveComponent", { event }],
+      {
+        code: "view.push-dropped",
+        metadata: () => ({ event, payload }),
+      },
+    );
+    if (ref !== null) {
+      this.undoRefs(ref, payload.event);
+    }
+    resolve({
+      type: "error",
+      error: "component not found",
+      context: { attribution: "unknown" },
+    });
+  }
+
+  private queueKey() {
+    // the main view gets a new id when the page is reloaded
+    return this.isMain() ? "main" : this.id;
+  }
+
+  private storedQueuedPushes(): StoredQueuedPush[] {
+    const stored = JSON.parse(
+      this.liveSocket.sessionStorage.getItem(PHX_LV_QUEUED_PUSHES) || "null",
+    );
+    return stored && stored.href === window.location.href ? stored.pushes : [];
+  }
+
+  private storedQueuedSession(): string | null {
+    const pushes = this.storedQueuedPushes().filter(
+      ({ view, session }) =>
+        view === this.queueKey() && session !== this.getSession(),
+    );
+    return pushes.length > 0 ? pushes[0].session : null;
+  }
+
+  private persistQueuedPushes() {
+    const key = this.queueKey();
+    const pushes = this.storedQueuedPushes()
+      .filter(({ view }) => view !== key)
+      .concat(
+        this.queuedPushes.map(({ event, payload }) => ({
+          view: key,
+          session: this.getSession(),
+          event,
+          payload,
+        })),
+      );
+    if (pushes.length === 0) {
+      this.liveSocket.sessionStorage.removeItem(PHX_LV_QUEUED_PUSHES);
+    } else {
+      this.liveSocket.sessionStorage.setItem(
+        PHX_LV_QUEUED_PUSHES,
+        JSON.stringify({ href: window.location.href, pushes }),
+      );
+    }
+  }
+
   undoRefs(ref, phxEvent, onlyEls?) {
     if (!this.isConnected()) {
       return;
@@ -1793,7 +2096,7 @@ export default class View {
     event,
     payload,
   ): Promise<{ reply: any; ref: number }> {
-    if (!this.isConnected()) {
+    if (!this.isConnected() && !this.canQueuePush(el)) {
       this.log(
         "hook",
         () => [
@@ -1817,12 +2120,17 @@ export default class View {
         target: targetCtx,
       });
 
-    return this.pushWithReply(refGenerator, "event", {
-      type: "hook",
-      event: event,
-      value: payload,
-      cid: this.closestComponentID(targetCtx),
-    }).then((result) => {
+    return this.pushWithReply(
+      refGenerator,
+      "event",
+      {
+        type: "hook",
+        event: event,
+        value: payload,
+        cid: this.closestComponentID(targetCtx),
+      },
+      this.canQueuePush(el),
+    ).then((result) => {
       if (result.type === "error") {
         throw new Error("Failed to push hook event: " + result.error);
       }
@@ -1997,6 +2305,7 @@ export default class View {
         value: this.extractMeta(el, meta, opts.value),
         cid: this.targetComponentID(el, targetCtx, opts),
       },
+      this.canQueuePush(el),
     ).then((result) => {
       if (result.type === "ok") {
         onReply && onReply(result.reply);
@@ -2016,7 +2325,13 @@ export default class View {
     });
   }
 
-  pushFileProgress(fileEl, entryRef, progress, onReply = function () {}) {
+  pushFileProgress(
+    fileEl,
+    entryRef,
+    progress,
+    onReply = function () {},
+    checksum?: string,
+  ) {
     this.liveSocket.withinOwners(fileEl.form, (view, targetCtx) => {
       view
         .pushWithReply(null, "progress", {
@@ -2024,6 +2339,7 @@ export default class View {
           ref: fileEl.getAttribute(PHX_UPLOAD_REF),
           entry_ref: entryRef,
           progress: progress,
+          checksum: checksum,
           cid: view.targetComponentID(fileEl.form, targetCtx),
         })
         .then((result) => {
@@ -2046,6 +2362,106 @@ export default class View {
       throw new Error("form events require the input to be inside a form");
     }
 
+    const transformer =
+      DOM.isUploadInput(inputEl) && this.uploadTransformer(inputEl);
+    if (
+      DOM.isUploadInput(inputEl) &&
+      inputEl.files &&
+      inputEl.files.length > 0
+    ) {
+      LiveUploader.trackFiles(inputEl, Array.from(inputEl.files), undefined, {
+        deferValidation: !!transformer,
+      });
+    }
+    if (
+      transformer &&
+      LiveUploader.filesAwaitingTransform(inputEl).length > 0
+    ) {
+      // the selected files are only sent for preflight once transformed
+      LiveUploader.transformFiles(inputEl, transformer, (file, error) =>
+        this.logError(
+          "upload.transform-failed",
+          "Failed to transform file, uploading the original instead",
+          { error, file, inputEl },
+          { attribution: "app" },
+        ),
+      ).then(() => {
+        this.pushInputUploads(
+          inputEl,
+          targetCtx,
+          forceCid,
+          phxEvent,
+          opts,
+          (resp) => {
+            callback && callback(resp);
+            // a submit might have been scheduled while transforming
+            if (!DOM.isAutoUpload(inputEl)) {
+              this.triggerAwaitingSubmit(inputEl.form, phxEvent);
+            }
+          },
+        );
+      });
+    } else {
+      this.pushInputUploads(
+        inputEl,
+        targetCtx,
+        forceCid,
+        phxEvent,
+        opts,
+        callback,
+      );
+    }
+  }
+
+  // Reports a selection rejected as a whole by the client, such as a drop
+  // exceeding the files read from dropped directories, so the upload gets
+  // the :too_many_files error just like a selection exceeding max_entries.
+  pushUploadOverflow(fileEl) {
+    this.liveSocket.withinOwners(fileEl.form, (view, targetCtx) => {
+      view
+        .pushWithReply(null, "upload_overflow", {
+          ref: fileEl.getAttribute(PHX_UPLOAD_REF),
+          cid: view.targetComponentID(fileEl.form, targetCtx),
+        })
+        .then((result) => {
+          if (result.type !== "ok") {
+            view.logError(
+              "upload.overflow-push-failed",
+              "Failed to push upload overflow",
+              { error: result.error, fileEl },
+              result.context,
+            );
+          }
+        });
+    });
+  }
+
+  uploadTransformer(inputEl) {
+    const name = inputEl.getAttribute(this.binding(PHX_UPLOAD_TRANSFORM));
+    if (!name) {
+      return null;
+    }
+    const transformer = this.liveSocket.uploadTransformers[name];
+    if (!transformer) {
+      this.logError(
+        "upload.missing-transformer",
+        `no upload transformer configured for ${name}`,
+        { transformer: name, inputEl },
+        { attribution: "app" },
+      );
+      return null;
+    }
+    return transformer;
+  }
+
+  private pushInputUploads(
+    inputEl,
+    targetCtx,
+    forceCid,
+    phxEvent,
+    opts,
+    callback?,
+  ) {
     let uploads;
     const cid = isCid(forceCid)
       ? forceCid
@@ -2074,13 +2490,6 @@ export default class View {
     } else {
       formData = this.serializeForm(inputEl.form, serializeOpts);
     }
-    if (
-      DOM.isUploadInput(inputEl) &&
-      inputEl.files &&
-      inputEl.files.length > 0
-    ) {
-      LiveUploader.trackFiles(inputEl, Array.from(inputEl.files));
-    }
     uploads = LiveUploader.serializeUploads(inputEl);
 
     const event = {
@@ -2294,13 +2703,18 @@ export default class View {
     )) {
       const meta = this.extractMeta(formEl, {}, opts.value);
       const formData = this.serializeForm(formEl, { submitter });
-      this.pushWithReply(refGenerator, "event", {
-        type: "form",
-        event: phxEvent,
-        value: formData,
-        meta: meta,
-        cid: cid,
-      }).then((result) => {
+      this.pushWithReply(
+        refGenerator,
+        "event",
+        {
+          type: "form",
+          event: phxEvent,
+          value: formData,
+          meta: meta,
+          cid: cid,
+        },
+        this.canQueuePush(formEl),
+      ).then((result) => {
         if (result.type === "ok") {
           onReply(result.resp);
         } else {
@@ -2456,6 +2870,28 @@ export default class View {
     }
   }
 
+  pauseUpload(ref: string) {
+    this.withUploadEntry(ref, (entry) => entry.pause());
+  }
+
+  resumeUpload(ref: string) {
+    this.withUploadEntry(ref, (entry) => entry.resume());
+  }
+
+  private withUploadEntry(ref: string, callback: (entry: any) => void) {
+    for (const uploader of this.activeUploaders) {
+      const entry = uploader.entries().find((entry) => entry.ref === ref);
+      if (entry) {
+        return callback(entry);
+      }
+    }
+    // the entry may have completed or been cancelled in the meantime
+    this.log("upload", () => [`no active upload entry with ref ${ref}`], {
+      code: "upload.entry-not-found",
+      metadata: () => ({ ref }),
+    });
+  }
+
   targetCtxElement(targetCtx) {
     if (isCid(targetCtx)) {
       const target = DOM.findComponent(this.id, targetCtx);
@@ -2530,8 +2966,15 @@ export default class View {
     );
   }
 
-  pushLinkPatch(e, href, targetEl, callback) {
-    const linkRef = this.liveSocket.setPendingLink(href);
+  pushLinkPatch(
+    e,
+    href,
+    targetEl,
+    callback,
+    controller?: AbortController,
+    transition: NavigationTransition | null = null,
+  ) {
+    const linkRef = this.liveSocket.setPendingLink(href, controller);
     // only add loading states if event is trusted (it was triggered by user, such as click) and
     // it's not a forward/back navigation from popstate
     const loading = e.isTrusted && e.type !== "popstate";
@@ -2553,16 +2996,30 @@ export default class View {
       if (result.type === "ok") {
         this.liveSocket.requestDOMUpdate(() => {
           if (result.resp.link_redirect) {
-            this.liveSocket.replaceMain(href, null, callback, linkRef);
+            this.liveSocket.replaceMain(
+              href,
+              null,
+              callback,
+              linkRef,
+              null,
+              transition,
+            );
           } else if (result.resp.redirect) {
             // handled by bindChannel
             return;
           } else {
-            if (this.liveSocket.commitPendingLink(linkRef)) {
+            const committed = this.liveSocket.commitPendingLink(linkRef);
+            if (committed) {
               this.href = href;
             }
-            this.applyPendingUpdates();
-            callback && callback(linkRef);
+            // the patch diff is applied by applyPendingUpdates
+            this.liveSocket.withViewTransition(
+              committed ? transition : null,
+              () => {
+                this.applyPendingUpdates();
+                callback && callback(linkRef);
+              },
+            );
           }
         });
       } else {
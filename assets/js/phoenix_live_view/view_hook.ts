@@ -76,6 +76,14 @@ export interface HookInterface<E extends HTMLElement = HTMLElement> {
    */
   reconnected?: () => void;
 
+  /**
+   * The restored callback.
+   *
+   * Called after `mounted` when the element was shown from the back/forward
+   * cache while navigating through the history, and kept when the LiveView joined.
+   */
+  restored?: () => void;
+
   /**
    * Returns an object with methods to manipulate the DOM and execute JavaScript.
    * The applied changes integrate with server DOM patching.
@@ -101,6 +109,9 @@ export interface HookInterface<E extends HTMLElement = HTMLElement> {
    *
    * The promise will be rejected in case of errors
    * such as a disconnected state, timeout, or the server rejecting the event.
+   * When the LiveSocket is configured with `queueEventsWhileDisconnected`,
+   * events pushed while disconnected are queued and the promise resolves once
+   * the event is replayed after the LiveView rejoins.
    *
    * @param event - The event name.
    * @param [payload] - The payload to send to the server. Must be a serializable
@@ -202,6 +213,20 @@ export interface HookInterface<E extends HTMLElement = HTMLElement> {
    */
   uploadTo(selectorOrTarget: PhxTarget, name: any, files: any): any;
 
+  /**
+   * Pauses an in-progress upload entry without cancelling it.
+   *
+   * @param ref - The ref of the upload entry, as in `entry.ref` on the server.
+   */
+  pauseUpload(ref: string): void;
+
+  /**
+   * Resumes a paused upload entry from where it stopped.
+   *
+   * @param ref - The ref of the upload entry, as in `entry.ref` on the server.
+   */
+  resumeUpload(ref: string): void;
+
   // allow unknown methods, as people can define them in their hooks
   [key: PropertyKey]: any;
 }
@@ -262,6 +287,14 @@ export interface Hook<T = object, E extends HTMLElement = HTMLElement> {
    */
   reconnected?: (this: T & HookInterface<E>) => void;
 
+  /**
+   * The restored callback.
+   *
+   * Called after `mounted` when the element was shown from the back/forward
+   * cache while navigating through the history, and kept when the LiveView joined.
+   */
+  restored?: (this: T & HookInterface<E>) => void;
+
   // Allow custom methods with any signature and custom properties
   [key: PropertyKey]: any;
 }
@@ -353,6 +386,8 @@ export class ViewHook<
         "removeHandleEvent",
         "upload",
         "uploadTo",
+        "pauseUpload",
+        "resumeUpload",
         // Internal lifecycle callers
         "__mounted",
         "__updated",
@@ -360,6 +395,7 @@ export class ViewHook<
         "__destroyed",
         "__reconnected",
         "__disconnected",
+        "__restored",
         "__cleanup__",
       ]);
 
@@ -382,6 +418,7 @@ export class ViewHook<
         "destroyed",
         "disconnected",
         "reconnected",
+        "restored",
       ];
       lifecycleMethods.forEach((methodName) => {
         if (
@@ -423,6 +460,7 @@ export class ViewHook<
   destroyed(): void {}
   disconnected(): void {}
   reconnected(): void {}
+  restored(): void {}
 
   // Internal lifecycle callers - called by the View
 
@@ -451,6 +489,10 @@ export class ViewHook<
     }
   }
   /** @internal */
+  __restored() {
+    this.restored();
+  }
+  /** @internal */
   __disconnected() {
     this.__isDisconnected = true;
     this.disconnected();
@@ -569,6 +611,14 @@ export class ViewHook<
     );
   }
 
+  pauseUpload(ref: string): void {
+    this.__view().pauseUpload(ref);
+  }
+
+  resumeUpload(ref: string): void {
+    this.__view().resumeUpload(ref);
+  }
+
   /** @internal */
   __cleanup__() {
     this.__listeners.forEach((callbackRef) =>
@@ -0,0 +1,353 @@
+import { PHX_STREAM_REF, PHX_VIRTUAL_SPACER } from "./constants";
+
+import DOM from "./dom";
+
+type Viewport = {
+  // the scroll offset of the viewport relative to the start of the list
+  top: number;
+  height: number;
+};
+
+const isSpacer = (el: Element) => el.hasAttribute(PHX_VIRTUAL_SPACER);
+
+const spacerTag = (container: Element) => {
+  switch (container.tagName) {
+    case "UL":
+    case "OL":
+      return "li";
+    case "TBODY":
+    case "THEAD":
+    case "TFOOT":
+    case "TABLE":
+      return "tr";
+    default:
+      return "div";
+  }
+};
+
+/**
+ * Keeps only the children of a stream container around the viewport
+ * mounted. The other children are detached from the document and
+ * represented by a spacer before and after the mounted ones.
+ *
+ * The list tracks the stream order of all children, mounted or not, so
+ * that DOMPatch can apply stream inserts, updates and deletes to detached
+ * children without re-creating them (see `insert` and `delete`).
+ *
+ * As a patch may insert or delete thousands of children, inserts at
+ * either end and deletes are queued and applied to the tracked order at
+ * once when it is read next (see `flush`).
+ */
+export default class VirtualList {
+  private static lists = new Set<VirtualList>();
+
+  static of(container: Element | null): VirtualList | null {
+    return (container && DOM.private(container, "virtualList")) || null;
+  }
+
+  // lists whose container left the document without being destroyed,
+  // for example together with their view, must not receive patches and
+  // are dropped so that they can be garbage collected
+  private static connected(): VirtualList[] {
+    const lists: VirtualList[] = [];
+    VirtualList.lists.forEach((list) => {
+      if (list.el.isConnected) {
+        lists.push(list);
+      } else {
+        VirtualList.lists.delete(list);
+      }
+    });
+    return lists;
+  }
+
+  /**
+   * Returns the detached child with the given id of the first list
+   * accepted by `filter`.
+   */
+  static findDetached(
+    id: string,
+    filter: (list: VirtualList) => boolean,
+  ): Element | null {
+    for (const list of VirtualList.connected()) {
+      const el = list.detached.get(id);
+      if (el && filter(list)) {
+        return el;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the detached children of the given stream of all lists
+   * accepted by `filter`.
+   */
+  static detachedStreamChildren(
+    ref: string,
+    filter: (list: VirtualList) => boolean,
+  ): Element[] {
+    const children: Element[] = [];
+    VirtualList.connected().forEach((list) => {
+      if (filter(list)) {
+        list.detached.forEach((el) => {
+          if (el.getAttribute(PHX_STREAM_REF) === ref) {
+            children.push(el);
+          }
+        });
+      }
+    });
+    return children;
+  }
+
+  /** Returns the list a detached child belongs to. */
+  static holding(el: Element): VirtualList | null {
+    for (const list of VirtualList.connected()) {
+      if (list.detached.get(el.id) === el) {
+        return list;
+      }
+    }
+    return null;
+  }
+
+  el: Element;
+  private viewport: () => Viewport;
+  private estimatedHeight: number | null;
+  private items: Element[];
+  private members: Set<Element>;
+  private prepended: Element[];
+  private appended: Element[];
+  private removed: Set<Element>;
+  private detached: Map<string, Element>;
+  private heights: WeakMap<Element, number>;
+  private measuredSum: number;
+  private measuredCount: number;
+  private topSpacer: HTMLElement;
+  private bottomSpacer: HTMLElement;
+
+  constructor(
+    el: Element,
+    viewport: () => Viewport,
+    estimatedHeight: number | null = null,
+  ) {
+    this.el = el;
+    this.viewport = viewport;
+    this.estimatedHeight = estimatedHeight;
+    this.items = Array.from(el.children).filter((child) => !isSpacer(child));
+    this.members = new Set(this.items);
+    this.prepended = [];
+    this.appended = [];
+    this.removed = new Set();
+    this.detached = new Map();
+    this.heights = new WeakMap();
+    this.measuredSum = 0;
+    this.measuredCount = 0;
+    this.topSpacer = this.createSpacer();
+    this.bottomSpacer = this.createSpacer();
+    el.prepend(this.topSpacer);
+    el.append(this.bottomSpacer);
+    this.items.forEach((item) => this.measure(item));
+    DOM.putPrivate(el, "virtualList", this);
+    VirtualList.lists.add(this);
+  }
+
+  /** Mounts all children again and removes the spacers. */
+  destroy() {
+    VirtualList.lists.delete(this);
+    DOM.deletePrivate(this.el, "virtualList");
+    this.topSpacer.remove();
+    this.bottomSpacer.remove();
+    this.sync();
+    this.items.forEach((item) => this.el.appendChild(item));
+    this.detached.clear();
+  }
+
+  /** All children in stream order, including the detached ones. */
+  children(): Element[] {
+    this.flush();
+    return this.items.slice();
+  }
+
+  /**
+   * Places a stream child at the given stream position. Known children
+   * keep their position unless `reorder` is set, as an update of a stream
+   * item does not move it. The child is mounted until the next render.
+   */
+  insert(el: Element, streamAt: number, reorder: boolean) {
+    const known = this.members.has(el);
+    if (!known || reorder) {
+      if (known) {
+        this.members.delete(el);
+        this.removed.add(el);
+      }
+      // the previous position of a child placed again must be dropped first
+      if (this.removed.has(el)) {
+        this.flush();
+      }
+      const length = this.members.size;
+      if (streamAt < 0 || streamAt >= length) {
+        this.appended.push(el);
+      } else if (streamAt === 0) {
+        this.prepended.push(el);
+      } else {
+        this.flush();
+        this.items.splice(streamAt, 0, el);
+      }
+      this.members.add(el);
+    }
+    if (this.detached.get(el.id) === el) {
+      this.detached.delete(el.id);
+    }
+    if (el.parentElement !== this.el) {
+      this.el.insertBefore(el, this.bottomSpacer);
+    }
+  }
+
+  /** Forgets a stream child, mounted or detached. */
+  delete(el: Element) {
+    if (this.members.delete(el)) {
+      this.removed.add(el);
+    }
+    if (this.detached.get(el.id) === el) {
+      this.detached.delete(el.id);
+    }
+  }
+
+  /**
+   * Mounts the children within one viewport height of the visible ones
+   * and detaches all others. Returns the range of mounted children.
+   */
+  render(): { start: number; end: number } {
+    this.sync();
+    const { top, height } = this.viewport();
+    const heightOf = (i: number) =>
+      this.heights.get(this.items[i]) ?? this.estimate();
+    const total = this.items.length;
+    const from = top - height;
+    const to = top + 2 * height;
+
+    let start = 0;
+    let offset = 0;
+    while (start < total && offset + heightOf(start) <= from) {
+      offset += heightOf(start);
+      start++;
+    }
+    const before = offset;
+    let end = start;
+    while (end < total && offset < to) {
+      offset += heightOf(end);
+      end++;
+    }
+    let after = 0;
+    for (let i = end; i < total; i++) {
+      after += heightOf(i);
+    }
+
+    const mounted = this.items.slice(start, end);
+    const keep = new Set(mounted);
+    Array.from(this.el.children).forEach((child) => {
+      if (!isSpacer(child) && !keep.has(child)) {
+        this.measure(child);
+        child.remove();
+        this.detached.set(child.id, child);
+      }
+    });
+    if (this.el.firstElementChild !== this.topSpacer) {
+      this.el.prepend(this.topSpacer);
+    }
+    if (this.el.lastElementChild !== this.bottomSpacer) {
+      this.el.append(this.bottomSpacer);
+    }
+    let prev: Element = this.topSpacer;
+    mounted.forEach((item) => {
+      if (prev.nextElementSibling !== item) {
+        this.el.insertBefore(item, prev.nextElementSibling);
+      }
+      if (this.detached.get(item.id) === item) {
+        this.detached.delete(item.id);
+      }
+      prev = item;
+    });
+    this.topSpacer.style.height = `${before}px`;
+    this.bottomSpacer.style.height = `${after}px`;
+    mounted.forEach((item) => this.measure(item));
+    return { start, end };
+  }
+
+  // Children removed or added by something else than a stream operation,
+  // for example by a phx-remove transition that finished, are reconciled
+  // with the tracked order: added children follow their previous sibling.
+  private sync() {
+    this.flush();
+    const kept = this.items.filter(
+      (item) =>
+        item.parentElement === this.el || this.detached.get(item.id) === item,
+    );
+    const known = new Set(kept);
+    // the unknown children following each known one, or none for the start
+    const followers = new Map<Element | null, Element[]>();
+    let sibling: Element | null = null;
+    Array.from(this.el.children).forEach((child) => {
+      if (known.has(child)) {
+        sibling = child;
+      } else if (!isSpacer(child)) {
+        const group = followers.get(sibling) || [];
+        group.push(child);
+        followers.set(sibling, group);
+      }
+    });
+    const items = followers.get(null) || [];
+    kept.forEach((item) => {
+      items.push(item);
+      followers.get(item)?.forEach((follower) => items.push(follower));
+    });
+    this.items = items;
+    this.members = new Set(items);
+  }
+
+  // applies the queued inserts and deletes to the tracked order
+  private flush() {
+    if (
+      this.prepended.length === 0 &&
+      this.appended.length === 0 &&
+      this.removed.size === 0
+    ) {
+      return;
+    }
+    const items = this.prepended.reverse().concat(this.items, this.appended);
+    this.items =
+      this.removed.size > 0
+        ? items.filter((item) => !this.removed.has(item))
+        : items;
+    this.prepended = [];
+    this.appended = [];
+    this.removed.clear();
+  }
+
+  private estimate() {
+    if (this.estimatedHeight !== null) {
+      return this.estimatedHeight;
+    }
+    return this.measuredCount > 0 ? this.measuredSum / this.measuredCount : 0;
+  }
+
+  private measure(item: Element) {
+    const height = item.getBoundingClientRect().height;
+    if (height <= 0) {
+      return;
+    }
+    const previous = this.heights.get(item);
+    if (previous === undefined) {
+      this.measuredCount++;
+    } else {
+      this.measuredSum -= previous;
+    }
+    this.measuredSum += height;
+    this.heights.set(item, height);
+  }
+
+  private createSpacer() {
+    const spacer = document.createElement(spacerTag(this.el));
+    spacer.setAttribute(PHX_VIRTUAL_SPACER, "");
+    spacer.setAttribute("aria-hidden", "true");
+    return spacer;
+  }
+}
@@ -167,6 +167,63 @@ describe("DOM", () => {
     });
   });
 
+  describe("putHead", () => {
+    afterEach(() => {
+      document.head.innerHTML = "";
+    });
+
+    test("adds, updates and removes keyed elements", () => {
+      document.head.innerHTML = `
+        <meta name="viewport" content="width=device-width">
+        <meta data-phx-head="description" name="description" content="old">
+        <link data-phx-head="canonical" rel="canonical" href="/old">
+      `;
+      DOM.putHead({
+        description: ["meta", { name: "description", content: "new" }],
+        og_title: ["meta", { property: "og:title", content: "Post" }],
+      });
+
+      const description = document.head.querySelector(
+        "[data-phx-head=description]",
+      )!;
+      expect(description.getAttribute("content")).toBe("new");
+      expect(
+        document.head
+          .querySelector("[data-phx-head=og_title]")!
+          .getAttribute("property"),
+      ).toBe("og:title");
+      expect(document.head.querySelector("[data-phx-head=canonical]")).toBe(
+        null,
+      );
+      expect(document.head.querySelector("[name=viewport]")).not.toBe(null);
+    });
+
+    test("keeps elements in place and syncs their attributes", () => {
+      document.head.innerHTML = `<link data-phx-head="alt" rel="alternate" href="/en" hreflang="en">`;
+      const link = document.head.querySelector("[data-phx-head=alt]")!;
+      DOM.putHead({ alt: ["link", { rel: "alternate", href: "/de" }] });
+
+      expect(document.head.querySelector("[data-phx-head=alt]")).toBe(link);
+      expect(link.getAttribute("href")).toBe("/de");
+      expect(link.hasAttribute("hreflang")).toBe(false);
+    });
+
+    test("replaces elements whose tag changed", () => {
+      document.head.innerHTML = `<meta data-phx-head="canonical" name="canonical">`;
+      DOM.putHead({ canonical: ["link", { rel: "canonical", href: "/" }] });
+
+      const el = document.head.querySelector("[data-phx-head=canonical]")!;
+      expect(el.tagName).toBe("LINK");
+      expect(document.head.querySelectorAll("meta").length).toBe(0);
+    });
+
+    test("removes all keyed elements without entries", () => {
+      document.head.innerHTML = `<meta data-phx-head="description" name="description">`;
+      DOM.putHead(undefined);
+      expect(document.head.querySelector("[data-phx-head]")).toBe(null);
+    });
+  });
+
   describe("findExistingParentCIDs", () => {
     test("returns only parent cids", () => {
       const view = tag(
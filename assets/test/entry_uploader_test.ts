@@ -1,3 +1,4 @@
+import { createHash, webcrypto } from "crypto";
 import EntryUploader from "phoenix_live_view/entry_uploader";
 
 describe("EntryUploader", () => {
@@ -71,4 +72,528 @@ describe("EntryUploader", () => {
     expect(entry.cancel).not.toHaveBeenCalled();
     expect(entry.error).not.toHaveBeenCalled();
   });
+
+  describe("chunk retries", () => {
+    const setup = () => {
+      const pushes: { event: string; receives: Record<string, any> }[] = [];
+      let joined = true;
+      const fakeChannel = {
+        onError: jest.fn(),
+        leave: jest.fn(),
+        isJoined: () => joined,
+        push(event) {
+          const push = {
+            event,
+            receives: {},
+            receive(kind, cb) {
+              this.receives[kind] = cb;
+              return this;
+            },
+          };
+          pushes.push(push);
+          return push;
+        },
+      };
+      const fakeLiveSocket = {
+        channel: () => fakeChannel,
+        getLatencySim: () => null,
+      };
+      const entry = {
+        ref: "0",
+        file: { size: 2048 },
+        fileEl: { form: {} },
+        view: { cancelSubmit: jest.fn() },
+        metadata: () => ({}),
+        progress: jest.fn(),
+        error: jest.fn(),
+      };
+      const uploader = new EntryUploader(
+        entry,
+        { chunk_size: 1024, chunk_timeout: 5000 },
+        fakeLiveSocket,
+      );
+      uploader.readNextChunk = jest.fn();
+      return {
+        uploader,
+        entry,
+        fakeChannel,
+        pushes,
+        drop: () => (joined = false),
+      };
+    };
+
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test("resumes from the acknowledged offset after a chunk timeout", () => {
+      const { uploader, entry, pushes } = setup();
+      uploader.offset = 2048;
+      uploader.pushChunk(new ArrayBuffer(1024));
+
+      pushes[0].receives.timeout();
+      expect(pushes).toHaveLength(1);
+      jest.advanceTimersByTime(500);
+      expect(pushes[1].event).toBe("offset");
+
+      pushes[1].receives.ok({ offset: 1024 });
+      expect(uploader.offset).toBe(1024);
+      expect(entry.progress).toHaveBeenCalledWith(50);
+      expect(uploader.readNextChunk).toHaveBeenCalled();
+      expect(entry.error).not.toHaveBeenCalled();
+    });
+
+    test("backs off exponentially and errors after the maximum retries", () => {
+      const { uploader, entry, pushes } = setup();
+      uploader.offset = 1024;
+      uploader.pushChunk(new ArrayBuffer(1024));
+
+      pushes[0].receives.timeout();
+      jest.advanceTimersByTime(500);
+      pushes[1].receives.timeout();
+      jest.advanceTimersByTime(999);
+      expect(pushes).toHaveLength(2);
+      jest.advanceTimersByTime(1);
+      pushes[2].receives.timeout();
+      jest.advanceTimersByTime(2000);
+      pushes[3].receives.timeout();
+
+      expect(entry.error).toHaveBeenCalledWith("timeout");
+    });
+
+    test("fails the entry when the channel closes mid-upload", () => {
+      const { uploader, entry, fakeChannel, pushes, drop } = setup();
+      uploader.offset = 1024;
+      uploader.pushChunk(new ArrayBuffer(1024));
+
+      drop();
+      pushes[0].receives.timeout();
+      jest.advanceTimersByTime(500);
+
+      expect(pushes).toHaveLength(1);
+      expect(fakeChannel.leave).toHaveBeenCalled();
+      expect(entry.error).toHaveBeenCalledWith("disconnected");
+    });
+  });
+
+  test("resumes from the acknowledged offset after the channel rejoins", async () => {
+    const pushes: {
+      event: string;
+      chunk: any;
+      receives: Record<string, any>;
+    }[] = [];
+    let joined;
+    let channelErrorCb;
+    let isJoined = true;
+    const fakeChannel = {
+      onError: (cb) => (channelErrorCb = cb),
+      leave: jest.fn(),
+      isJoined: () => isJoined,
+      join: () => ({
+        receive(kind, cb) {
+          if (kind === "ok") joined = cb;
+          return this;
+        },
+      }),
+      push(event, chunk) {
+        const push = {
+          event,
+          chunk,
+          receives: {},
+          receive(kind, cb) {
+            this.receives[kind] = cb;
+            return this;
+          },
+        };
+        pushes.push(push);
+        return push;
+      },
+    };
+    const entry = {
+      ref: "0",
+      file: new Blob([new Uint8Array(4096)]),
+      fileEl: { form: {} },
+      view: { cancelSubmit: jest.fn() },
+      metadata: () => ({}),
+      progress: jest.fn(),
+      error: jest.fn(),
+    };
+    new EntryUploader(
+      entry,
+      { chunk_size: 1024, chunk_timeout: 5000 },
+      { channel: () => fakeChannel, getLatencySim: () => null },
+    ).upload();
+    const flushReads = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+    joined({});
+    await flushReads();
+    pushes[0].receives.ok();
+    await flushReads();
+    expect(pushes.map(({ event }) => event)).toEqual(["chunk", "chunk"]);
+
+    // the second chunk is lost along with the channel
+    isJoined = false;
+    channelErrorCb("closed");
+    pushes[1].receives.timeout();
+    await flushReads();
+    expect(pushes).toHaveLength(2);
+
+    isJoined = true;
+    joined({});
+    expect(pushes[2].event).toBe("offset");
+    pushes[2].receives.ok({ offset: 1024 });
+    expect(entry.progress).toHaveBeenLastCalledWith(25);
+
+    for (let i = 3; i < 6; i++) {
+      await flushReads();
+      expect(pushes[i].event).toBe("chunk");
+      pushes[i].receives.ok();
+    }
+    await flushReads();
+    expect(pushes).toHaveLength(6);
+    expect(entry.progress).toHaveBeenLastCalledWith(100);
+    expect(fakeChannel.leave).not.toHaveBeenCalled();
+    expect(entry.error).not.toHaveBeenCalled();
+  });
+
+  describe("chunk window", () => {
+    const setup = (chunkWindow?: number) => {
+      const pushes: { chunk: ArrayBuffer; receives: Record<string, any> }[] =
+        [];
+      let joined;
+      let isJoined = true;
+      const fakeChannel = {
+        onError: jest.fn(),
+        leave: jest.fn(),
+        isJoined: () => isJoined,
+        join: () => ({
+          receive(kind, cb) {
+            if (kind === "ok") joined = cb;
+            return this;
+          },
+        }),
+        push(_event, chunk) {
+          const push = {
+            chunk,
+            receives: {},
+            receive(kind, cb) {
+              this.receives[kind] = cb;
+              return this;
+            },
+          };
+          pushes.push(push);
+          return push;
+        },
+      };
+      const fakeLiveSocket = {
+        channel: () => fakeChannel,
+        getLatencySim: () => null,
+      };
+      const entry = {
+        ref: "0",
+        file: new Blob([new Uint8Array(4096)]),
+        fileEl: { form: {} },
+        view: { cancelSubmit: jest.fn() },
+        metadata: () => ({}),
+        progress: jest.fn(),
+        error: jest.fn(),
+      };
+      const uploader = new EntryUploader(
+        entry,
+        { chunk_size: 1024, chunk_timeout: 5000, chunk_window: chunkWindow },
+        fakeLiveSocket,
+      );
+      uploader.upload();
+      joined({});
+      return { entry, pushes, drop: () => (isJoined = false) };
+    };
+
+    const flushReads = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+    test("pushes a single chunk at a time by default", async () => {
+      const { pushes } = setup();
+      await flushReads();
+      expect(pushes).toHaveLength(1);
+    });
+
+    test("pushes up to the window size before waiting for acks", async () => {
+      const { entry, pushes } = setup(3);
+      await flushReads();
+      expect(pushes).toHaveLength(3);
+
+      pushes[0].receives.ok();
+      expect(entry.progress).toHaveBeenLastCalledWith(25);
+      await flushReads();
+      expect(pushes).toHaveLength(4);
+    });
+
+    test("does not push chunks read after the channel dropped", async () => {
+      const { entry, pushes, drop } = setup(2);
+      drop();
+      await flushReads();
+      expect(pushes).toHaveLength(0);
+      expect(entry.error).toHaveBeenCalledWith("disconnected");
+    });
+
+    test("only reports progress for chunks acknowledged in order", async () => {
+      const { entry, pushes } = setup(2);
+      await flushReads();
+
+      pushes[1].receives.ok();
+      expect(entry.progress).toHaveBeenLastCalledWith(0);
+      pushes[0].receives.ok();
+      expect(entry.progress).toHaveBeenLastCalledWith(50);
+    });
+  });
+
+  describe("pause and resume", () => {
+    const setup = () => {
+      const pushes: { event: string; receives: Record<string, any> }[] = [];
+      let joined;
+      const fakeChannel = {
+        onError: jest.fn(),
+        leave: jest.fn(),
+        isJoined: () => true,
+        join: () => ({
+          receive(kind, cb) {
+            if (kind === "ok") joined = cb;
+            return this;
+          },
+        }),
+        push(event) {
+          const push = {
+            event,
+            receives: {},
+            receive(kind, cb) {
+              this.receives[kind] = cb;
+              return this;
+            },
+          };
+          pushes.push(push);
+          return push;
+        },
+      };
+      const fakeLiveSocket = {
+        channel: () => fakeChannel,
+        getLatencySim: () => null,
+      };
+      const entry = {
+        ref: "0",
+        file: new Blob([new Uint8Array(4096)]),
+        fileEl: { form: {} },
+        view: { cancelSubmit: jest.fn() },
+        metadata: () => ({}),
+        progress: jest.fn(),
+        error: jest.fn(),
+      };
+      const uploader = new EntryUploader(
+        entry,
+        { chunk_size: 1024, chunk_timeout: 5000 },
+        fakeLiveSocket,
+      );
+      uploader.upload();
+      return { uploader, entry, pushes, join: () => joined({}) };
+    };
+
+    const flushReads = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+    test("stops reading chunks while paused and resumes from the offset", async () => {
+      const { uploader, entry, pushes, join } = setup();
+      join();
+      await flushReads();
+      expect(pushes).toHaveLength(1);
+
+      uploader.pause();
+      pushes[0].receives.ok();
+      expect(entry.progress).toHaveBeenLastCalledWith(25);
+      await flushReads();
+      expect(pushes).toHaveLength(1);
+
+      uploader.resume();
+      await flushReads();
+      expect(pushes).toHaveLength(2);
+      expect(pushes[1].event).toBe("chunk");
+      expect(uploader.offset).toBe(2048);
+    });
+
+    test("does not start reading when paused before joining", async () => {
+      const { uploader, pushes, join } = setup();
+      uploader.pause();
+      join();
+      await flushReads();
+      expect(pushes).toHaveLength(0);
+
+      uploader.resume();
+      await flushReads();
+      expect(pushes).toHaveLength(1);
+    });
+
+    describe("keep alive", () => {
+      beforeEach(() => jest.useFakeTimers());
+      afterEach(() => jest.useRealTimers());
+
+      test("asks for the offset while paused to keep the channel alive", () => {
+        const { uploader, pushes } = setup();
+        uploader.readNextChunk = jest.fn();
+        uploader.pause();
+        jest.advanceTimersByTime(2500);
+        expect(pushes.map(({ event }) => event)).toEqual(["offset"]);
+        jest.advanceTimersByTime(2500);
+        expect(pushes).toHaveLength(2);
+
+        uploader.resume();
+        expect(uploader.readNextChunk).toHaveBeenCalled();
+        jest.advanceTimersByTime(10000);
+        expect(pushes).toHaveLength(2);
+      });
+
+      test("errors when the keep alive is rejected", () => {
+        const { uploader, entry, pushes } = setup();
+        uploader.pause();
+        jest.advanceTimersByTime(2500);
+        pushes[0].receives.error({ reason: "closed" });
+        expect(entry.error).toHaveBeenCalledWith("closed");
+        jest.advanceTimersByTime(10000);
+        expect(pushes).toHaveLength(1);
+      });
+    });
+  });
+
+  test("fails the entry when checksums are unavailable in an insecure context", async () => {
+    const pushes: string[] = [];
+    let joined;
+    const fakeChannel = {
+      onError: jest.fn(),
+      leave: jest.fn(),
+      isJoined: () => true,
+      join: () => ({
+        receive(kind, cb) {
+          if (kind === "ok") joined = cb;
+          return this;
+        },
+      }),
+      push(event) {
+        pushes.push(event);
+        return { receive: () => {} };
+      },
+    };
+    const entry = {
+      ref: "0",
+      file: new Blob([new Uint8Array(4096)]),
+      fileEl: { form: {} },
+      view: { cancelSubmit: jest.fn(), logError: jest.fn() },
+      metadata: () => ({}),
+      progress: jest.fn(),
+      error: jest.fn(),
+    };
+    new EntryUploader(
+      entry,
+      { chunk_size: 1024, chunk_timeout: 5000, checksum: true },
+      { channel: () => fakeChannel, getLatencySim: () => null },
+    ).upload();
+    joined({});
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(pushes).toHaveLength(0);
+    expect(entry.view.logError).toHaveBeenCalledWith(
+      "upload.checksum-unavailable",
+      expect.any(String),
+      { entry },
+    );
+    expect(entry.error).toHaveBeenCalledWith("failed");
+  });
+
+  describe("checksums", () => {
+    const sha256 = (...parts: Uint8Array[]) => {
+      const hash = createHash("sha256");
+      parts.forEach((part) => hash.update(part));
+      return new Uint8Array(hash.digest());
+    };
+
+    beforeAll(() => {
+      // buffers created by jsdom belong to another realm than node's webcrypto
+      Object.defineProperty(window.crypto, "subtle", {
+        value: {
+          digest: (algorithm, data) =>
+            webcrypto.subtle.digest(
+              algorithm,
+              Buffer.from(new Uint8Array(data)),
+            ),
+        },
+        configurable: true,
+      });
+    });
+
+    afterAll(() => {
+      delete (window.crypto as any).subtle;
+    });
+
+    test("prefixes chunks with their digest and reports the rolling checksum", async () => {
+      const pushes: { chunk: ArrayBuffer; receives: Record<string, any> }[] =
+        [];
+      let joined;
+      const fakeChannel = {
+        onError: jest.fn(),
+        leave: jest.fn(),
+        isJoined: () => true,
+        join: () => ({
+          receive(kind, cb) {
+            if (kind === "ok") joined = cb;
+            return this;
+          },
+        }),
+        push(_event, chunk) {
+          const push = {
+            chunk,
+            receives: {},
+            receive(kind, cb) {
+              this.receives[kind] = cb;
+              return this;
+            },
+          };
+          pushes.push(push);
+          return push;
+        },
+      };
+      const content = new Uint8Array(2048).map((_, i) => i % 251);
+      const entry = {
+        ref: "0",
+        file: new Blob([content]),
+        fileEl: { form: {} },
+        view: { cancelSubmit: jest.fn() },
+        metadata: () => ({}),
+        progress: jest.fn(),
+        error: jest.fn(),
+      };
+      new EntryUploader(
+        entry,
+        { chunk_size: 1024, chunk_timeout: 5000, checksum: true },
+        { channel: () => fakeChannel, getLatencySim: () => null },
+      ).upload();
+      joined({});
+
+      // hashing is asynchronous, so wait until each chunk is pushed
+      const waitForPush = async (count: number) => {
+        while (pushes.length < count) {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+      };
+      await waitForPush(1);
+      pushes[0].receives.ok();
+      await waitForPush(2);
+      pushes[1].receives.ok();
+
+      const [first, second] = [content.slice(0, 1024), content.slice(1024)];
+      const digests = [sha256(first), sha256(second)];
+      expect(new Uint8Array(pushes[0].chunk)).toEqual(
+        new Uint8Array([...digests[0], ...first]),
+      );
+      expect(new Uint8Array(pushes[1].chunk)).toEqual(
+        new Uint8Array([...digests[1], ...second]),
+      );
+
+      const rolling = sha256(sha256(digests[0]), digests[1]);
+      const hex = Buffer.from(rolling).toString("hex");
+      expect(entry.progress).toHaveBeenLastCalledWith(100, hex);
+    });
+  });
 });
@@ -1,5 +1,6 @@
 import Hooks from "phoenix_live_view/hooks";
 import LiveUploader from "phoenix_live_view/live_uploader";
+import VirtualList from "phoenix_live_view/virtual_list";
 
 describe("LiveFileUpload", () => {
   afterEach(() => {
@@ -122,9 +123,185 @@ describe("LiveFileUpload", () => {
   });
 });
 
+describe("client upload validation", () => {
+  const setupInput = (attrs: string) => {
+    document.body.innerHTML = `
+      <form>
+        <input
+          type="file"
+          name="documents"
+          data-phx-upload-ref="upload-ref"
+          data-phx-active-refs=""
+          data-phx-preflighted-refs=""
+          ${attrs}
+        >
+      </form>
+    `;
+    const input = document.querySelector("input")!;
+    const rejections: Array<{ file: File | Blob; reason: string }[]> = [];
+    input.addEventListener("phx:live-file:rejected", (e) =>
+      rejections.push((e as CustomEvent).detail.errors),
+    );
+    return { input, rejections };
+  };
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  test("rejects files exceeding the size limit or not matching accept", () => {
+    const { input, rejections } = setupInput(
+      `multiple accept=".txt,image/*" data-phx-max-file-size="5" data-phx-max-entries="4"`,
+    );
+    const valid = new File(["abc"], "valid.txt");
+    const image = new File(["abc"], "photo", { type: "image/png" });
+    const large = new File(["too large"], "large.txt");
+    const pdf = new File(["abc"], "doc.pdf", { type: "application/pdf" });
+
+    LiveUploader.trackFiles(input, [valid, image, large, pdf]);
+
+    expect(rejections).toEqual([
+      [
+        { file: large, reason: "too_large" },
+        { file: pdf, reason: "not_accepted" },
+      ],
+    ]);
+    expect(LiveUploader.serializeUploads(input)).toMatchObject({
+      "upload-ref": [{ name: "valid.txt" }, { name: "photo" }],
+    });
+  });
+
+  test("rejects the whole selection when exceeding max entries", () => {
+    const { input, rejections } = setupInput(
+      `multiple data-phx-max-file-size="100" data-phx-max-entries="2"`,
+    );
+    const first = new File(["abc"], "first.txt");
+    LiveUploader.trackFiles(input, [first]);
+
+    const second = new File(["abc"], "second.txt");
+    const third = new File(["abc"], "third.txt");
+    LiveUploader.trackFiles(input, [second, third]);
+
+    expect(rejections).toEqual([
+      [
+        { file: second, reason: "too_many_files" },
+        { file: third, reason: "too_many_files" },
+      ],
+    ]);
+    expect(LiveUploader.serializeUploads(input)).toMatchObject({
+      "upload-ref": [{ name: "first.txt" }],
+    });
+  });
+
+  test("leaves validation to the server without client limits", () => {
+    const { input, rejections } = setupInput(`accept=".txt"`);
+
+    LiveUploader.trackFiles(input, [new File(["abc"], "doc.pdf")]);
+
+    expect(rejections).toEqual([]);
+    expect(LiveUploader.serializeUploads(input)).toMatchObject({
+      "upload-ref": [{ name: "doc.pdf" }],
+    });
+  });
+
+  test("LiveFileUpload clears a rejected single file selection", () => {
+    const { input } = setupInput(`data-phx-max-file-size="1"`);
+    const log = jest.fn();
+    const ctx = {
+      ...Hooks.LiveFileUpload,
+      el: input,
+      js: () => ({ ignoreAttributes: jest.fn() }),
+      __view: () => ({ log }),
+    };
+    Hooks.LiveFileUpload.mounted!.call(ctx as any);
+    const valueSetter = jest.spyOn(input, "value", "set");
+
+    LiveUploader.trackFiles(input, [new File(["abc"], "large.txt")]);
+
+    expect(valueSetter).toHaveBeenCalledWith("");
+    expect(log).toHaveBeenCalledWith("upload", expect.any(Function), {
+      code: "upload.entry-rejected",
+      metadata: expect.any(Function),
+    });
+    expect(LiveUploader.serializeUploads(input)).toEqual({});
+  });
+});
+
+describe("dropped directories", () => {
+  const fileEntry = (fullPath: string) => {
+    const file = new File(["abc"], fullPath.split("/").pop()!);
+    return { isFile: true, fullPath, file: (resolve) => resolve(file) };
+  };
+  // readEntries returns the entries in batches, ending with an empty batch
+  const directoryEntry = (fullPath: string, batches: any[][]) => ({
+    isDirectory: true,
+    fullPath,
+    createReader: () => {
+      const pending = batches.concat([[]]);
+      return { readEntries: (resolve) => resolve(pending.shift()) };
+    },
+  });
+  const dataTransfer = (entries: any[]) =>
+    ({
+      items: entries.map((entry) => ({
+        kind: "file",
+        webkitGetAsEntry: () => entry,
+      })),
+    }) as unknown as DataTransfer;
+
+  test("returns null without directories", () => {
+    const transfer = dataTransfer([fileEntry("/a.txt")]);
+    expect(LiveUploader.readDroppedDirectories(transfer, 10)).toBeNull();
+  });
+
+  test("walks directories with paths relative to the drop", async () => {
+    const transfer = dataTransfer([
+      fileEntry("/top.txt"),
+      directoryEntry("/photos", [
+        [fileEntry("/photos/a.png")],
+        [
+          directoryEntry("/photos/2024", [[fileEntry("/photos/2024/b.png")]]),
+          fileEntry("/photos/c.png"),
+        ],
+      ]),
+    ]);
+
+    const files = await LiveUploader.readDroppedDirectories(transfer, 10)!;
+
+    // top level files are kept as they are, as in a regular drop
+    expect(
+      Object.prototype.hasOwnProperty.call(files[0], "webkitRelativePath"),
+    ).toBe(false);
+    expect(
+      files.slice(1).map((file) => [file.name, file.webkitRelativePath]),
+    ).toEqual([
+      ["a.png", "photos/a.png"],
+      ["b.png", "photos/2024/b.png"],
+      ["c.png", "photos/c.png"],
+    ]);
+  });
+
+  test("stops reading once exceeding the maximum files", async () => {
+    const readEntries = jest.fn();
+    const transfer = dataTransfer([
+      directoryEntry("/docs", [
+        [fileEntry("/docs/a.txt"), fileEntry("/docs/b.txt")],
+        [fileEntry("/docs/c.txt")],
+      ]),
+      { isDirectory: true, createReader: () => ({ readEntries }) },
+    ]);
+
+    const files = await LiveUploader.readDroppedDirectories(transfer, 1)!;
+
+    expect(files.map((file) => file.name)).toEqual(["a.txt", "b.txt"]);
+    expect(readEntries).not.toHaveBeenCalled();
+  });
+});
+
 describe("InfiniteScroll", () => {
   afterEach(() => {
     jest.useRealTimers();
+    delete (window as any).IntersectionObserver;
     document.body.innerHTML = "";
   });
 
@@ -174,22 +351,68 @@ describe("InfiniteScroll", () => {
     });
   });
 
-  test("cancels pending throttle timers when destroyed", () => {
-    jest.useFakeTimers();
-    jest.setSystemTime(0);
+  class FakeIntersectionObserver {
+    static instances: FakeIntersectionObserver[] = [];
+    callback: IntersectionObserverCallback;
+    options: IntersectionObserverInit;
+    targets = new Set<Element>();
+
+    constructor(callback, options) {
+      this.callback = callback;
+      this.options = options;
+      FakeIntersectionObserver.instances.push(this);
+    }
+
+    observe(target: Element) {
+      this.targets.add(target);
+    }
+
+    unobserve(target: Element) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    notify(target: Element, entry: Partial<IntersectionObserverEntry>) {
+      const intersecting = entry.isIntersecting ?? false;
+      this.callback(
+        [
+          {
+            target,
+            isIntersecting: intersecting,
+            intersectionRatio: intersecting ? 1 : 0,
+            boundingClientRect: target.getBoundingClientRect(),
+            rootBounds: null,
+            ...entry,
+          } as IntersectionObserverEntry,
+        ],
+        this as any,
+      );
+    }
+  }
+
+  const mountScroll = (
+    attrs: Record<string, string>,
+    overflow = "overflowY",
+  ) => {
+    FakeIntersectionObserver.instances = [];
+    (window as any).IntersectionObserver = FakeIntersectionObserver;
 
     const scrollContainer = document.createElement("div");
-    scrollContainer.style.overflowY = "scroll";
+    scrollContainer.style[overflow] = "scroll";
     const hookEl = document.createElement("div");
-    hookEl.setAttribute("phx-viewport-bottom", "load-more");
-    hookEl.appendChild(document.createElement("div"));
+    Object.entries(attrs).forEach(([name, value]) =>
+      hookEl.setAttribute(name, value),
+    );
+    ["first", "middle", "last"].forEach((id) => {
+      const child = document.createElement("div");
+      child.id = id;
+      hookEl.appendChild(child);
+    });
     scrollContainer.appendChild(hookEl);
     document.body.appendChild(scrollContainer);
-    Object.defineProperty(scrollContainer, "scrollTop", {
-      configurable: true,
-      writable: true,
-      value: 0,
-    });
 
     const push = jest.fn();
     const ctx = {
@@ -199,16 +422,246 @@ describe("InfiniteScroll", () => {
         js: () => ({ push }),
       },
       findOverrunTarget: Hooks.InfiniteScroll.findOverrunTarget,
+      observeEdges: Hooks.InfiniteScroll.observeEdges,
+      observeOverrunTarget: Hooks.InfiniteScroll.observeOverrunTarget,
       throttle: Hooks.InfiniteScroll.throttle,
     };
-
     Hooks.InfiniteScroll.mounted!.call(ctx as any);
-    scrollContainer.scrollTop = 1;
-    (ctx as any).onScroll(new Event("scroll"));
+    const [edges, overrun] = FakeIntersectionObserver.instances;
+    return { ctx, push, scrollContainer, hookEl, edges, overrun };
+  };
+
+  test("observes the first and last child with the configured root margin", () => {
+    const { edges, overrun, scrollContainer, hookEl } = mountScroll({
+      "phx-viewport-bottom": "load-more",
+      "phx-viewport-root-margin": "200px",
+    });
+
+    expect(edges.options).toEqual({
+      root: scrollContainer,
+      rootMargin: "200px",
+    });
+    expect(Array.from(edges.targets).map((el) => el.id)).toEqual([
+      "first",
+      "last",
+    ]);
+    expect(overrun.options.rootMargin).toBe("0px 0px -100% 0px");
+    expect(Array.from(overrun.targets)).toEqual([hookEl]);
+  });
+
+  test("pushes the bottom event once the last child scrolls into view", () => {
+    const { edges, push, hookEl } = mountScroll({
+      "phx-viewport-bottom": "load-more",
+    });
+    const last = document.getElementById("last")!;
+
+    // the initial notification only reports the state on mount
+    edges.notify(last, { isIntersecting: true });
+    expect(push).not.toHaveBeenCalled();
+
+    edges.notify(last, { isIntersecting: false });
+    edges.notify(last, { isIntersecting: true });
+    expect(push).toHaveBeenCalledWith(hookEl, "load-more", {
+      value: { id: "last" },
+      callback: expect.any(Function),
+    });
+  });
+
+  test("pushes the left and right events for horizontal containers", () => {
+    const { edges, push, hookEl, scrollContainer, overrun } = mountScroll(
+      { "phx-viewport-left": "prev", "phx-viewport-right": "next" },
+      "overflowX",
+    );
+    const first = document.getElementById("first")!;
+    const last = document.getElementById("last")!;
+
+    expect(edges.options.root).toBe(scrollContainer);
+    expect(overrun.options.rootMargin).toBe("0px -100% 0px 0px");
+
+    edges.notify(first, { isIntersecting: false });
+    edges.notify(last, { isIntersecting: false });
+    edges.notify(last, { isIntersecting: true });
+    expect(push).toHaveBeenLastCalledWith(hookEl, "next", {
+      value: { id: "last" },
+      callback: expect.any(Function),
+    });
+
+    push.mock.calls[0][2].callback();
+    jest.useFakeTimers();
+    jest.advanceTimersByTime(500);
+    edges.notify(first, { isIntersecting: true });
+    expect(push).toHaveBeenLastCalledWith(hookEl, "prev", {
+      value: { id: "first" },
+      callback: expect.any(Function),
+    });
+  });
+
+  test("pushes the top event with _overran when the start of the container is overrun", () => {
+    const { overrun, push, hookEl } = mountScroll({
+      "phx-viewport-top": "prev-page",
+    });
+
+    overrun.notify(hookEl, { isIntersecting: true });
+    overrun.notify(hookEl, { isIntersecting: false });
+    expect(push).toHaveBeenCalledWith(hookEl, "prev-page", {
+      value: { id: "first", _overran: true },
+      callback: expect.any(Function),
+    });
+  });
+
+  test("observes new edges after an update", () => {
+    const { ctx, edges, push, hookEl } = mountScroll({
+      "phx-viewport-bottom": "load-more",
+    });
+    const child = document.createElement("div");
+    child.id = "appended";
+    hookEl.appendChild(child);
+
+    Hooks.InfiniteScroll.updated!.call(ctx as any);
+    expect(Array.from(edges.targets).map((el) => el.id)).toEqual([
+      "first",
+      "appended",
+    ]);
+
+    // children that became an edge later load more items right away
+    edges.notify(child, { isIntersecting: true });
+    expect(push).toHaveBeenCalledWith(hookEl, "load-more", {
+      value: { id: "appended" },
+      callback: expect.any(Function),
+    });
+  });
+
+  test("observes a replaced overrun target after an update", () => {
+    const target = document.createElement("div");
+    target.id = "overrun-target";
+    document.body.appendChild(target);
+    const { ctx, overrun, push } = mountScroll({
+      "phx-viewport-top": "prev-page",
+      "phx-viewport-overrun-target": "overrun-target",
+    });
+    expect(Array.from(overrun.targets)).toEqual([target]);
+    overrun.notify(target, { isIntersecting: true });
+
+    const replaced = document.createElement("div");
+    replaced.id = "overrun-target";
+    target.replaceWith(replaced);
+
+    Hooks.InfiniteScroll.updated!.call(ctx as any);
+    expect(Array.from(overrun.targets)).toEqual([replaced]);
+
+    // the initial notification of the replaced target only reports its state
+    overrun.notify(replaced, { isIntersecting: false });
+    expect(push).not.toHaveBeenCalled();
+  });
+
+  test("loads the next page once the pending load completes when the last child became visible meanwhile", () => {
+    jest.useFakeTimers();
+    const { edges, push, hookEl } = mountScroll({
+      "phx-viewport-bottom": "load-more",
+    });
+    const last = document.getElementById("last")!;
+    edges.notify(last, { isIntersecting: false });
+    edges.notify(last, { isIntersecting: true });
+    expect(push).toHaveBeenCalledTimes(1);
+
+    edges.notify(last, { isIntersecting: false });
+    edges.notify(last, { isIntersecting: true });
+    expect(push).toHaveBeenCalledTimes(1);
+
+    push.mock.calls[0][2].callback();
+    jest.advanceTimersByTime(500);
+    expect(push).toHaveBeenCalledTimes(2);
+    expect(push).toHaveBeenLastCalledWith(hookEl, "load-more", {
+      value: { id: "last" },
+      callback: expect.any(Function),
+    });
+  });
+
+  test("cancels pending throttle timers when destroyed", () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(0);
+
+    const { ctx, edges, push } = mountScroll({
+      "phx-viewport-bottom": "load-more",
+      "phx-viewport-throttle": "1000",
+    });
+    const last = document.getElementById("last")!;
+    edges.notify(last, { isIntersecting: false });
+    edges.notify(last, { isIntersecting: true });
+    jest.advanceTimersByTime(999);
+    expect(push).not.toHaveBeenCalled();
     Hooks.InfiniteScroll.destroyed!.call(ctx as any);
 
     jest.runAllTimers();
 
     expect(push).not.toHaveBeenCalled();
+    expect(edges.targets.size).toBe(0);
+  });
+});
+
+describe("VirtualList", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  const setup = () => {
+    const el = document.createElement("ul");
+    el.style.overflowY = "scroll";
+    el.setAttribute("phx-virtual-item-height", "50");
+    for (let i = 1; i <= 100; i++) {
+      const item = document.createElement("li");
+      item.id = `items-${i}`;
+      el.appendChild(item);
+    }
+    document.body.appendChild(el);
+    Object.defineProperty(el, "clientHeight", { value: 200 });
+    Object.defineProperty(el, "scrollTop", { writable: true, value: 0 });
+    return {
+      el,
+      liveSocket: { binding: (name: string) => `phx-${name}` },
+    };
+  };
+
+  const mountedIds = (el: HTMLElement) =>
+    Array.from(el.querySelectorAll("li[id]")).map((item) => item.id);
+
+  test("renders the children around the scroll position", () => {
+    const ctx = setup();
+    const el = ctx.el;
+
+    Hooks.VirtualList.mounted!.call(ctx as any);
+    expect(mountedIds(el)).toEqual(
+      Array.from({ length: 8 }, (_, i) => `items-${i + 1}`),
+    );
+    expect((el.lastElementChild as HTMLElement).style.height).toBe("4600px");
+
+    el.scrollTop = 2000;
+    Hooks.VirtualList.updated!.call(ctx as any);
+    expect(mountedIds(el)[0]).toBe("items-37");
+    expect(mountedIds(el).length).toBe(12);
+    expect((el.firstElementChild as HTMLElement).style.height).toBe("1800px");
+  });
+
+  test("mounts all children again when destroyed", () => {
+    const ctx = setup();
+    const el = ctx.el;
+
+    Hooks.VirtualList.mounted!.call(ctx as any);
+    Hooks.VirtualList.destroyed!.call(ctx as any);
+
+    expect(mountedIds(el).length).toBe(100);
+    expect(el.children.length).toBe(100);
+  });
+
+  test("forgets lists removed from the document without being destroyed", () => {
+    const ctx = setup();
+    const el = ctx.el;
+
+    Hooks.VirtualList.mounted!.call(ctx as any);
+    expect(VirtualList.findDetached("items-50", () => true)).not.toBe(null);
+
+    el.remove();
+    expect(VirtualList.findDetached("items-50", () => true)).toBe(null);
+    expect((VirtualList as any).lists.size).toBe(0);
   });
 });
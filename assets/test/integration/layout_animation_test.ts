@@ -0,0 +1,177 @@
+import { Socket } from "phoenix";
+import DOMPatch from "phoenix_live_view/dom_patch";
+import LiveSocket from "phoenix_live_view/live_socket";
+import { simulateJoinedView } from "../test_helpers";
+
+const ITEM_HEIGHT = 50;
+
+type FakeAnimation = {
+  el: Element;
+  keyframes: Keyframe[];
+  options: KeyframeAnimationOptions;
+  finish: () => void;
+  cancel: jest.Mock;
+  finished: Promise<void>;
+};
+
+let animations: FakeAnimation[];
+
+function setup(attrs = `phx-animate-layout`) {
+  document.body.innerHTML = `
+    <div data-phx-session="abc123"
+         data-phx-root-id="root"
+         data-phx-static="456"
+         id="root">
+      <div id="content">
+        <ul id="items" phx-update="stream" ${attrs}>
+          <li id="items-1" data-phx-stream="0">1</li>
+          <li id="items-2" data-phx-stream="0">2</li>
+          <li id="items-3" data-phx-stream="0">3</li>
+        </ul>
+      </div>
+    </div>
+  `;
+  const container = document.getElementById("items")!;
+  // jsdom does not lay out elements, so we position each item by its index
+  jest
+    .spyOn(HTMLLIElement.prototype, "getBoundingClientRect")
+    .mockImplementation(function (this: HTMLLIElement) {
+      const top = Array.from(container.children).indexOf(this) * ITEM_HEIGHT;
+      return { top, left: 0, bottom: top + ITEM_HEIGHT } as DOMRect;
+    });
+  animations = [];
+  Element.prototype.animate = jest.fn(function (
+    this: Element,
+    keyframes,
+    options,
+  ) {
+    let finish;
+    const finished = new Promise<void>((resolve) => (finish = resolve));
+    const animation = {
+      el: this,
+      keyframes,
+      options,
+      finish,
+      cancel: jest.fn(),
+      finished,
+    };
+    animations.push(animation);
+    return animation;
+  }) as any;
+  const liveSocket = new LiveSocket("/live", Socket);
+  const view = simulateJoinedView(document.getElementById("root"), liveSocket);
+  return { liveSocket, view, container };
+}
+
+function patch(view, children: string, streams) {
+  const container = document.getElementById("items")!.cloneNode() as Element;
+  container.innerHTML = children;
+  const source = document.createElement("div");
+  source.appendChild(container);
+  const target = document.getElementById("content")!;
+  new DOMPatch(view, target, source, new Set(streams), null).perform(false);
+}
+
+describe("phx-animate-layout", () => {
+  let liveSocket: LiveSocket;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete (Element.prototype as any).animate;
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("slides moved children into place and fades in inserted ones", () => {
+    let view;
+    ({ liveSocket, view } = setup());
+
+    patch(view, `<li id="items-0">0</li><li id="items-3">3</li>`, [
+      [
+        "0",
+        [
+          ["items-0", 0, null, false],
+          ["items-3", 1, null, false],
+        ],
+        ["items-2"],
+        undefined,
+      ],
+    ]);
+
+    const byId = Object.fromEntries(animations.map((a) => [a.el.id, a]));
+    expect(Object.keys(byId).sort()).toEqual(["items-0", "items-1"]);
+    expect(byId["items-0"].keyframes).toEqual([{ opacity: 0 }, { opacity: 1 }]);
+    expect(byId["items-1"].keyframes).toEqual([
+      { transform: "translate(0px, -50px)" },
+      { transform: "none" },
+    ]);
+    expect(byId["items-1"].options).toEqual({
+      duration: 200,
+      easing: "ease-in-out",
+    });
+  });
+
+  test("uses the duration of the binding", () => {
+    let view;
+    ({ liveSocket, view } = setup(`phx-animate-layout="500"`));
+
+    patch(view, `<li id="items-0">0</li>`, [
+      ["0", [["items-0", 0, null, false]], [], undefined],
+    ]);
+
+    expect(animations.length).toBe(4);
+    animations.forEach((a) => expect(a.options.duration).toBe(500));
+  });
+
+  test("defers DOM updates until the animations are finished", async () => {
+    let view;
+    ({ liveSocket, view } = setup());
+
+    patch(view, `<li id="items-0">0</li>`, [
+      ["0", [["items-0", 0, null, false]], [], undefined],
+    ]);
+    const update = jest.fn();
+    liveSocket.requestDOMUpdate(update);
+    expect(update).not.toHaveBeenCalled();
+
+    animations.forEach((a) => a.finish());
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(update).toHaveBeenCalled();
+  });
+
+  test("does not animate when reduced motion is preferred", () => {
+    let view;
+    ({ liveSocket, view } = setup());
+    window.matchMedia = jest.fn().mockReturnValue({ matches: true });
+
+    patch(view, `<li id="items-0">0</li>`, [
+      ["0", [["items-0", 0, null, false]], [], undefined],
+    ]);
+
+    expect(animations).toEqual([]);
+    delete (window as any).matchMedia;
+  });
+
+  test("does not animate the join patch", () => {
+    let view;
+    ({ liveSocket, view } = setup());
+
+    const source = document.createElement("div");
+    source.innerHTML = `<ul id="items" phx-update="stream" phx-animate-layout><li id="items-4">4</li></ul>`;
+    const target = document.getElementById("content")!;
+    new DOMPatch(view, target, source, new Set(), null).perform(true);
+
+    expect(animations).toEqual([]);
+  });
+
+  test("does not animate containers without the binding", () => {
+    let view;
+    ({ liveSocket, view } = setup(""));
+
+    patch(view, `<li id="items-0">0</li>`, [
+      ["0", [["items-0", 0, null, false]], [], undefined],
+    ]);
+
+    expect(animations).toEqual([]);
+  });
+});
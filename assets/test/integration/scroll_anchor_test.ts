@@ -0,0 +1,128 @@
+import { Socket } from "phoenix";
+import DOMPatch from "phoenix_live_view/dom_patch";
+import LiveSocket from "phoenix_live_view/live_socket";
+import { simulateJoinedView } from "../test_helpers";
+
+const ITEM_HEIGHT = 50;
+
+const items = (from: number, to: number) => {
+  let html = "";
+  for (let i = from; i <= to; i++) {
+    html += `<li id="items-${i}" data-phx-stream="0">Item ${i}</li>`;
+  }
+  return html;
+};
+
+// jsdom does not lay out elements, so we position each item
+// by its index and the scroll position of the container
+function setup(anchor: string | null, scrollTop: number) {
+  const anchorAttr = anchor ? `phx-scroll-anchor="${anchor}"` : "";
+  document.body.innerHTML = `
+    <div data-phx-session="abc123"
+         data-phx-root-id="root"
+         data-phx-static="456"
+         id="root">
+      <div id="content">
+        <ul id="items" phx-update="stream" ${anchorAttr} style="overflow-y: auto">${items(1, 20)}</ul>
+      </div>
+    </div>
+  `;
+  const container = document.getElementById("items")!;
+  let top = scrollTop;
+  Object.defineProperties(container, {
+    scrollTop: { get: () => top, set: (value) => (top = value) },
+    scrollHeight: { get: () => container.children.length * ITEM_HEIGHT },
+    clientHeight: { value: 200 },
+  });
+  container.getBoundingClientRect = () => ({ top: 0, bottom: 200 }) as DOMRect;
+  jest
+    .spyOn(HTMLLIElement.prototype, "getBoundingClientRect")
+    .mockImplementation(function (this: HTMLLIElement) {
+      const index = Array.from(container.children).indexOf(this);
+      const itemTop = index * ITEM_HEIGHT - top;
+      return { top: itemTop, bottom: itemTop + ITEM_HEIGHT } as DOMRect;
+    });
+  const liveSocket = new LiveSocket("/live", Socket);
+  const view = simulateJoinedView(document.getElementById("root"), liveSocket);
+  return { liveSocket, view, container };
+}
+
+// the patched container keeps its attributes, like the server would render them
+function patch(view, children: string, streams) {
+  const container = document.getElementById("items")!.cloneNode() as Element;
+  container.innerHTML = children;
+  const source = document.createElement("div");
+  source.appendChild(container);
+  const target = document.getElementById("content")!;
+  new DOMPatch(view, target, source, new Set(streams), null).perform(false);
+}
+
+const prepend = (view, ...ids: string[]) =>
+  patch(view, ids.map((id) => `<li id="${id}">New</li>`).join(""), [
+    ["0", ids.map((id) => [id, 0, null, false]), [], undefined],
+  ]);
+
+const append = (view, id: string) =>
+  patch(view, `<li id="${id}">New</li>`, [
+    ["0", [[id, -1, null, false]], [], undefined],
+  ]);
+
+describe("phx-scroll-anchor", () => {
+  let liveSocket: LiveSocket;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("does not adjust the scroll position without the binding", () => {
+    let view, container;
+    ({ liveSocket, view, container } = setup(null, 500));
+
+    prepend(view, "items-0");
+
+    expect(container.firstElementChild.id).toBe("items-0");
+    expect(container.scrollTop).toBe(500);
+  });
+
+  test("preserve keeps the visible items in place on prepend", () => {
+    let view, container;
+    ({ liveSocket, view, container } = setup("preserve", 500));
+
+    prepend(view, "items-0", "items--1");
+
+    expect(container.children.length).toBe(22);
+    expect(container.scrollTop).toBe(600);
+  });
+
+  test("preserve does not adjust the scroll position on append", () => {
+    let view, container;
+    ({ liveSocket, view, container } = setup("preserve", 800));
+
+    append(view, "items-21");
+
+    expect(container.scrollTop).toBe(800);
+  });
+
+  test("bottom keeps a container scrolled to the end pinned on append", () => {
+    let view, container;
+    ({ liveSocket, view, container } = setup("bottom", 800));
+
+    append(view, "items-21");
+
+    expect(container.lastElementChild.id).toBe("items-21");
+    expect(container.scrollTop).toBe(850);
+  });
+
+  test("bottom preserves the visible items when not scrolled to the end", () => {
+    let view, container;
+    ({ liveSocket, view, container } = setup("bottom", 100));
+
+    append(view, "items-21");
+    expect(container.scrollTop).toBe(100);
+
+    prepend(view, "items-0");
+    expect(container.scrollTop).toBe(150);
+  });
+});
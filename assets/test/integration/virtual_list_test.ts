@@ -0,0 +1,194 @@
+import { Socket } from "phoenix";
+import DOMPatch from "phoenix_live_view/dom_patch";
+import LiveSocket from "phoenix_live_view/live_socket";
+import VirtualList from "phoenix_live_view/virtual_list";
+import { simulateJoinedView } from "../test_helpers";
+
+const items = (count: number) =>
+  Array.from(
+    { length: count },
+    (_, i) => `<li id="items-${i + 1}" data-phx-stream="0">Item ${i + 1}</li>`,
+  ).join("");
+
+function setup(count = 100) {
+  document.body.innerHTML = `
+    <div data-phx-session="abc123"
+         data-phx-root-id="root"
+         data-phx-static="456"
+         id="root">
+      <div id="content"><ul id="items" phx-update="stream">${items(count)}</ul></div>
+    </div>
+  `;
+  const liveSocket = new LiveSocket("/live", Socket);
+  const view = simulateJoinedView(document.getElementById("root"), liveSocket);
+  const viewport = { top: 0, height: 500 };
+  const list = new VirtualList(
+    document.getElementById("items")!,
+    () => viewport,
+    50,
+  );
+  list.render();
+  return { liveSocket, view, list, viewport };
+}
+
+function patch(view, html: string, streams) {
+  const source = document.createElement("div");
+  source.innerHTML = html;
+  const container = document.getElementById("content")!;
+  new DOMPatch(view, container, source, new Set(streams), null).perform(false);
+}
+
+const mountedIds = () =>
+  Array.from(document.querySelectorAll("#items > li[id]")).map((el) => el.id);
+
+describe("virtualized stream containers", () => {
+  let liveSocket: LiveSocket;
+
+  afterEach(() => {
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("mounts only the children around the viewport between spacers", () => {
+    let list, viewport;
+    ({ liveSocket, list, viewport } = setup());
+
+    // 500px visible, plus 500px above and below, at 50px per item
+    expect(mountedIds().length).toBe(20);
+    expect(mountedIds()[0]).toBe("items-1");
+    const [top, bottom] = Array.from(
+      document.querySelectorAll("[data-phx-virtual-spacer]"),
+    ) as HTMLElement[];
+    expect(top.style.height).toBe("0px");
+    expect(bottom.style.height).toBe("4000px");
+
+    viewport.top = 2000;
+    list.render();
+    expect(mountedIds()[0]).toBe("items-31");
+    expect(mountedIds().length).toBe(30);
+    expect(top.style.height).toBe("1500px");
+    expect(list.children().length).toBe(100);
+  });
+
+  test("updates detached children in place without moving them", () => {
+    let view, list;
+    ({ liveSocket, view, list } = setup());
+    const detached = list.children()[89];
+    expect(detached.isConnected).toBe(false);
+
+    patch(
+      view,
+      `<ul id="items" phx-update="stream"><li id="items-90">Updated</li></ul>`,
+      [["0", [["items-90", -1, null, false]], [], undefined]],
+    );
+    list.render();
+
+    expect(list.children()[89]).toBe(detached);
+    expect(detached.textContent).toBe("Updated");
+    expect(detached.isConnected).toBe(false);
+    expect(list.children().length).toBe(100);
+  });
+
+  test("applies inserts, deletes and limits to detached children", () => {
+    let view, list;
+    ({ liveSocket, view, list } = setup());
+
+    patch(
+      view,
+      `<ul id="items" phx-update="stream"><li id="items-0">First</li><li id="items-101">Last</li></ul>`,
+      [
+        [
+          "0",
+          [
+            ["items-0", 0, null, false],
+            ["items-101", -1, null, false],
+          ],
+          ["items-95"],
+          undefined,
+        ],
+      ],
+    );
+    list.render();
+
+    const ids = list.children().map((el) => el.id);
+    expect(ids.length).toBe(101);
+    expect(ids[0]).toBe("items-0");
+    expect(ids[100]).toBe("items-101");
+    expect(ids).not.toContain("items-95");
+    expect(mountedIds()[0]).toBe("items-0");
+    expect(document.getElementById("items-101")).toBe(null);
+
+    patch(
+      view,
+      `<ul id="items" phx-update="stream"><li id="items--1">New</li></ul>`,
+      [["0", [["items--1", 0, 100, false]], [], undefined]],
+    );
+    list.render();
+
+    expect(list.children().length).toBe(100);
+    expect(list.children()[0].id).toBe("items--1");
+    expect(list.children().map((el) => el.id)).not.toContain("items-101");
+  });
+
+  test("applies large batches of inserts in stream order", () => {
+    let view, list;
+    ({ liveSocket, view, list } = setup(1000));
+    const ids = (prefix: string) =>
+      Array.from({ length: 1000 }, (_, i) => `${prefix}-${i + 1}`);
+    const li = (id: string) => `<li id="${id}">${id}</li>`;
+
+    patch(
+      view,
+      `<ul id="items" phx-update="stream">${ids("first")
+        .concat(ids("last"), ["middle"])
+        .map(li)
+        .join("")}</ul>`,
+      [
+        [
+          "0",
+          ids("first")
+            .map((id) => [id, 0, null, false])
+            .concat(ids("last").map((id) => [id, -1, null, false]))
+            .concat([["middle", 1000, null, false]]),
+          ["items-500"],
+          undefined,
+        ],
+      ],
+    );
+    list.render();
+
+    const children = list.children().map((el) => el.id);
+    expect(children.length).toBe(3000);
+    expect(children.slice(0, 1000)).toEqual(ids("first").reverse());
+    expect(children[1000]).toBe("middle");
+    expect(children.slice(1001, 2000)).toEqual(
+      ids("items").filter((id) => id !== "items-500"),
+    );
+    expect(children.slice(2000)).toEqual(ids("last"));
+    expect(mountedIds()[0]).toBe("first-1000");
+  });
+
+  test("removes detached children on reset", () => {
+    let view, list;
+    ({ liveSocket, view, list } = setup());
+
+    patch(
+      view,
+      `<ul id="items" phx-update="stream"><li id="items-1">Kept</li></ul>`,
+      [["0", [["items-1", -1, null, false]], [], true]],
+    );
+    list.render();
+
+    expect(list.children().map((el) => el.id)).toEqual(["items-1"]);
+    expect(mountedIds()).toEqual(["items-1"]);
+  });
+
+  test("mounts all children again when destroyed", () => {
+    let list;
+    ({ liveSocket, list } = setup());
+    list.destroy();
+
+    expect(mountedIds().length).toBe(100);
+    expect(document.querySelector("[data-phx-virtual-spacer]")).toBe(null);
+  });
+});
@@ -1,6 +1,8 @@
 import { Socket } from "phoenix";
 import LiveSocket from "phoenix_live_view/live_socket";
 import JS from "phoenix_live_view/js";
+import DOM from "phoenix_live_view/dom";
+import DOMPatch from "phoenix_live_view/dom_patch";
 import ViewHook from "phoenix_live_view/view_hook";
 import {
   simulateJoinedView,
@@ -175,6 +177,8 @@ describe("JS", () => {
         "push",
         null,
         null,
+        expect.any(AbortController),
+        null,
       );
 
       js.navigate("/test-url", { replace: true });
@@ -184,6 +188,8 @@ describe("JS", () => {
         "replace",
         null,
         null,
+        expect.any(AbortController),
+        null,
       );
 
       view.liveSocket.historyRedirect = originalHistoryRedirect;
@@ -200,6 +206,8 @@ describe("JS", () => {
         "/test-url",
         "push",
         null,
+        expect.any(AbortController),
+        null,
       );
 
       js.patch("/test-url", { replace: true });
@@ -208,6 +216,8 @@ describe("JS", () => {
         "/test-url",
         "replace",
         null,
+        expect.any(AbortController),
+        null,
       );
 
       view.liveSocket.pushHistoryPatch = originalPushHistoryPatch;
@@ -433,6 +443,132 @@ describe("JS", () => {
     });
   });
 
+  describe("exec_animate", () => {
+    let finish: () => void;
+    let animate: jest.Mock;
+
+    beforeEach(() => {
+      animate = jest.fn(() => ({
+        finished: new Promise<void>((resolve) => (finish = resolve)),
+      }));
+      Element.prototype.animate = animate as any;
+    });
+
+    afterEach(() => {
+      delete (Element.prototype as any).animate;
+      delete (window as any).matchMedia;
+    });
+
+    test("animates endlessly without blocking DOM updates", () => {
+      const view = setupView(`
+      <div id="item">item</div>
+      <button id="click" phx-click='[["animate", {"to": "#item", "keyframes": [{"opacity": 0}, {"opacity": 1}], "options": {"easing": "ease-out", "iterations": "infinity"}}]]'></button>
+      `);
+      const click = document.querySelector("#click")!;
+      const update = jest.fn();
+
+      JS.exec(event, "click", click.getAttribute("phx-click"), view, click);
+      view.liveSocket.requestDOMUpdate(update);
+
+      expect(animate).toHaveBeenCalledWith([{ opacity: 0 }, { opacity: 1 }], {
+        duration: 200,
+        easing: "ease-out",
+        iterations: Infinity,
+      });
+      expect(animate.mock.contexts[0]).toBe(document.querySelector("#item"));
+      expect(update).toHaveBeenCalled();
+    });
+
+    test("blocks DOM updates until the animation finishes", async () => {
+      const view = setupView(`
+      <div id="item" phx-click='[["animate", {"keyframes": [{"opacity": 0}], "options": {"duration": 500}}]]'></div>
+      `);
+      const item = document.querySelector("#item")!;
+      const update = jest.fn();
+
+      JS.exec(event, "click", item.getAttribute("phx-click"), view, item);
+      view.liveSocket.requestDOMUpdate(update);
+      expect(update).not.toHaveBeenCalled();
+
+      finish();
+      await Promise.resolve();
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(update).toHaveBeenCalled();
+    });
+
+    test("blocks DOM updates at most for the maximum blocking time", async () => {
+      const view = setupView(`
+      <div id="item" phx-click='[["animate", {"keyframes": [{"opacity": 0}], "options": {"duration": 60000}}]]'></div>
+      `);
+      const item = document.querySelector("#item")!;
+      const update = jest.fn();
+
+      JS.exec(event, "click", item.getAttribute("phx-click"), view, item);
+      view.liveSocket.requestDOMUpdate(update);
+      jest.advanceTimersByTime(999);
+      await Promise.resolve();
+      expect(update).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await Promise.resolve();
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(update).toHaveBeenCalled();
+    });
+
+    test("does not block DOM updates when blocking is false", () => {
+      const view = setupView(`
+      <div id="item" phx-click='[["animate", {"keyframes": {"opacity": [0, 1]}, "options": {"duration": 500}, "blocking": false}]]'></div>
+      `);
+      const item = document.querySelector("#item")!;
+      const update = jest.fn();
+
+      JS.exec(event, "click", item.getAttribute("phx-click"), view, item);
+      view.liveSocket.requestDOMUpdate(update);
+
+      expect(animate).toHaveBeenCalledWith(
+        { opacity: [0, 1] },
+        { duration: 500 },
+      );
+      expect(update).toHaveBeenCalled();
+    });
+
+    test("runs without motion when reduced motion is preferred", () => {
+      window.matchMedia = jest.fn().mockReturnValue({ matches: true });
+      const view = setupView(`
+      <div id="item" phx-click='[["animate", {"keyframes": [{"opacity": 0}], "options": {"duration": 500, "delay": 100, "fill": "forwards"}}]]'></div>
+      `);
+      const item = document.querySelector("#item")!;
+
+      JS.exec(event, "click", item.getAttribute("phx-click"), view, item);
+
+      expect(animate).toHaveBeenCalledWith([{ opacity: 0 }], {
+        duration: 0,
+        delay: 0,
+        endDelay: 0,
+        fill: "forwards",
+      });
+    });
+
+    test("is available via liveSocket.js()", () => {
+      const view = setupView(`<div id="item">item</div>`);
+      const item = document.querySelector("#item") as HTMLElement;
+      const update = jest.fn();
+
+      view.liveSocket.js().animate(item, [{ opacity: 0 }, { opacity: 1 }], {
+        duration: 100,
+        blocking: false,
+      });
+      view.liveSocket.requestDOMUpdate(update);
+
+      expect(animate).toHaveBeenCalledWith([{ opacity: 0 }, { opacity: 1 }], {
+        duration: 100,
+      });
+      expect(update).toHaveBeenCalled();
+    });
+  });
+
   describe("exec_transition", () => {
     test("with defaults", (done) => {
       const view = setupView(`
@@ -1255,6 +1391,172 @@ describe("JS", () => {
     });
   });
 
+  describe("dialogs and popovers", () => {
+    // jsdom implements neither modal dialogs nor the Popover API
+    const fakeDialog = (el) => {
+      el.returnValue = "";
+      el.showModal = jest.fn(() => el.setAttribute("open", ""));
+      el.close = jest.fn((value) => {
+        if (value !== undefined) {
+          el.returnValue = value;
+        }
+        el.removeAttribute("open");
+        el.dispatchEvent(new Event("close"));
+      });
+      Object.defineProperty(el, "open", {
+        get: () => el.hasAttribute("open"),
+      });
+      return el;
+    };
+
+    const fakePopover = (el) => {
+      let open = false;
+      const toggle = (newState) => {
+        const e = new Event("toggle");
+        Object.assign(e, {
+          newState,
+          oldState: newState === "open" ? "closed" : "open",
+        });
+        open = newState === "open";
+        el.dispatchEvent(e);
+      };
+      el.showPopover = jest.fn(() => toggle("open"));
+      el.hidePopover = jest.fn(() => toggle("closed"));
+      const matches = el.matches.bind(el);
+      el.matches = (selector) =>
+        selector === ":popover-open" ? open : matches(selector);
+      return el;
+    };
+
+    const patch = (view, html, beforeUpdated = (_fromEl, _toEl) => {}) => {
+      const source = document.createElement("div");
+      source.innerHTML = html;
+      const domPatch = new DOMPatch(view, view.el, source, new Set(), null);
+      domPatch.beforeUpdated(beforeUpdated);
+      domPatch.perform(false);
+    };
+
+    test("show_modal and close_dialog keep the open state across patches", () => {
+      const html = `
+      <dialog id="confirm"><p>Sure?</p></dialog>
+      <button id="open" phx-click='[["show_modal", {"to": "#confirm"}]]'></button>
+      <button id="cancel" phx-click='[["close_dialog", {"to": "#confirm", "return_value": "cancel"}]]'></button>
+      `;
+      const view = setupView(html);
+      const dialog = fakeDialog(document.querySelector("#confirm"));
+      const open = document.querySelector("#open")!;
+      const cancel = document.querySelector("#cancel")!;
+
+      JS.exec(event, "click", open.getAttribute("phx-click"), view, open);
+      expect(dialog.showModal).toHaveBeenCalledTimes(1);
+
+      patch(view, html.replace("Sure?", "Really?"));
+      expect(document.querySelector("#confirm")).toBe(dialog);
+      expect(dialog.textContent).toBe("Really?");
+      expect(dialog.open).toBe(true);
+
+      JS.exec(event, "click", cancel.getAttribute("phx-click"), view, cancel);
+      expect(dialog.close).toHaveBeenCalledWith("cancel");
+      expect(dialog.returnValue).toBe("cancel");
+      patch(view, html);
+      expect(dialog.open).toBe(false);
+
+      // already open dialogs are not opened again
+      JS.exec(event, "click", open.getAttribute("phx-click"), view, open);
+      JS.exec(event, "click", open.getAttribute("phx-click"), view, open);
+      expect(dialog.showModal).toHaveBeenCalledTimes(2);
+    });
+
+    test("dialogs closed natively stay closed across patches", () => {
+      const html = `<dialog id="confirm"></dialog>`;
+      const view = setupView(html);
+      const dialog = fakeDialog(document.querySelector("#confirm"));
+
+      view.liveSocket.js().showModal(dialog);
+      expect(dialog.open).toBe(true);
+      // for example with the Esc key
+      dialog.removeAttribute("open");
+      patch(view, html);
+      expect(dialog.open).toBe(false);
+    });
+
+    test("show_popover, hide_popover and toggle_popover", () => {
+      const view = setupView(`
+      <div id="menu" popover>menu</div>
+      <button id="show" phx-click='[["show_popover", {"to": "#menu"}]]'></button>
+      <button id="hide" phx-click='[["hide_popover", {"to": "#menu"}]]'></button>
+      <button id="toggle" phx-click='[["toggle_popover", {"to": "#menu"}]]'></button>
+      `);
+      const menu = fakePopover(document.querySelector("#menu"));
+      const exec = (id) => {
+        const el = document.getElementById(id)!;
+        JS.exec(event, "click", el.getAttribute("phx-click"), view, el);
+      };
+
+      exec("show");
+      exec("show");
+      expect(menu.showPopover).toHaveBeenCalledTimes(1);
+      exec("hide");
+      exec("hide");
+      expect(menu.hidePopover).toHaveBeenCalledTimes(1);
+      exec("toggle");
+      expect(menu.showPopover).toHaveBeenCalledTimes(2);
+      exec("toggle");
+      expect(menu.hidePopover).toHaveBeenCalledTimes(2);
+
+      view.liveSocket.js().togglePopover(menu);
+      expect(menu.matches(":popover-open")).toBe(true);
+    });
+
+    test("show_popover reopens popovers hidden by a patch", () => {
+      const html = `<div id="menu" popover>menu</div>`;
+      const view = setupView(html);
+      const menu = fakePopover(document.querySelector("#menu"));
+      // the browser hides popovers that are moved within the document
+      const move = (fromEl) => {
+        if (fromEl === menu && menu.matches(":popover-open")) {
+          menu.hidePopover();
+        }
+      };
+
+      view.liveSocket.js().showPopover(menu);
+      patch(view, html, move);
+      expect(menu.matches(":popover-open")).toBe(false);
+      jest.runOnlyPendingTimers();
+      expect(document.querySelector("#menu")).toBe(menu);
+      expect(menu.matches(":popover-open")).toBe(true);
+
+      // popovers closed natively, for example with the Esc key, stay closed
+      menu.hidePopover();
+      patch(view, html, move);
+      jest.runOnlyPendingTimers();
+      expect(menu.matches(":popover-open")).toBe(false);
+      expect(menu.showPopover).toHaveBeenCalledTimes(2);
+    });
+
+    test("phx-close and phx-toggle push the dialog and popover state", () => {
+      const view = setupView(`
+      <dialog id="confirm" phx-close="closed"></dialog>
+      <div id="menu" popover phx-toggle="toggled"></div>
+      `);
+      view.liveSocket.bindTopLevelEvents();
+      const pushes: any[] = [];
+      view.pushEvent = (eventType, _sourceEl, _targetCtx, phxEvent, data) =>
+        pushes.push([eventType, phxEvent, data]);
+      const dialog = fakeDialog(document.querySelector("#confirm"));
+      const menu = fakePopover(document.querySelector("#menu"));
+
+      view.liveSocket.js().showModal(dialog);
+      view.liveSocket.js().closeDialog(dialog, "ok");
+      view.liveSocket.js().showPopover(menu);
+
+      expect(pushes).toEqual([
+        ["close", "closed", { return_value: "ok" }],
+        ["toggle", "toggled", { new_state: "open", old_state: "closed" }],
+      ]);
+    });
+  });
+
   describe("exec", () => {
     test("executes command", (done) => {
       const view = setupView(`
@@ -1344,6 +1646,41 @@ describe("JS", () => {
     });
   });
 
+  describe("exec_pause_upload and exec_resume_upload", () => {
+    test("pauses and resumes the active upload entry with the given ref", () => {
+      const view = setupView(`
+      <button id="pause" phx-click='[["pause_upload", {"ref": "1"}]]'></button>
+      <button id="resume" phx-click='[["resume_upload", {"ref": "1"}]]'></button>
+      `);
+      const entries = ["0", "1"].map((ref) => ({
+        ref,
+        pause: jest.fn(),
+        resume: jest.fn(),
+      }));
+      (view["activeUploaders"] as any).add({ entries: () => entries });
+      const pause = document.querySelector("#pause")!;
+      const resume = document.querySelector("#resume")!;
+
+      JS.exec(event, "click", pause.getAttribute("phx-click"), view, pause);
+      expect(entries[1].pause).toHaveBeenCalledTimes(1);
+      expect(entries[0].pause).not.toHaveBeenCalled();
+
+      JS.exec(event, "click", resume.getAttribute("phx-click"), view, resume);
+      expect(entries[1].resume).toHaveBeenCalledTimes(1);
+      expect(entries[0].resume).not.toHaveBeenCalled();
+    });
+
+    test("ignores unknown entries", () => {
+      const view = setupView(`
+      <button id="pause" phx-click='[["pause_upload", {"ref": "1"}]]'></button>
+      `);
+      const pause = document.querySelector("#pause")!;
+      expect(() =>
+        JS.exec(event, "click", pause.getAttribute("phx-click"), view, pause),
+      ).not.toThrow();
+    });
+  });
+
   describe("exec_toggle_attr", () => {
     test("with defaults", () => {
       const view = setupView(`
@@ -1620,4 +1957,132 @@ describe("JS", () => {
       expect(document.activeElement).toBe(modal2);
     });
   });
+
+  describe("custom commands", () => {
+    const setupViewWithCommands = (content, jsCommands) => {
+      const el = liveViewDOM(content);
+      global.document.body.appendChild(el);
+      const liveSocket = new LiveSocket("/live", Socket, { jsCommands });
+      return simulateJoinedView(el, liveSocket);
+    };
+
+    test("are executed for each targeted element with the command args", () => {
+      const highlight = jest.fn();
+      const view = setupViewWithCommands(
+        `
+      <div class="item" id="item1"></div>
+      <div class="item" id="item2"></div>
+      <button id="click" phx-click='[["highlight", {"to": ".item", "color": "red"}]]'></button>
+      `,
+        { highlight },
+      );
+      const click = document.querySelector("#click")!;
+
+      JS.exec(event, "click", click.getAttribute("phx-click"), view, click);
+
+      expect(highlight).toHaveBeenCalledTimes(2);
+      const [e, eventType, phxEvent, calledView, sourceEl, el, args] =
+        highlight.mock.calls[0];
+      expect(e).toBe(event);
+      expect(eventType).toBe("click");
+      expect(phxEvent).toBe(click.getAttribute("phx-click"));
+      expect(calledView).toBe(view);
+      expect(sourceEl).toBe(click);
+      expect(el).toBe(document.querySelector("#item1"));
+      expect(args).toEqual({ to: ".item", color: "red" });
+      expect(highlight.mock.calls[1][5]).toBe(document.querySelector("#item2"));
+    });
+
+    test("keep sticky changes across patches", () => {
+      const view = setupViewWithCommands(
+        `<div id="item" phx-click='[["highlight", {"color": "red"}]]'></div>`,
+        {
+          highlight(_e, _eventType, _phxEvent, _view, _sourceEl, el, args) {
+            this.sticky(el, "highlight", (el) =>
+              el.setAttribute("data-color", args.color),
+            );
+          },
+        },
+      );
+      const item = document.querySelector("#item")!;
+
+      JS.exec(event, "click", item.getAttribute("phx-click"), view, item);
+      expect(item.getAttribute("data-color")).toBe("red");
+
+      item.removeAttribute("data-color");
+      DOM.applyStickyOperations(item);
+      expect(item.getAttribute("data-color")).toBe("red");
+    });
+
+    test("defer DOM updates with transitions", async () => {
+      let rejectAnimation;
+      const view = setupViewWithCommands(
+        `<div id="item" phx-click='[["fade", {}], ["wait", {}]]'></div>`,
+        {
+          fade(_e, _eventType, _phxEvent, _view, _sourceEl, el) {
+            this.transition(
+              100,
+              () => el.classList.add("fading"),
+              () => el.classList.remove("fading"),
+            );
+          },
+          wait() {
+            this.asyncTransition(
+              new Promise((_resolve, reject) => (rejectAnimation = reject)),
+            );
+          },
+        },
+      );
+      const item = document.querySelector("#item")!;
+      const update = jest.fn();
+
+      JS.exec(event, "click", item.getAttribute("phx-click"), view, item);
+      view.liveSocket.requestDOMUpdate(update);
+      expect(item.classList.contains("fading")).toBe(true);
+
+      jest.advanceTimersByTime(100);
+      expect(item.classList.contains("fading")).toBe(false);
+      expect(update).not.toHaveBeenCalled();
+
+      // a rejected promise still releases the DOM updates
+      rejectAnimation(new Error("cancelled"));
+      await Promise.resolve();
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(update).toHaveBeenCalled();
+    });
+
+    test("do not replace built-in commands", () => {
+      const show = jest.fn();
+      const view = setupViewWithCommands(
+        `<div id="item" style="display: none" phx-click='[["show", {}]]'></div>`,
+        { show },
+      );
+      const item = document.querySelector("#item") as HTMLElement;
+
+      JS.exec(event, "click", item.getAttribute("phx-click"), view, item);
+      jest.runAllTimers();
+
+      expect(show).not.toHaveBeenCalled();
+      expect(item.style.display).toBe("block");
+    });
+
+    test("logs an error for unknown commands", () => {
+      const view = setupViewWithCommands(
+        `<div id="item" phx-click='[["unknown", {}]]'></div>`,
+        {},
+      );
+      const item = document.querySelector("#item")!;
+      const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      expect(() =>
+        JS.exec(event, "click", item.getAttribute("phx-click"), view, item),
+      ).not.toThrow();
+      expect(error).toHaveBeenCalledWith(
+        expect.stringContaining('unknown JS command "unknown"'),
+        { kind: "unknown" },
+      );
+      error.mockRestore();
+    });
+  });
 });
@@ -6,6 +6,7 @@ import {
   RenderingBuffer,
   ReportingBuffer,
 } from "phoenix_live_view/rendered/buffer";
+import Browser from "phoenix_live_view/browser";
 import JS from "phoenix_live_view/js";
 import View from "phoenix_live_view/view";
 import { version as liveview_version } from "../../package.json";
@@ -322,7 +323,117 @@ describe("LiveSocket", () => {
       code: number;
     }) => void;
     serverCloseHandler({ code: 1000 });
-    expect(reloadWithJitter).toHaveBeenCalledWith(liveSocket.main);
+    expect(reloadWithJitter).toHaveBeenCalledWith(
+      liveSocket.main,
+      "server-close",
+    );
+  });
+
+  describe("reloadStrategy", () => {
+    let diagnostics: LiveViewDiagnostic[];
+    const onDiagnostic = (e: Event) =>
+      diagnostics.push((e as CustomEvent<LiveViewDiagnostic>).detail);
+
+    beforeEach(() => {
+      diagnostics = [];
+      window.localStorage.clear();
+      window.addEventListener(PHX_LV_DIAGNOSTIC_EVENT, onDiagnostic);
+    });
+
+    afterEach(() => {
+      window.removeEventListener(PHX_LV_DIAGNOSTIC_EVENT, onDiagnostic);
+      jest.restoreAllMocks();
+    });
+
+    test("is consulted with the reason and attempt counter", () => {
+      const decide = jest.fn(() => ({ action: "halt" as const }));
+      liveSocket = new LiveSocket("/live", Socket, {
+        reloadStrategy: { decide },
+      });
+      liveSocket.connect();
+      const view = liveSocket.getViewByEl(container(1));
+
+      liveSocket.reloadWithJitter(view, "push-timeout");
+      liveSocket.reloadWithJitter(view, "join-error");
+
+      expect(decide.mock.calls).toEqual([
+        [{ reason: "push-timeout", attempt: 1, viewId: "container1" }],
+        [{ reason: "join-error", attempt: 2, viewId: "container1" }],
+      ]);
+      expect(liveSocket.reloadWithJitterTimer).toBeNull();
+      expect(
+        diagnostics
+          .filter(({ code }) => code === "view.reload-decision")
+          .map(({ metadata }) => metadata),
+      ).toEqual([
+        { reason: "push-timeout", attempt: 1, action: "halt" },
+        { reason: "join-error", attempt: 2, action: "halt" },
+      ]);
+      expect(diagnostics.map(({ level }) => level)).toContain("error");
+    });
+
+    test("dispatches phx:reload-halted when halting", () => {
+      liveSocket = new LiveSocket("/live", Socket, {
+        reloadStrategy: { decide: () => ({ action: "halt" }) },
+      });
+      liveSocket.connect();
+      const view = liveSocket.getViewByEl(container(1));
+      const halted = jest.fn();
+      window.addEventListener("phx:reload-halted", halted);
+
+      liveSocket.reloadWithJitter(view, "server-close");
+      window.removeEventListener("phx:reload-halted", halted);
+
+      expect(halted).toHaveBeenCalledTimes(1);
+      expect(halted.mock.calls[0][0].detail).toEqual({
+        reason: "server-close",
+        attempt: 1,
+        viewId: "container1",
+      });
+    });
+
+    test("schedules the reload with the decided delay", () => {
+      liveSocket = new LiveSocket("/live", Socket, {
+        reloadStrategy: {
+          decide: ({ attempt }) => ({
+            action: "reload",
+            delay: 1000 * attempt,
+          }),
+        },
+      });
+      liveSocket.connect();
+      const view = liveSocket.getViewByEl(container(1));
+      const setTimeoutSpy = jest
+        .spyOn(window, "setTimeout")
+        .mockImplementation(() => 0 as any);
+
+      liveSocket.reloadWithJitter(view, "server-close");
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 1000);
+      expect(
+        diagnostics
+          .filter(({ code }) => code === "view.reload-decision")
+          .map(({ level }) => level),
+      ).toEqual(["debug"]);
+    });
+
+    test("defaults to jittered reloads", () => {
+      liveSocket = new LiveSocket("/live", Socket, {
+        reloadJitterMin: 100,
+        reloadJitterMax: 200,
+      });
+      liveSocket.connect();
+      const view = liveSocket.getViewByEl(container(1));
+      const setTimeoutSpy = jest
+        .spyOn(window, "setTimeout")
+        .mockImplementation(() => 0 as any);
+
+      liveSocket.reloadWithJitter(view, "join-error");
+
+      const delay = setTimeoutSpy.mock.calls[0][1]!;
+      expect(delay).toBeGreaterThanOrEqual(100);
+      expect(delay).toBeLessThanOrEqual(200);
+    });
   });
 
   test("channel", async () => {
@@ -722,6 +833,8 @@ describe("liveSocket.js()", () => {
       "push",
       null,
       null,
+      expect.any(AbortController),
+      null,
     );
 
     js.navigate("/test-url", { replace: true });
@@ -731,6 +844,8 @@ describe("liveSocket.js()", () => {
       "replace",
       null,
       null,
+      expect.any(AbortController),
+      null,
     );
 
     liveSocket.historyRedirect = originalHistoryRedirect;
@@ -746,6 +861,8 @@ describe("liveSocket.js()", () => {
       "/test-url",
       "push",
       null,
+      expect.any(AbortController),
+      null,
     );
 
     js.patch("/test-url", { replace: true });
@@ -754,6 +871,8 @@ describe("liveSocket.js()", () => {
       "/test-url",
       "replace",
       null,
+      expect.any(AbortController),
+      null,
     );
 
     liveSocket.pushHistoryPatch = originalPushHistoryPatch;
@@ -842,3 +961,1011 @@ describe("liveSocket debug buffers", () => {
     expect((view as any).rendered.bufferClass()).toBe(RenderingBuffer);
   });
 });
+
+// a channel whose join is replied to by the test
+const fakeChannel = (channels, topic, params) => {
+  const channel = {
+    topic,
+    params,
+    left: false,
+    joinReplies: {},
+    join() {
+      return {
+        receive(kind, cb) {
+          channel.joinReplies[kind] = cb;
+          return this;
+        },
+      };
+    },
+    leave() {
+      channel.left = true;
+      return {
+        receive() {
+          return this;
+        },
+      };
+    },
+    push: () => ({
+      receive() {
+        return this;
+      },
+    }),
+    on() {},
+    onError() {},
+    onClose() {},
+    canPush: () => true,
+  };
+  channels.push(channel);
+  return channel;
+};
+
+describe("phx-prefetch", () => {
+  let liveSocket;
+  let channels;
+
+  const link = () => document.querySelector("a")!;
+
+  beforeEach(() => {
+    channels = [];
+    window.history.replaceState(null, "", "/");
+    document.body.innerHTML = `
+      <div id="main" data-phx-session="abc123" data-phx-main>
+        <a href="/next" data-phx-link="redirect" data-phx-link-state="push" phx-prefetch>Next</a>
+      </div>
+    `;
+    liveSocket = new LiveSocket("/live", Socket, { prefetchTimeout: 500 });
+    liveSocket.channel = (topic, params) =>
+      fakeChannel(channels, topic, params);
+    liveSocket.isConnected = () => true;
+    liveSocket.main = simulateJoinedView(
+      document.getElementById("main"),
+      liveSocket,
+    );
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("joins the link target on a separate topic after hovering", () => {
+    liveSocket.bindPrefetch();
+    link().dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+    expect(channels.length).toBe(1);
+
+    jest.advanceTimersByTime(100);
+    expect(channels.length).toBe(2);
+    expect(channels[1].topic).toBe("lv:main:prefetch-1");
+    expect(channels[1].params().redirect).toBe("http://localhost/next");
+
+    channels[1].joinReplies.ok({
+      rendered: { s: ["<p>Next page</p>"] },
+      liveview_version,
+    });
+    // the page is untouched until the user navigates
+    expect(document.getElementById("main")!.textContent).toContain("Next");
+    expect(document.body.textContent).not.toContain("Next page");
+  });
+
+  test("only prefetches on the intents listed in phx-prefetch", () => {
+    link().setAttribute("phx-prefetch", "viewport");
+    liveSocket.bindPrefetch();
+    link().dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+    link().dispatchEvent(new FocusEvent("focusin", { bubbles: true }));
+    jest.advanceTimersByTime(100);
+
+    expect(channels.length).toBe(1);
+  });
+
+  test("swaps in the prefetched view when navigating to its href", () => {
+    liveSocket.prefetch("http://localhost/next", "focus");
+    const oldMain = liveSocket.main;
+    const prefetched = channels[1];
+    prefetched.joinReplies.ok({
+      rendered: { s: ["<p>Next page</p>"] },
+      liveview_version,
+    });
+
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/next",
+      "push",
+      null,
+    );
+
+    expect(channels.length).toBe(2);
+    expect(oldMain.isDestroyed()).toBe(true);
+    expect(prefetched.left).toBe(false);
+    expect(liveSocket.main.channel).toBe(prefetched);
+    expect(liveSocket.main.prefetching).toBe(false);
+    expect(document.getElementById("main")!.textContent).toContain("Next page");
+    expect(window.location.pathname).toBe("/next");
+  });
+
+  test("sets the title and dispatches events of the prefetched view once swapped in", () => {
+    document.title = "Home";
+    const dispatched = jest.fn();
+    window.addEventListener("phx:prefetched", dispatched);
+    liveSocket.prefetch("http://localhost/next", "focus");
+    channels[1].joinReplies.ok({
+      rendered: {
+        s: ["<p>Next page</p>"],
+        t: "Next",
+        e: [["prefetched", {}, true]],
+      },
+      liveview_version,
+    });
+    jest.advanceTimersByTime(100);
+
+    expect(document.title).toBe("Home");
+    expect(dispatched).not.toHaveBeenCalled();
+
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/next",
+      "push",
+      null,
+    );
+    jest.advanceTimersByTime(100);
+
+    expect(document.title).toBe("Next");
+    expect(dispatched).toHaveBeenCalledTimes(1);
+    window.removeEventListener("phx:prefetched", dispatched);
+  });
+
+  test("discards the prefetched view after the prefetch timeout", () => {
+    liveSocket.prefetch("http://localhost/next", "hover");
+    jest.advanceTimersByTime(500);
+
+    expect(channels[1].left).toBe(true);
+    expect(liveSocket.prefetches.size).toBe(0);
+
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/next",
+      "push",
+      null,
+    );
+    expect(channels.length).toBe(3);
+    expect(channels[2].topic).toBe("lv:main");
+  });
+
+  test("patches regular root views without waiting for the join callback", () => {
+    liveSocket.main.destroy();
+    const view = new View(document.getElementById("main")!, liveSocket, null);
+    // the callback never completes, like a navigation awaiting its swap
+    view.join(() => {});
+    channels[channels.length - 1].joinReplies.ok({
+      rendered: { s: ["<p>Joined</p>"] },
+      liveview_version,
+    });
+
+    expect(document.getElementById("main")!.textContent).toContain("Joined");
+  });
+
+  test("discards the prefetched view on join errors without reloading", () => {
+    liveSocket.redirect = jest.fn();
+    liveSocket.prefetch("http://localhost/next", "hover");
+    channels[1].joinReplies.error({ reason: "reload", token: "abc" });
+
+    expect(liveSocket.redirect).not.toHaveBeenCalled();
+    expect(channels[1].left).toBe(true);
+    expect(liveSocket.prefetches.size).toBe(0);
+    expect(document.getElementById("main")!.className).not.toContain(
+      "phx-error",
+    );
+  });
+});
+
+describe("back/forward snapshots", () => {
+  let liveSocket;
+  let channels;
+  let hookCalls;
+
+  const popTo = (path, position) => {
+    window.history.replaceState(null, "", path);
+    window.dispatchEvent(
+      new PopStateEvent("popstate", {
+        state: { type: "redirect", id: "main", position },
+      }),
+    );
+  };
+
+  const joinLast = (html) => {
+    channels[channels.length - 1].joinReplies.ok({
+      rendered: { s: [html] },
+      liveview_version,
+    });
+  };
+
+  beforeEach(() => {
+    channels = [];
+    hookCalls = [];
+    window.history.replaceState(null, "", "/");
+    document.body.innerHTML = `
+      <div id="main" data-phx-session="abc123" data-phx-main><div id="probe" phx-hook="Probe">Home</div></div>
+    `;
+    liveSocket = new LiveSocket("/live", Socket, {
+      hooks: {
+        Probe: {
+          mounted() {
+            hookCalls.push("mounted");
+          },
+          restored() {
+            hookCalls.push("restored");
+          },
+        },
+      },
+    });
+    liveSocket.channel = (topic, params) =>
+      fakeChannel(channels, topic, params);
+    liveSocket.isConnected = () => true;
+    liveSocket.currentHistoryPosition = 0;
+    liveSocket.main = simulateJoinedView(
+      document.getElementById("main"),
+      liveSocket,
+    );
+    liveSocket.bindNav();
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/next",
+      "push",
+      null,
+    );
+    joinLast("<p>Next page</p>");
+    hookCalls = [];
+  });
+
+  afterEach(() => {
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("shows the page left at a history position while joining", () => {
+    expect(document.getElementById("main")!.textContent).toContain("Next page");
+
+    popTo("/", 0);
+
+    const main = document.getElementById("main")!;
+    expect(main.textContent).toContain("Home");
+    expect(main.textContent).not.toContain("Next page");
+    expect(liveSocket.main.isJoinPending()).toBe(true);
+    expect(hookCalls).toEqual([]);
+
+    joinLast(`<div id="probe" phx-hook="Probe">Home, updated</div>`);
+
+    expect(document.getElementById("main")).toBe(main);
+    expect(main.textContent).toContain("Home, updated");
+    expect(hookCalls).toEqual(["mounted", "restored"]);
+  });
+
+  test("does not restore when the cache is disabled", () => {
+    liveSocket.snapshotCacheSize = 0;
+    liveSocket.snapshots.clear();
+
+    popTo("/", 0);
+
+    expect(document.getElementById("main")!.textContent).toContain("Next page");
+    joinLast(`<div id="probe" phx-hook="Probe">Home</div>`);
+    expect(hookCalls).toEqual(["mounted"]);
+  });
+
+  test("drops snapshots of history entries replaced by a new navigation", () => {
+    popTo("/", 0);
+    joinLast(`<div id="probe" phx-hook="Probe">Home</div>`);
+    expect(liveSocket.snapshots.has(1)).toBe(true);
+
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/other",
+      "push",
+      null,
+    );
+    joinLast("<p>Other page</p>");
+
+    expect(liveSocket.currentHistoryPosition).toBe(1);
+    expect(liveSocket.snapshots.has(1)).toBe(false);
+    expect(liveSocket.snapshots.has(0)).toBe(true);
+  });
+});
+
+describe("phx-scroll-restore", () => {
+  let liveSocket;
+  let channels;
+  let frames;
+
+  const joinLast = (html) => {
+    channels[channels.length - 1].joinReplies.ok({
+      rendered: { s: [html] },
+      liveview_version,
+    });
+  };
+
+  const navigateToNext = () => {
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/next",
+      "push",
+      null,
+    );
+  };
+
+  beforeEach(() => {
+    channels = [];
+    frames = [];
+    window.history.replaceState(null, "", "/");
+    document.body.innerHTML = `
+      <div id="main" data-phx-session="abc123" data-phx-main><div id="list" phx-scroll-restore>Items</div></div>
+    `;
+    liveSocket = new LiveSocket("/live", Socket, { snapshotCacheSize: 0 });
+    liveSocket.channel = (topic, params) =>
+      fakeChannel(channels, topic, params);
+    liveSocket.isConnected = () => true;
+    liveSocket.main = simulateJoinedView(
+      document.getElementById("main"),
+      liveSocket,
+    );
+    jest
+      .spyOn(window, "requestAnimationFrame")
+      .mockImplementation((cb) => frames.push(cb));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("records the offsets of marked containers when navigating", () => {
+    document.getElementById("list")!.scrollTop = 120;
+    navigateToNext();
+
+    expect(window.history.state.scrollContainers).toEqual({
+      list: { top: 120, left: 0 },
+    });
+  });
+
+  test("restores the offsets of marked containers on back navigation", () => {
+    liveSocket.bindNav();
+    navigateToNext();
+    joinLast("<p>Next page</p>");
+
+    window.history.replaceState(null, "", "/");
+    window.dispatchEvent(
+      new PopStateEvent("popstate", {
+        state: {
+          type: "redirect",
+          id: "main",
+          position: 0,
+          scrollContainers: { list: { top: 80, left: 10 } },
+        },
+      }),
+    );
+    joinLast(`<div id="list" phx-scroll-restore>Items</div>`);
+    frames.forEach((cb) => cb(0));
+
+    const list = document.getElementById("list")!;
+    expect(list.scrollTop).toBe(80);
+    expect(list.scrollLeft).toBe(10);
+  });
+});
+
+// a minimal Navigation API, committing navigations like browsers do once
+// their precommit handlers resolve
+class FakeNavigation extends EventTarget {
+  entryState: unknown = undefined;
+  ongoing: AbortController | null = null;
+  transition: { finished: Promise<void> } | null = null;
+  entries = new Map<string, { url: string; state: unknown }>();
+  currentEntry = this.addEntry(window.location.href, undefined);
+
+  navigate(url, { history = "auto", state = undefined, info = undefined }) {
+    return this.dispatch(url, history, state, info);
+  }
+
+  traverse(url, state) {
+    return this.dispatch(url, "traverse", state, undefined);
+  }
+
+  traverseTo(key) {
+    const { url, state } = this.entries.get(key)!;
+    return this.dispatch(url, "traverse", state, undefined);
+  }
+
+  updateCurrentEntry({ state }) {
+    this.entryState = state;
+    this.entries.get(this.currentEntry.key)!.state = state;
+  }
+
+  addEntry(url, state) {
+    const key = String(this.entries.size);
+    this.entries.set(key, { url, state });
+    return { key, url, getState: () => this.entryState };
+  }
+
+  dispatch(url, navigationType, state, info) {
+    this.ongoing?.abort();
+    const controller = new AbortController();
+    this.ongoing = controller;
+    let options: NavigationInterceptOptions | null = null;
+    const event = Object.assign(new Event("navigate"), {
+      navigationType,
+      info,
+      canIntercept: true,
+      hashChange: false,
+      downloadRequest: null,
+      formData: null,
+      signal: controller.signal,
+      destination: {
+        url: new URL(url, window.location.href).href,
+        sameDocument: true,
+        getState: () => state,
+      },
+      intercept: (opts) => (options = opts),
+    });
+    this.dispatchEvent(event);
+    const commit = () => {
+      if (controller.signal.aborted) {
+        throw new Error("aborted");
+      }
+      window.history.replaceState(null, "", url);
+      this.entryState = state;
+      this.currentEntry = this.addEntry(url, state);
+    };
+    const precommitHandler = options!.precommitHandler;
+    const committed = precommitHandler
+      ? Promise.resolve()
+          .then(() => precommitHandler({} as NavigationPrecommitController))
+          .then(commit)
+      : Promise.resolve(commit());
+    const finished = committed.then(() => options!.handler?.());
+    const transition = { finished };
+    this.transition = transition;
+    const settled = () =>
+      this.transition === transition && (this.transition = null);
+    finished.then(settled, settled);
+    committed.catch(() => {});
+    finished.catch(() => {});
+    return { committed, finished };
+  }
+}
+
+describe("navigationApi", () => {
+  let liveSocket;
+  let channels;
+  let navigation: FakeNavigation;
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  const joinLast = (html) => {
+    channels[channels.length - 1].joinReplies.ok({
+      rendered: { s: [html] },
+      liveview_version,
+    });
+  };
+
+  const navigateToNext = () => {
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/next",
+      "push",
+      null,
+    );
+  };
+
+  const setup = (opts = { navigationApi: true }) => {
+    liveSocket = new LiveSocket("/live", Socket, opts);
+    liveSocket.channel = (topic, params) =>
+      fakeChannel(channels, topic, params);
+    liveSocket.isConnected = () => true;
+    liveSocket.currentHistoryPosition = 0;
+    liveSocket.main = simulateJoinedView(
+      document.getElementById("main"),
+      liveSocket,
+    );
+    liveSocket.bindNav();
+  };
+
+  beforeEach(() => {
+    channels = [];
+    navigation = new FakeNavigation();
+    Object.assign(window, {
+      navigation,
+      NavigationPrecommitController: class {},
+    });
+    window.history.replaceState(null, "", "/");
+    document.body.innerHTML = `
+      <div id="main" data-phx-session="abc123" data-phx-main><p>Home</p></div>
+    `;
+    jest.spyOn(window, "requestAnimationFrame").mockImplementation(() => 0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    liveSocket.destroyAllViews();
+    Browser.navigation = null;
+    delete (window as any).navigation;
+    delete (window as any).NavigationPrecommitController;
+    document.body.innerHTML = "";
+  });
+
+  test("commits the URL of live navigations once the view joined", async () => {
+    setup();
+    navigateToNext();
+    await flush();
+
+    expect(channels.length).toBe(2);
+    expect(window.location.pathname).toBe("/");
+
+    joinLast("<p>Next page</p>");
+    await flush();
+
+    expect(window.location.pathname).toBe("/next");
+    expect(document.getElementById("main")!.textContent).toContain("Next page");
+    expect(navigation.entryState).toEqual({
+      type: "redirect",
+      id: "main",
+      position: 1,
+    });
+    expect(liveSocket.getHref()).toBe("http://localhost/next");
+  });
+
+  test("rejoins the current page when a live navigation is aborted", async () => {
+    setup();
+    navigateToNext();
+    await flush();
+    const joining = channels[1];
+
+    navigation.ongoing!.abort();
+    await flush();
+
+    expect(joining.left).toBe(true);
+    expect(channels.length).toBe(3);
+    expect(channels[2].params().url).toBe("http://localhost/");
+    expect(liveSocket.hasPendingLink()).toBe(false);
+
+    joinLast("<p>Home again</p>");
+    await flush();
+
+    expect(window.location.pathname).toBe("/");
+    expect(document.getElementById("main")!.textContent).toContain(
+      "Home again",
+    );
+  });
+
+  test("runs back and forward navigations from traversals", async () => {
+    setup();
+    navigateToNext();
+    await flush();
+    joinLast("<p>Next page</p>");
+    await flush();
+
+    const { finished } = navigation.traverse("/", {
+      type: "redirect",
+      id: "main",
+      position: 0,
+    });
+    let done = false;
+    finished.then(() => (done = true));
+    await flush();
+
+    expect(window.location.pathname).toBe("/");
+    expect(liveSocket.currentHistoryPosition).toBe(0);
+    expect(done).toBe(false);
+
+    joinLast("<p>Home</p>");
+    await flush();
+
+    expect(done).toBe(true);
+    expect(document.getElementById("main")!.textContent).toContain("Home");
+  });
+
+  test("traverses back to the previous entry when a traversal is canceled", async () => {
+    setup();
+    navigateToNext();
+    await flush();
+    joinLast("<p>Next page</p>");
+    await flush();
+    const cancel = (e) => e.preventDefault();
+    window.addEventListener("phx:before-navigate", cancel);
+
+    try {
+      navigation.traverse("/", { type: "redirect", id: "main", position: 0 });
+      await flush();
+      await flush();
+    } finally {
+      window.removeEventListener("phx:before-navigate", cancel);
+    }
+
+    expect(window.location.pathname).toBe("/next");
+    expect(navigation.entryState).toMatchObject({ position: 1 });
+    expect(channels.length).toBe(2);
+    expect(document.getElementById("main")!.textContent).toContain("Next page");
+  });
+
+  test("uses the History API unless enabled", () => {
+    setup({ navigationApi: false });
+    navigateToNext();
+    joinLast("<p>Next page</p>");
+
+    expect(window.location.pathname).toBe("/next");
+    expect(window.history.state.type).toBe("redirect");
+    expect(navigation.entryState).toBeUndefined();
+  });
+});
+
+describe("navigation signals", () => {
+  let liveSocket;
+  let channels;
+  let loadingSignals;
+
+  // joins dispatch page loading events of their own, without a signal
+  const onLoadingStart = (e) =>
+    e.detail.signal && loadingSignals.push(e.detail.signal);
+
+  const joinLast = (html) => {
+    channels[channels.length - 1].joinReplies.ok({
+      rendered: { s: [html] },
+      liveview_version,
+    });
+  };
+
+  const navigateTo = (href) => {
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      href,
+      "push",
+      null,
+    );
+  };
+
+  beforeEach(() => {
+    channels = [];
+    loadingSignals = [];
+    window.history.replaceState(null, "", "/");
+    document.body.innerHTML = `
+      <div id="main" data-phx-session="abc123" data-phx-main>
+        <a href="/next" data-phx-link="redirect" data-phx-link-state="push">Next</a>
+      </div>
+    `;
+    liveSocket = new LiveSocket("/live", Socket, { snapshotCacheSize: 0 });
+    liveSocket.channel = (topic, params) =>
+      fakeChannel(channels, topic, params);
+    liveSocket.isConnected = () => true;
+    liveSocket.main = simulateJoinedView(
+      document.getElementById("main"),
+      liveSocket,
+    );
+    window.addEventListener("phx:page-loading-start", onLoadingStart);
+  });
+
+  afterEach(() => {
+    window.removeEventListener("phx:page-loading-start", onLoadingStart);
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("aborts the signal and leaves the join of superseded navigations", () => {
+    navigateTo("/first");
+    navigateTo("/second");
+
+    const [first, second] = loadingSignals;
+    expect(first.aborted).toBe(true);
+    expect(second.aborted).toBe(false);
+    expect(channels[1].left).toBe(true);
+
+    joinLast("<p>Second page</p>");
+
+    expect(second.aborted).toBe(false);
+    expect(window.location.pathname).toBe("/second");
+  });
+
+  test("passes the same signal to phx:before-navigate", () => {
+    let beforeSignal;
+    const onBeforeNavigate = (e) => (beforeSignal = e.detail.signal);
+    window.addEventListener("phx:before-navigate", onBeforeNavigate);
+    liveSocket.bindNav();
+    document.querySelector("a")!.click();
+    window.removeEventListener("phx:before-navigate", onBeforeNavigate);
+
+    expect(beforeSignal).toBeInstanceOf(AbortSignal);
+    expect(loadingSignals).toEqual([beforeSignal]);
+  });
+
+  test("cancels JS.navigate when its signal aborts", () => {
+    const controller = new AbortController();
+    liveSocket.js().navigate("/next", { signal: controller.signal });
+    const joining = channels[1];
+
+    controller.abort();
+
+    expect(loadingSignals[0].aborted).toBe(true);
+    expect(joining.left).toBe(true);
+    expect(liveSocket.hasPendingLink()).toBe(false);
+    expect(channels.length).toBe(3);
+    expect(channels[2].params().url).toBe("http://localhost/");
+
+    joinLast("<p>Home again</p>");
+
+    expect(window.location.pathname).toBe("/");
+    expect(document.getElementById("main")!.textContent).toContain(
+      "Home again",
+    );
+  });
+
+  test("does not start navigations with an aborted signal", () => {
+    const controller = new AbortController();
+    controller.abort();
+    liveSocket.js().patch("/?page=2", { signal: controller.signal });
+    liveSocket.js().navigate("/next", { signal: controller.signal });
+
+    expect(loadingSignals).toEqual([]);
+    expect(channels.length).toBe(1);
+  });
+});
+
+describe("page head", () => {
+  let liveSocket;
+  let channels;
+
+  beforeEach(() => {
+    channels = [];
+    window.history.replaceState(null, "", "/");
+    document.head.innerHTML = `
+      <meta data-phx-head="description" name="description" content="Home">
+    `;
+    document.body.innerHTML = `
+      <div id="main" data-phx-session="abc123" data-phx-main></div>
+    `;
+    liveSocket = new LiveSocket("/live", Socket);
+    liveSocket.channel = (topic, params) =>
+      fakeChannel(channels, topic, params);
+    liveSocket.isConnected = () => true;
+    liveSocket.main = simulateJoinedView(
+      document.getElementById("main"),
+      liveSocket,
+    );
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    liveSocket.destroyAllViews();
+    document.head.innerHTML = "";
+    document.body.innerHTML = "";
+  });
+
+  test("removes the keyed tags of the previous page on live navigation", () => {
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/next",
+      "push",
+      null,
+    );
+    // the main LiveView sends an empty head on mount when it assigns none
+    channels[1].joinReplies.ok({
+      rendered: { s: ["<p>Next page</p>"], h: {} },
+      liveview_version,
+    });
+    jest.advanceTimersByTime(100);
+
+    expect(document.getElementById("main")!.textContent).toContain("Next page");
+    expect(document.head.querySelector("[data-phx-head]")).toBeNull();
+  });
+});
+
+describe("phx-view-transition", () => {
+  let liveSocket;
+  let channels;
+  let transitions;
+  let finishers;
+
+  const joinLast = (html) => {
+    channels[channels.length - 1].joinReplies.ok({
+      rendered: { s: [html] },
+      liveview_version,
+    });
+  };
+
+  beforeEach(() => {
+    channels = [];
+    transitions = [];
+    finishers = [];
+    window.history.replaceState(null, "", "/");
+    document.body.innerHTML = `
+      <div id="main" data-phx-session="abc123" data-phx-main>
+        <a href="/next" data-phx-link="redirect" data-phx-link-state="push" phx-view-transition="slide">Next</a>
+      </div>
+    `;
+    (document as any).startViewTransition = (update) => {
+      const types = new Set<string>();
+      transitions.push(types);
+      update();
+      const finished = new Promise<void>((resolve) => finishers.push(resolve));
+      return { types, finished };
+    };
+    liveSocket = new LiveSocket("/live", Socket);
+    liveSocket.channel = (topic, params) =>
+      fakeChannel(channels, topic, params);
+    liveSocket.isConnected = () => true;
+    liveSocket.currentHistoryPosition = 0;
+    liveSocket.main = simulateJoinedView(
+      document.getElementById("main"),
+      liveSocket,
+    );
+    liveSocket.bindNav();
+  });
+
+  afterEach(() => {
+    delete (document as any).startViewTransition;
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("runs navigations from links in the named view transition", () => {
+    document.querySelector("a")!.click();
+    expect(transitions).toEqual([]);
+
+    joinLast("<p>Next page</p>");
+
+    expect(transitions).toEqual([new Set(["slide", "forward"])]);
+    expect(window.location.pathname).toBe("/next");
+    expect(window.history.state.transition).toBe("slide");
+  });
+
+  test("sets the transition as document attributes until it finishes", async () => {
+    const html = document.documentElement;
+    document.querySelector("a")!.click();
+    joinLast("<p>Next page</p>");
+
+    expect(html.getAttribute("data-phx-view-transition")).toBe("slide");
+    expect(html.getAttribute("data-phx-view-transition-direction")).toBe(
+      "forward",
+    );
+
+    liveSocket.js().navigate("/other", { transition: "fade" });
+    joinLast("<p>Other page</p>");
+    finishers[0]();
+    await Promise.resolve();
+
+    expect(html.getAttribute("data-phx-view-transition")).toBe("fade");
+
+    finishers[1]();
+    await Promise.resolve();
+
+    expect(html.hasAttribute("data-phx-view-transition")).toBe(false);
+    expect(html.hasAttribute("data-phx-view-transition-direction")).toBe(false);
+  });
+
+  test("reverses the transition when navigating back", () => {
+    document.querySelector("a")!.click();
+    joinLast("<p>Next page</p>");
+    transitions = [];
+
+    window.history.replaceState(null, "", "/");
+    window.dispatchEvent(
+      new PopStateEvent("popstate", {
+        state: {
+          type: "redirect",
+          id: "main",
+          position: 0,
+          backType: "redirect",
+          backTransition: "slide",
+        },
+      }),
+    );
+
+    expect(transitions).toEqual([new Set(["slide", "backward"])]);
+    expect(document.getElementById("main")!.textContent).toContain("Next");
+  });
+
+  test("does not run transitions for unnamed navigations and diffs", () => {
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      "/other",
+      "push",
+      null,
+    );
+    joinLast("<p>Other page</p>");
+    liveSocket.main.update({ 0: "updated" }, []);
+
+    expect(window.location.pathname).toBe("/other");
+    expect(transitions).toEqual([]);
+  });
+
+  test("runs JS.navigate transitions and falls back without support", () => {
+    delete (document as any).startViewTransition;
+    liveSocket.js().navigate("/next", { transition: "fade" });
+    joinLast("<p>Next page</p>");
+
+    expect(window.location.pathname).toBe("/next");
+    expect(window.history.state.transition).toBe("fade");
+    expect(document.getElementById("main")!.textContent).toContain("Next page");
+  });
+});
+
+describe("staleAssets", () => {
+  let liveSocket;
+  let channels;
+  let staleUrls;
+  let joinParams;
+
+  const onAssetsStale = (e) => staleUrls.push(e.detail.urls);
+
+  const navigateTo = (href) => {
+    liveSocket.historyRedirect(
+      new CustomEvent("phx:server-navigate"),
+      href,
+      "push",
+      null,
+    );
+  };
+
+  const setup = (opts) => {
+    liveSocket = new LiveSocket("/live", Socket, {
+      snapshotCacheSize: 0,
+      ...opts,
+    });
+    liveSocket.channel = (topic, params) =>
+      fakeChannel(channels, topic, params);
+    liveSocket.isConnected = () => true;
+    liveSocket.main = simulateJoinedView(
+      document.getElementById("main"),
+      liveSocket,
+    );
+    navigateTo("/next");
+    joinParams = channels[channels.length - 1].params().params;
+    channels[channels.length - 1].joinReplies.ok({
+      rendered: { s: ["<p>Next page</p>"] },
+      liveview_version,
+      assets_stale: ["/assets/app-abc123.js"],
+    });
+  };
+
+  beforeEach(() => {
+    channels = [];
+    staleUrls = [];
+    window.history.replaceState(null, "", "/");
+    document.body.innerHTML = `<div id="main" data-phx-session="abc123" data-phx-main></div>`;
+    window.addEventListener("phx:assets-stale", onAssetsStale);
+  });
+
+  afterEach(() => {
+    window.removeEventListener("phx:assets-stale", onAssetsStale);
+    jest.restoreAllMocks();
+    liveSocket.destroyAllViews();
+    document.body.innerHTML = "";
+  });
+
+  test("notifies once and performs a page load on the next navigation", () => {
+    const redirect = jest
+      .spyOn(Browser, "redirect")
+      .mockImplementation(() => {});
+    setup({ staleAssets: "notify" });
+
+    expect(joinParams._stale_assets).toBe(true);
+    expect(staleUrls).toEqual([["/assets/app-abc123.js"]]);
+    expect(window.location.pathname).toBe("/next");
+    expect(document.getElementById("main")!.textContent).toContain("Next page");
+
+    const joins = channels.length;
+    navigateTo("/other");
+    expect(redirect).toHaveBeenCalledWith("/other", null);
+    expect(channels.length).toBe(joins);
+    expect(staleUrls.length).toBe(1);
+  });
+
+  test("ignores stale assets by default", () => {
+    const redirect = jest.spyOn(Browser, "redirect");
+    setup({});
+
+    expect(joinParams._stale_assets).toBeUndefined();
+    expect(staleUrls).toEqual([]);
+    const joins = channels.length;
+    navigateTo("/other");
+    expect(redirect).not.toHaveBeenCalled();
+    expect(channels.length).toBe(joins + 1);
+  });
+});
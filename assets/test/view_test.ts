@@ -3,6 +3,7 @@ import { createHook } from "phoenix_live_view/index";
 import LiveSocket from "phoenix_live_view/live_socket";
 import DOM from "phoenix_live_view/dom";
 import View from "phoenix_live_view/view";
+import LiveUploader from "phoenix_live_view/live_uploader";
 import ViewHook, { HooksOptions } from "phoenix_live_view/view_hook";
 
 import { version as liveview_version } from "../../package.json";
@@ -124,6 +125,56 @@ describe("View + DOM", function () {
     expect(document.title).toBe("Foo");
   });
 
+  test("applyDiff patches keyed head elements", async () => {
+    document.head.innerHTML = `<meta data-phx-head="description" name="description" content="old">`;
+    liveSocket = new LiveSocket("/live", Socket);
+    const el = liveViewDOM();
+    const updateDiff = {
+      s: ["<h2>", "</h2>"],
+      fingerprint: 123,
+      h: { canonical: ["link", { rel: "canonical", href: "/posts/1" }] },
+    };
+
+    const view = simulateJoinedView(el, liveSocket);
+    view.applyDiff("update", updateDiff, ({ diff, events }) =>
+      view.update(diff, events),
+    );
+    expect(view["rendered"]!.get()).not.toHaveProperty("h");
+
+    await new Promise(requestAnimationFrame);
+    expect(document.head.querySelector("[data-phx-head=description]")).toBe(
+      null,
+    );
+    expect(
+      document.head
+        .querySelector("[data-phx-head=canonical]")!
+        .getAttribute("href"),
+    ).toBe("/posts/1");
+    document.head.innerHTML = "";
+  });
+
+  test("applyDiff keeps head elements when the diff has no head", async () => {
+    document.head.innerHTML = `<meta data-phx-head="description" name="description" content="old">`;
+    liveSocket = new LiveSocket("/live", Socket);
+    const el = liveViewDOM();
+    el.setAttribute("data-phx-main", "");
+
+    const view = simulateJoinedView(el, liveSocket);
+    view.applyDiff(
+      "mount",
+      { s: ["<h2>", "</h2>"], fingerprint: 123 },
+      ({ diff, events }) => view.update(diff, events),
+    );
+
+    await new Promise(requestAnimationFrame);
+    expect(
+      document.head
+        .querySelector("[data-phx-head=description]")!
+        .getAttribute("content"),
+    ).toBe("old");
+    document.head.innerHTML = "";
+  });
+
   test("pushWithReply", function () {
     expect.assertions(1);
 
@@ -259,12 +310,277 @@ describe("View + DOM", function () {
 
     await expect(result).resolves.toMatchObject({ type: "error" });
     expect(events).toEqual(["phx:page-loading-start", "phx:page-loading-stop"]);
-    expect(reloadWithJitter).toHaveBeenCalledWith(view, expect.any(Function));
+    expect(reloadWithJitter).toHaveBeenCalledWith(
+      view,
+      "push-timeout",
+      expect.any(Function),
+    );
 
     window.removeEventListener("phx:page-loading-start", pageLoadingListener);
     window.removeEventListener("phx:page-loading-stop", pageLoadingListener);
   });
 
+  describe("queueEventsWhileDisconnected", () => {
+    const stubPushes = (view) => {
+      const pushes: { event: string; payload: any; receives: any[] }[] = [];
+      (view["channel"] as any).push = (event, payload) => {
+        const push = {
+          event,
+          payload,
+          receives: [] as [string, (resp: any) => void][],
+          receive(status, callback) {
+            this.receives.push([status, callback]);
+            return this;
+          },
+        };
+        pushes.push(push);
+        return push;
+      };
+      return pushes;
+    };
+
+    const rejoin = (view, el) => {
+      view.isConnected = () => true;
+      view.onJoin({ rendered: { s: [el.innerHTML] }, liveview_version });
+    };
+
+    beforeEach(() => window.sessionStorage.clear());
+
+    test("queues events and replays them in order on rejoin", async () => {
+      liveSocket = new LiveSocket("/live", Socket, {
+        queueEventsWhileDisconnected: true,
+      });
+      const el = liveViewDOM();
+      const view = simulateJoinedView(el, liveSocket);
+      const pushes = stubPushes(view);
+      const button = el.querySelector("button")!;
+      const checkbox = el.querySelector("input[type=checkbox]")!;
+      view.isConnected = () => false;
+
+      view.pushEvent("click", button, el, "inc_temperature", {});
+      const hookReply = view.pushHookEvent(checkbox, null, "hook_event", {
+        a: 1,
+      });
+
+      expect(pushes).toHaveLength(0);
+      expect(button.classList.contains("phx-click-loading")).toBe(true);
+      expect(
+        JSON.parse(
+          window.sessionStorage.getItem("phx:live-socket:queued-pushes")!,
+        ).pushes.map(({ view, payload }) => [view, payload.event]),
+      ).toEqual([
+        ["main", "inc_temperature"],
+        ["main", "hook_event"],
+      ]);
+
+      rejoin(view, el);
+
+      expect(pushes.map(({ payload }) => payload.event)).toEqual([
+        "inc_temperature",
+        "hook_event",
+      ]);
+      expect(
+        window.sessionStorage.getItem("phx:live-socket:queued-pushes"),
+      ).toBeNull();
+      // loading states are kept until the replayed push is acked
+      const buttonAfterJoin = el.querySelector("button")!;
+      expect(buttonAfterJoin.classList.contains("phx-click-loading")).toBe(
+        true,
+      );
+      pushes.forEach((push) =>
+        push.receives.find(([status]) => status === "ok")![1]({}),
+      );
+      expect(
+        el.querySelector("button")!.classList.contains("phx-click-loading"),
+      ).toBe(false);
+      await expect(hookReply).resolves.toEqual({ reply: null, ref: 1 });
+    });
+
+    test("elements can opt out with phx-queue=false", () => {
+      liveSocket = new LiveSocket("/live", Socket, {
+        queueEventsWhileDisconnected: true,
+      });
+      const el = liveViewDOM();
+      const view = simulateJoinedView(el, liveSocket);
+      const pushes = stubPushes(view);
+      const button = el.querySelector("button")!;
+      button.setAttribute("phx-queue", "false");
+      view.isConnected = () => false;
+
+      view.pushEvent("click", button, el, "inc_temperature", {});
+
+      expect(button.classList.contains("phx-click-loading")).toBe(false);
+      rejoin(view, el);
+      expect(pushes).toHaveLength(0);
+    });
+
+    test("does not queue events unless enabled", () => {
+      liveSocket = new LiveSocket("/live", Socket);
+      const el = liveViewDOM();
+      const view = simulateJoinedView(el, liveSocket);
+      const pushes = stubPushes(view);
+      view.isConnected = () => false;
+
+      view.pushEvent(
+        "click",
+        el.querySelector("button")!,
+        el,
+        "inc_temperature",
+        {},
+      );
+
+      rejoin(view, el);
+      expect(pushes).toHaveLength(0);
+      expect(
+        window.sessionStorage.getItem("phx:live-socket:queued-pushes"),
+      ).toBeNull();
+    });
+
+    const storePushes = (href, pushes) =>
+      window.sessionStorage.setItem(
+        "phx:live-socket:queued-pushes",
+        JSON.stringify({ href, pushes }),
+      );
+
+    const reloadedView = () => {
+      liveSocket = new LiveSocket("/live", Socket, {
+        queueEventsWhileDisconnected: true,
+      });
+      const el = liveViewDOM();
+      const view = new View(el, liveSocket, null, null, null);
+      stubChannel(view);
+      const pushes = stubPushes(view);
+      liveSocket.roots[view.id] = view;
+      view.isConnected = () => true;
+      return { el, view, pushes };
+    };
+
+    test("replays persisted events after a reload if the server confirms the session", () => {
+      storePushes(window.location.href, [
+        {
+          view: "main",
+          session: "old-session",
+          event: "event",
+          payload: { type: "click", event: "inc_temperature", value: {} },
+        },
+        {
+          view: "main",
+          session: "old-session",
+          event: "event",
+          payload: { type: "click", event: "save", value: {}, cid: 1 },
+        },
+      ]);
+      const { el, view, pushes } = reloadedView();
+
+      expect(view.connectParams(null)["_queued_session"]).toBe("old-session");
+      view.onJoin({
+        rendered: { s: [el.innerHTML] },
+        liveview_version,
+        replay_queued: true,
+      });
+
+      // the cids of LiveComponents are not known after a reload
+      expect(
+        pushes.map(({ event, payload }) => [event, payload.event]),
+      ).toEqual([["event", "inc_temperature"]]);
+      expect(
+        window.sessionStorage.getItem("phx:live-socket:queued-pushes"),
+      ).toBeNull();
+    });
+
+    test("discards persisted events of a different session", () => {
+      storePushes(window.location.href, [
+        {
+          view: "main",
+          session: "old-session",
+          event: "event",
+          payload: { type: "click", event: "inc_temperature", value: {} },
+        },
+      ]);
+      const { el, view, pushes } = reloadedView();
+
+      view.onJoin({ rendered: { s: [el.innerHTML] }, liveview_version });
+
+      expect(pushes).toHaveLength(0);
+      expect(
+        window.sessionStorage.getItem("phx:live-socket:queued-pushes"),
+      ).toBeNull();
+    });
+
+    test("resolves the cids of queued LiveComponent events on rejoin", () => {
+      liveSocket = new LiveSocket("/live", Socket, {
+        queueEventsWhileDisconnected: true,
+      });
+      const el = liveViewDOM(`
+        <div id="first" data-phx-component="1"><button phx-target="#first">first</button></div>
+        <div id="second" data-phx-component="2"><button>second</button></div>
+      `);
+      const view = simulateJoinedView(el, liveSocket);
+      el.querySelectorAll("[data-phx-component]").forEach((comp) =>
+        comp.setAttribute("data-phx-view", view.id),
+      );
+      const pushes = stubPushes(view);
+      view.isConnected = () => false;
+      const first = el.querySelector("#first button")!;
+      const second = el.querySelector("#second button")!;
+
+      view.pushEvent("click", first, first, "first", {});
+      const dropped = view
+        .pushHookEvent(second, second, "second", {})
+        .catch((error) => error.message);
+
+      el.querySelector("#first")!.setAttribute("data-phx-component", "3");
+      el.querySelector("#second")!.remove();
+      rejoin(view, el);
+
+      expect(pushes.map(({ payload }) => [payload.event, payload.cid])).toEqual(
+        [["first", 3]],
+      );
+      return expect(dropped).resolves.toMatch("component not found");
+    });
+
+    test("rejects queued pushes when the view is destroyed", () => {
+      liveSocket = new LiveSocket("/live", Socket, {
+        queueEventsWhileDisconnected: true,
+      });
+      const el = liveViewDOM();
+      const view = simulateJoinedView(el, liveSocket);
+      view.isConnected = () => false;
+
+      const reply = view.pushHookEvent(
+        el.querySelector("button")!,
+        null,
+        "hook_event",
+        {},
+      );
+      view.destroy();
+
+      return expect(reply).rejects.toThrow("view destroyed");
+    });
+
+    test("discards persisted events of a different URL", () => {
+      storePushes("http://example.com/other", [
+        {
+          view: "main",
+          session: "abc123",
+          event: "event",
+          payload: { type: "click", event: "inc_temperature", value: {} },
+        },
+      ]);
+      const { el, view, pushes } = reloadedView();
+      view.onJoin({
+        rendered: { s: [el.innerHTML] },
+        liveview_version,
+        replay_queued: true,
+      });
+
+      expect(pushes).toHaveLength(0);
+      expect(
+        window.sessionStorage.getItem("phx:live-socket:queued-pushes"),
+      ).toBeNull();
+    });
+  });
+
   test("pushEvent", function () {
     expect.assertions(3);
 
@@ -503,6 +819,187 @@ describe("View + DOM", function () {
     view.pushInput(input, el, null, "validate", { _target: input.name });
   });
 
+  describe("upload transformers", () => {
+    const setupUpload = (uploadTransformers, attrs = "") => {
+      liveSocket = new LiveSocket("/live", Socket, { uploadTransformers });
+      const el = liveViewDOM(`
+        <form id="my-form" phx-change="validate">
+          <input id="avatar" type="file" name="avatar" multiple
+            phx-upload-transform="shrink" ${attrs}
+            data-phx-upload-ref="0"
+            data-phx-active-refs=""
+            data-phx-done-refs=""
+            data-phx-preflighted-refs="">
+        </form>
+      `);
+      const input = el.querySelector("input")!;
+      const view = simulateJoinedView(el, liveSocket);
+      const pushes: any[] = [];
+      (view["channel"] as unknown) = {
+        leave() {
+          return {
+            receive() {
+              return this;
+            },
+          };
+        },
+        push(_evt, payload, _timeout) {
+          pushes.push(payload);
+          return {
+            receive() {
+              return this;
+            },
+          };
+        },
+      };
+      return { view, input, pushes };
+    };
+
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    test("sends the transformed files for preflight", async () => {
+      const shrink = jest.fn(
+        (file) => new File(["small"], file.name, { type: file.type }),
+      );
+      const { view, input, pushes } = setupUpload({ shrink });
+      const original = new File(["a very large image"], "photo.png", {
+        type: "image/png",
+      });
+      LiveUploader.trackFiles(input, [original]);
+
+      view.pushInput(input, view.el, null, "validate", { _target: "avatar" });
+      expect(pushes).toEqual([]);
+      await flush();
+
+      expect(shrink).toHaveBeenCalledWith(original, { input });
+      expect(pushes[0].uploads).toMatchObject({
+        "0": [{ name: "photo.png", size: 5, type: "image/png" }],
+      });
+      const [ref] = pushes[0].uploads["0"].map((entry) => entry.ref);
+      input.setAttribute("data-phx-active-refs", ref);
+      expect(LiveUploader.activeFiles(input)[0].size).toBe(5);
+
+      // already transformed files are not transformed again
+      view.pushInput(input, view.el, null, "validate", { _target: "avatar" });
+      expect(shrink).toHaveBeenCalledTimes(1);
+      expect(pushes.length).toBe(2);
+    });
+
+    test("falls back to the original file when the transformer fails", async () => {
+      const { view, input, pushes } = setupUpload({
+        shrink: () => Promise.reject(new Error("unsupported")),
+      });
+      const original = new File(["image"], "photo.png", { type: "image/png" });
+      LiveUploader.trackFiles(input, [original]);
+      const consoleError = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      const { diagnostics, stop } = captureDiagnostics();
+
+      try {
+        view.pushInput(input, view.el, null, "validate", {
+          _target: "avatar",
+        });
+        await flush();
+      } finally {
+        stop();
+        consoleError.mockRestore();
+      }
+
+      expect(diagnostics.map(({ code }) => code)).toContain(
+        "upload.transform-failed",
+      );
+      expect(pushes[0].uploads).toMatchObject({
+        "0": [{ name: "photo.png", size: 5 }],
+      });
+    });
+
+    test("validates the transformed files instead of the selected ones", async () => {
+      const { view, input, pushes } = setupUpload(
+        { shrink: (file) => new File(["small"], file.name) },
+        'data-phx-max-file-size="10"',
+      );
+      const original = new File(["a very large image"], "photo.png");
+      Object.defineProperty(input, "files", { value: [original] });
+
+      view.pushInput(input, view.el, null, "validate", { _target: "avatar" });
+      await flush();
+
+      expect(pushes[0].uploads).toMatchObject({
+        "0": [{ name: "photo.png", size: 5 }],
+      });
+    });
+
+    test("rejects transformed files violating the upload limits", async () => {
+      const { view, input } = setupUpload(
+        { shrink: (file) => new File(["still too large"], file.name) },
+        'data-phx-max-file-size="10"',
+      );
+      const rejected = jest.fn();
+      input.addEventListener("phx:live-file:rejected", (e: any) =>
+        rejected(e.detail.errors),
+      );
+      const original = new File(["a very large image"], "photo.png");
+      Object.defineProperty(input, "files", { value: [original] });
+
+      view.pushInput(input, view.el, null, "validate", { _target: "avatar" });
+      await flush();
+
+      expect(rejected).toHaveBeenCalledWith([
+        { file: expect.objectContaining({ size: 15 }), reason: "too_large" },
+      ]);
+      expect(LiveUploader.activeFiles(input)).toEqual([]);
+    });
+
+    test("schedules submits until the transform completes", async () => {
+      let resolveTransform;
+      const { view, input } = setupUpload({
+        shrink: () => new Promise((resolve) => (resolveTransform = resolve)),
+      });
+      LiveUploader.trackFiles(input, [new File(["image"], "photo.png")]);
+
+      view.pushInput(input, view.el, null, "validate", { _target: "avatar" });
+      await flush();
+      expect(LiveUploader.hasUploadsInProgress(input.form)).toBe(true);
+
+      resolveTransform(new File(["small"], "photo.png"));
+      await flush();
+      expect(LiveUploader.hasUploadsInProgress(input.form)).toBe(false);
+    });
+  });
+
+  test("pushUploadOverflow reports a rejected drop to the upload", () => {
+    liveSocket = new LiveSocket("/live", Socket);
+    const el = liveViewDOM(`
+      <form id="my-form">
+        <input id="avatar" type="file" name="avatar" data-phx-upload-ref="0">
+      </form>
+    `);
+    const view = simulateJoinedView(el, liveSocket);
+    const pushes: any[] = [];
+    (view["channel"] as unknown) = {
+      leave() {
+        return {
+          receive() {
+            return this;
+          },
+        };
+      },
+      push(event, payload) {
+        pushes.push([event, payload]);
+        return {
+          receive() {
+            return this;
+          },
+        };
+      },
+    };
+
+    view.pushUploadOverflow(el.querySelector("input"));
+
+    expect(pushes).toMatchObject([["upload_overflow", { ref: "0" }]]);
+  });
+
   test("getFormsForRecovery", function () {
     let view, html;
     liveSocket = new LiveSocket("/live", Socket);
@@ -1902,6 +2399,54 @@ describe("View Hooks", function () {
     );
   });
 
+  test("dispatches pasted files to the paste target", async () => {
+    const liveSocket = new LiveSocket("/live", Socket);
+    const el = liveViewDOM();
+    document.body.appendChild(el);
+    const view = simulateJoinedView(el, liveSocket);
+    liveSocket.bindTopLevelEvents();
+
+    const template = `
+    <form id="paste-form" phx-change="change">
+    <input accept="*" data-phx-active-refs="" data-phx-done-refs="" data-phx-preflighted-refs="" data-phx-update="ignore" data-phx-upload-ref="0" id="uploads0" name="doc" phx-hook="Phoenix.LiveFileUpload" type="file">
+    <textarea id="comment" phx-paste-target="uploads0"></textarea>
+    </form>
+    `;
+    view.onJoin({
+      rendered: {
+        s: [template],
+        fingerprint: 123,
+      },
+      liveview_version,
+    });
+
+    const fileEl = view.el.querySelector("#uploads0")!;
+    const tracked: Array<File | Blob>[] = [];
+    fileEl.addEventListener("track-uploads", (e) =>
+      tracked.push((e as CustomEvent).detail.files),
+    );
+    const paste = (files: File[]) => {
+      const e = new Event("paste", { bubbles: true, cancelable: true });
+      Object.defineProperty(e, "clipboardData", { value: { files } });
+      view.el.querySelector("#comment")!.dispatchEvent(e);
+      return e;
+    };
+
+    expect(paste([]).defaultPrevented).toBe(false);
+    expect(tracked).toEqual([]);
+
+    // the input does not accept multiple files, so only the first is tracked
+    const first = new File(["first"], "first.png", { type: "image/png" });
+    const second = new File(["second"], "second.png", { type: "image/png" });
+    expect(paste([first, second]).defaultPrevented).toBe(true);
+    expect(tracked).toEqual([[first]]);
+
+    fileEl.setAttribute("multiple", "");
+    paste([first, second]);
+    expect(tracked).toEqual([[first], [first, second]]);
+    el.remove();
+  });
+
   test("dom hooks", async () => {
     let fromHTML: string | null = null;
     let toHTML: string | null = null;
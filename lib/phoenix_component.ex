@@ -2279,6 +2279,47 @@ defmodule Phoenix.Component do
     end
   end
 
+  @doc """
+  Renders the keyed `<meta>` and `<link>` tags of the `@page_head` assign.
+
+  Each entry of `head` is keyed and given as a `{:meta, attrs}` or `{:link, attrs}`
+  tuple. On live navigation and whenever `@page_head` changes, LiveView patches the
+  keyed tags in the document head: entries with a new key are added, changed entries
+  are updated in place and tags whose key is no longer given are removed. Tags in the
+  head without a key are left untouched.
+
+  [INSERT LVATTRDOCS]
+
+  ## Examples
+
+  ```heex
+  <.live_head head={assigns[:page_head]} />
+  ```
+
+  With the assign set by the LiveView:
+
+      assign(socket, :page_head,
+        description: {:meta, name: "description", content: post.summary},
+        canonical: {:link, rel: "canonical", href: url(~p"/posts/\#{post}")}
+      )
+  """
+  @doc type: :component
+  attr.(:head, :any,
+    default: nil,
+    doc: "The keyword list or map of head tags, usually `assigns[:page_head]`."
+  )
+
+  def live_head(assigns) do
+    assigns = assign(assigns, :entries, Phoenix.LiveView.Utils.page_head(assigns.head))
+
+    ~H"""
+    <%= for {key, tag, attrs} <- @entries do %>
+      <meta :if={tag == "meta"} data-phx-head={key} {attrs} />
+      <link :if={tag == "link"} data-phx-head={key} {attrs} />
+    <% end %>
+    """
+  end
+
   @doc ~S'''
   Renders a form.
 
@@ -3324,6 +3365,27 @@ defmodule Phoenix.Component do
   ```
 
   The drop target receives the `phx-drop-target-active` class when it is active. For more information, see the [uploads guide](guides/server/uploads.md).
+
+  Dropped directories are read recursively, and each of their files is uploaded with its path
+  relative to the drop in the entry's `client_relative_path`. Drops with more files than the
+  `maxDroppedFiles` option of the `LiveSocket`, 1000 by default, are rejected as a whole.
+
+  ## Pasting files
+
+  Similarly, files pasted from the clipboard are uploaded when the paste happens within
+  a container annotated with a `phx-paste-target` attribute pointing to the UploadConfig `ref`:
+
+  ```heex
+  <div phx-paste-target={@uploads.avatar.ref}>
+    <textarea name="comment"></textarea>
+    <.live_file_input upload={@uploads.avatar} />
+  </div>
+  ```
+
+  Browsers dispatch paste events to the focused element, so the container must include a
+  focusable element, such as an input, or be focusable itself, for example with `tabindex="0"`.
+  Only the first pasted file is used unless the upload accepts multiple entries.
+
   ## Examples
 
   Rendering a file input:
@@ -3373,6 +3435,8 @@ defmodule Phoenix.Component do
         @upload.errors != [] && join_refs(for {ref, _reason} <- @upload.errors, uniq: true, do: ref)
       }
       data-phx-auto-upload={@upload.auto_upload?}
+      data-phx-max-file-size={@upload.client_validation? && @upload.max_file_size}
+      data-phx-max-entries={@upload.client_validation? && @upload.max_entries}
       {if @upload.max_entries > 1, do: Map.put(@rest, :multiple, true), else: @rest}
     />
     """
@@ -901,6 +901,11 @@ defmodule Phoenix.LiveView do
     * `:chunk_timeout` - The time in milliseconds to wait before closing the
       upload channel when a new chunk has not been received. Defaults to `10_000`.
 
+    * `:chunk_window` - The maximum number of chunks the client sends before
+      waiting for the server to acknowledge them. Increasing the window improves
+      throughput on high-latency connections, at the cost of the server buffering
+      more data per upload. Defaults to `1`.
+
     * `:external` - A 2-arity function for generating metadata for external
       client uploaders. This function must return either `{:ok, meta, socket}`
       or `{:error, error_meta, socket}`, where `meta` and `error_meta` are maps.
@@ -914,6 +919,21 @@ defmodule Phoenix.LiveView do
     * `:auto_upload` - Instructs the client to upload the file automatically
       on file selection instead of waiting for form submits. Defaults to `false`.
 
+    * `:client_validation` - Instructs the client to validate the `:accept`,
+      `:max_file_size` and `:max_entries` options before sending entries for
+      preflight. Files rejected by the client never reach the server, so they
+      are not exposed via `Phoenix.Component.upload_errors/2`. Instead, a
+      `phx:live-file:rejected` event is dispatched on the file input. See the
+      Uploads guide for details. Defaults to `false`.
+
+    * `:checksum` - Instructs the client to send the SHA-256 digest of each chunk,
+      which is verified before the chunk is written, as well as a rolling digest
+      chaining the digests of all chunks, which is verified once the upload
+      completes. Entries failing verification expose `:checksum_mismatch` via
+      `Phoenix.Component.upload_errors/2`. Only applies to uploads through the
+      LiveView channel and requires a secure context in the browser.
+      Defaults to `false`.
+
     * `:writer` - A 3-arity anonymous function that returns a tuple with a module
       implementing the `Phoenix.LiveView.UploadWriter` behaviour and its options to use for
       writing the uploaded chunks. Defaults to writing to a temporary file for consumption.
@@ -1452,6 +1472,20 @@ defmodule Phoenix.LiveView do
   If you prefer, you can also send a JavaScript script that immediately
   reloads the page, but this will cause the client-side to lose all work in progress.
 
+  Alternatively, the client can handle stale assets on its own. When the `LiveSocket`
+  is created with the `staleAssets: "notify"` option, a `phx:assets-stale` event is
+  dispatched on `window` with the URLs of the changed assets, and the page keeps working
+  until the next live navigation, which performs a regular page load instead:
+
+  ```javascript
+  let liveSocket = new LiveSocket("/live", Socket, {staleAssets: "notify", ...})
+
+  window.addEventListener("phx:assets-stale", ({detail}) => {
+    // detail.urls contains the src/href of the changed assets
+    document.getElementById("new-version-banner").hidden = false
+  })
+  ```
+
   **Note:** only set `phx-track-static` on your own assets. For example, do
   not set it in external JavaScript files:
 
@@ -1462,22 +1496,26 @@ defmodule Phoenix.LiveView do
   Because you don't actually serve the file above, LiveView will interpret
   the static above as missing, and this function will return true.
   """
-  def static_changed?(%Socket{private: private, endpoint: endpoint} = socket) do
-    if connect_params = private[:connect_params] do
-      connected?(socket) and
-        static_changed?(
-          connect_params["_track_static"],
-          endpoint.config(:cache_static_manifest_latest)
-        )
+  def static_changed?(%Socket{private: private} = socket) do
+    if private[:connect_params] do
+      connected?(socket) and stale_statics(socket) != []
     else
       raise_root_and_mount_only!(socket, "static_changed?")
     end
   end
 
-  defp static_changed?([_ | _] = statics, %{} = latest) do
+  @doc false
+  def stale_statics(%Socket{private: private, endpoint: endpoint}) do
+    stale_statics(
+      private[:connect_params]["_track_static"],
+      endpoint.config(:cache_static_manifest_latest)
+    )
+  end
+
+  defp stale_statics([_ | _] = statics, %{} = latest) do
     latest = Map.to_list(latest)
 
-    not Enum.all?(statics, fn static ->
+    Enum.reject(statics, fn static ->
       [static | _] = :binary.split(static, "?")
 
       Enum.any?(latest, fn {non_digested, digested} ->
@@ -1486,7 +1524,7 @@ defmodule Phoenix.LiveView do
     end)
   end
 
-  defp static_changed?(_, _), do: false
+  defp stale_statics(_, _), do: []
 
   defp raise_root_and_mount_only!(socket, fun) do
     if child?(socket) do
@@ -6,6 +6,10 @@ defmodule Phoenix.LiveView.Application do
   @impl true
   def start(_type, _args) do
     Phoenix.LiveView.Logger.install()
-    Supervisor.start_link([], strategy: :one_for_one, name: Phoenix.LiveView.Supervisor)
+    children = [
+      {Registry, keys: :duplicate, name: Phoenix.LiveView.PrefetchRegistry}
+    ]
+
+    Supervisor.start_link(children, strategy: :one_for_one, name: Phoenix.LiveView.Supervisor)
   end
 end
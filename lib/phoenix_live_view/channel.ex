@@ -22,6 +22,8 @@ defmodule Phoenix.LiveView.Channel do
   @async_shutdown_timeout 5_000
   @not_mounted_at_router :not_mounted_at_router
   @max_host_size 253
+  # the client keeps three prefetches, but discarded ones may still be leaving
+  @max_prefetches 6
 
   def start_link({endpoint, from}) do
     hibernate_after = endpoint.config(:live_view)[:hibernate_after] || 15000
@@ -64,6 +66,10 @@ defmodule Phoenix.LiveView.Channel do
     GenServer.call(pid, {@prefix, :register_entry_upload, info})
   end
 
+  def fetch_upload(pid, {upload_config_ref, entry_ref} = _ref, cid) do
+    GenServer.call(pid, {@prefix, :fetch_entry_upload, {upload_config_ref, entry_ref, cid}})
+  end
+
   def fetch_upload_config(pid, name, cid) do
     GenServer.call(pid, {@prefix, :fetch_upload_config, name, cid})
   end
@@ -84,6 +90,12 @@ defmodule Phoenix.LiveView.Channel do
     :ok
   end
 
+  def report_checksum_mismatch(pid) do
+    channel_pid = self()
+    send(pid, {@prefix, :report_checksum_mismatch, channel_pid})
+    :ok
+  end
+
   def report_upload_consumed(pid) do
     channel_pid = self()
     send(pid, {@prefix, :report_upload_consumed, channel_pid})
@@ -123,8 +135,7 @@ defmodule Phoenix.LiveView.Channel do
   def handle_info({:DOWN, _, :process, pid, reason} = msg, %{socket: socket} = state) do
     case Map.fetch(state.upload_pids, pid) do
       {:ok, {ref, entry_ref, cid}} ->
-        # :shutdown is what Phoenix.Channel.Server exits with when join/3 replies
-        # with an error, which the upload channel does on a writer init/1 failure
+        # :shutdown is what the upload entry server exits with on a writer init/1 failure
         if reason in [:normal, :shutdown, {:shutdown, :closed}] do
           new_state =
             state
@@ -192,7 +203,11 @@ defmodule Phoenix.LiveView.Channel do
     new_state =
       write_socket(state, cid, msg.ref, fn socket, _ ->
         %{"ref" => ref, "entry_ref" => entry_ref, "progress" => progress} = msg.payload
-        new_socket = Upload.update_progress(socket, ref, entry_ref, progress)
+        new_socket =
+          socket
+          |> Upload.update_progress(ref, entry_ref, progress)
+          |> Upload.verify_checksum(ref, entry_ref, progress, msg.payload["checksum"])
+
         upload_conf = Upload.get_upload_by_ref!(new_socket, ref)
         entry = UploadConfig.get_entry_by_ref(upload_conf, entry_ref)
 
@@ -204,6 +219,21 @@ defmodule Phoenix.LiveView.Channel do
     {:noreply, new_state}
   end
 
+  def handle_info(
+        %Message{topic: topic, event: "upload_overflow"} = msg,
+        %{topic: topic} = state
+      ) do
+    cid = msg.payload["cid"]
+
+    new_state =
+      write_socket(state, cid, msg.ref, fn socket, _ ->
+        new_socket = Upload.put_overflow_error(socket, msg.payload["ref"])
+        {new_socket, {:ok, {msg.ref, %{}}, state}}
+      end)
+
+    {:noreply, new_state}
+  end
+
   def handle_info(%Message{topic: topic, event: "allow_upload"} = msg, %{topic: topic} = state) do
     %{"ref" => upload_ref, "entries" => entries} = payload = msg.payload
     cid = payload["cid"]
@@ -311,7 +341,11 @@ defmodule Phoenix.LiveView.Channel do
   end
 
   def handle_info({@prefix, :report_writer_error, channel_pid, reason}, state) do
-    {:noreply, fail_writer_entry(state, channel_pid, reason)}
+    {:noreply, fail_upload_entry(state, channel_pid, {:writer_failure, reason})}
+  end
+
+  def handle_info({@prefix, :report_checksum_mismatch, channel_pid}, state) do
+    {:noreply, fail_upload_entry(state, channel_pid, :checksum_mismatch)}
   end
 
   def handle_info({@prefix, :report_upload_consumed, channel_pid}, state) do
@@ -433,6 +467,13 @@ defmodule Phoenix.LiveView.Channel do
     {:noreply, register_entry_upload(state, from, info)}
   end
 
+  def handle_call({@prefix, :fetch_entry_upload, info}, _from, state) do
+    case Enum.find(state.upload_pids, fn {_pid, entry_info} -> entry_info == info end) do
+      {pid, _} -> {:reply, {:ok, pid}, state}
+      nil -> {:reply, {:error, :disallowed}, state}
+    end
+  end
+
   # Phoenix.LiveView.Debug.socket/1
   def handle_call({@prefix, :debug_get_socket}, _from, state) do
     {:reply, {:ok, state.socket}, state}
@@ -773,19 +814,14 @@ defmodule Phoenix.LiveView.Channel do
     end)
   end
 
-  defp fail_writer_entry(state, channel_pid, reason) do
+  defp fail_upload_entry(state, channel_pid, error) do
     case state.upload_pids do
       %{^channel_pid => {ref, entry_ref, cid}} ->
         write_socket(state, cid, nil, fn socket, _ ->
           upload_conf = Upload.get_upload_by_ref!(socket, ref)
 
           new_socket =
-            Upload.fail_entry_upload(
-              socket,
-              upload_conf,
-              entry_ref,
-              {:writer_failure, reason}
-            )
+            Upload.fail_entry_upload(socket, upload_conf, entry_ref, error)
 
           failed_conf = Upload.get_upload_by_ref!(new_socket, ref)
           failed_entry = UploadConfig.get_entry_by_ref(failed_conf, entry_ref)
@@ -1218,6 +1254,7 @@ defmodule Phoenix.LiveView.Channel do
           %{} ->
             with {:ok, %Session{view: view} = new_verified, route, url} <-
                    authorize_session(verified, endpoint, params),
+                 :ok <- register_prefetch(new_verified, phx_socket),
                  {:ok, config} <- load_live_view(view) do
               # TODO: replace with Process.put_label/2 when we require Elixir 1.17
               Process.put(:"$process_label", {Phoenix.LiveView, view, phx_socket.topic})
@@ -1238,6 +1275,10 @@ defmodule Phoenix.LiveView.Channel do
                 GenServer.reply(from, {:error, %{reason: "unauthorized"}})
                 {:stop, :shutdown, :no_state}
 
+              {:error, :too_many_prefetches} ->
+                GenServer.reply(from, {:error, %{reason: "too_many_prefetches"}})
+                {:stop, :shutdown, :no_state}
+
               {:error, _reason} ->
                 GenServer.reply(from, {:error, %{reason: "stale"}})
                 {:stop, :shutdown, :no_state}
@@ -1256,6 +1297,21 @@ defmodule Phoenix.LiveView.Channel do
     {:stop, :shutdown, :no_session}
   end
 
+  # Prefetched LiveViews are mounted speculatively, so their number is limited
+  # per connection. Each one is registered under the transport pid until it exits.
+  defp register_prefetch(%Session{prefetch?: true}, %Phoenix.Socket{} = phx_socket) do
+    registry = Phoenix.LiveView.PrefetchRegistry
+    {:ok, _} = Registry.register(registry, phx_socket.transport_pid, nil)
+
+    if Registry.count_match(registry, phx_socket.transport_pid, :_) > @max_prefetches do
+      {:error, :too_many_prefetches}
+    else
+      :ok
+    end
+  end
+
+  defp register_prefetch(%Session{}, _phx_socket), do: :ok
+
   defp load_live_view(view) do
     # Make sure the view is loaded. Otherwise if the first request
     # ever is a LiveView connection, the view won't be loaded and
@@ -1333,6 +1389,7 @@ defmodule Phoenix.LiveView.Channel do
 
     merged_session = Map.merge(socket_session, verified_user_session)
     lifecycle = load_lifecycle(config, route)
+    queued_reply = queued_session_reply(endpoint, verified, connect_params)
 
     case mount_private(verified, connect_params, connect_info, lifecycle) do
       {:ok, mount_priv} ->
@@ -1344,7 +1401,7 @@ defmodule Phoenix.LiveView.Channel do
           |> Utils.maybe_call_live_view_mount!(view, params, merged_session, url)
           |> build_state(phx_socket)
           |> maybe_call_mount_handle_params(router, url, params)
-          |> reply_mount(from, verified, route)
+          |> reply_mount(from, verified, route, queued_reply)
           |> maybe_subscribe_to_live_reload()
         rescue
           exception ->
@@ -1512,23 +1569,36 @@ defmodule Phoenix.LiveView.Channel do
     end
   end
 
-  defp reply_mount(result, from, %Session{} = session, route) do
+  defp put_mount_head(%Session{} = session, diff) do
+    if Session.main?(session), do: Diff.put_new_head(diff), else: diff
+  end
+
+  defp reply_mount(result, from, %Session{} = session, route, extra) do
     lv_vsn = to_string(Application.spec(:phoenix_live_view)[:vsn])
 
     case result do
       {:ok, diff, :mount, new_state} ->
+        diff = put_mount_head(session, diff)
         diff = maybe_put_debug_pid(%{rendered: diff, liveview_version: lv_vsn})
-        reply = put_container(session, route, diff)
+
+        reply =
+          session
+          |> put_container(route, diff)
+          |> maybe_put_stale_assets(new_state)
+          |> Map.merge(extra)
+
         GenServer.reply(from, {:ok, reply})
         {:noreply, post_verified_mount(new_state)}
 
       {:ok, diff, {:live_patch, opts}, new_state} ->
+        diff = put_mount_head(session, diff)
+        diff = %{rendered: diff, live_patch: opts, liveview_version: lv_vsn}
+
         reply =
-          put_container(session, route, %{
-            rendered: diff,
-            live_patch: opts,
-            liveview_version: lv_vsn
-          })
+          session
+          |> put_container(route, diff)
+          |> maybe_put_stale_assets(new_state)
+          |> Map.merge(extra)
 
         GenServer.reply(from, {:ok, reply})
         {:noreply, post_verified_mount(new_state)}
@@ -1551,6 +1621,40 @@ defmodule Phoenix.LiveView.Channel do
     end
   end
 
+  # Events queued by the client while disconnected survive page reloads, but
+  # the reloaded page may mount a different LiveView or user session. The client
+  # sends the session token of the page the events were queued on and replays
+  # them only if it belongs to the same LiveView and session.
+  defp queued_session_reply(endpoint, %Session{} = verified, %{"_queued_session" => token})
+       when is_binary(token) do
+    %Session{view: view, session: session, live_session_name: live_session_name} = verified
+
+    case Phoenix.LiveView.Static.verify_token(endpoint, token) do
+      {:ok, %{view: ^view, session: ^session} = queued} ->
+        if Map.get(queued, :live_session_name) == live_session_name,
+          do: %{replay_queued: true},
+          else: %{}
+
+      _ ->
+        %{}
+    end
+  end
+
+  defp queued_session_reply(_endpoint, _verified, _connect_params), do: %{}
+
+  # Only root views report tracked statics, as the page is reloaded as a whole,
+  # and only when the client asked for them, as it ignores them by default
+  defp maybe_put_stale_assets(reply, %{socket: %{parent_pid: nil} = socket}) do
+    with true <- socket.private[:connect_params]["_stale_assets"] == true,
+         [_ | _] = urls <- Phoenix.LiveView.stale_statics(socket) do
+      Map.put(reply, :assets_stale, urls)
+    else
+      _ -> reply
+    end
+  end
+
+  defp maybe_put_stale_assets(reply, _state), do: reply
+
   defp maybe_put_debug_pid(diff) do
     if Application.get_env(:phoenix_live_view, :debug_attributes, false) do
       Map.put(diff, :pid, inspect(self()))
@@ -1621,6 +1725,7 @@ defmodule Phoenix.LiveView.Channel do
             max_file_size: entry.client_size,
             chunk_timeout: conf.chunk_timeout,
             max_entries_mode: conf.max_entries_mode,
+            checksum?: conf.checksum?,
             writer: writer!(socket, conf.name, entry, conf.writer)
           }
 
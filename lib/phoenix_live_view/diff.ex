@@ -20,6 +20,7 @@ defmodule Phoenix.LiveView.Diff do
   @events :e
   @reply :r
   @title :t
+  @head :h
   @template :p
   @stream :stream
 
@@ -173,6 +174,7 @@ defmodule Phoenix.LiveView.Diff do
       diff
       |> maybe_add_template(template)
       |> maybe_put_title(socket)
+      |> maybe_put_head(socket)
 
     {diff, cdiffs} = extract_events({diff, cdiffs})
     {maybe_put_cdiffs(diff, cdiffs), prints, components}
@@ -196,6 +198,26 @@ defmodule Phoenix.LiveView.Diff do
     end
   end
 
+  @doc """
+  Puts an empty page head into the mount diff of the main LiveView, unless
+  it assigned one, so the client removes the keyed head tags of the page
+  left through live navigation.
+  """
+  def put_new_head(diff), do: Map.put_new(diff, @head, %{})
+
+  defp maybe_put_head(diff, socket) do
+    if Utils.changed?(socket.assigns, :page_head) do
+      head =
+        for {key, tag, attrs} <- Utils.page_head(socket.assigns.page_head), into: %{} do
+          {key, [tag, Map.new(attrs)]}
+        end
+
+      Map.put(diff, @head, head)
+    else
+      diff
+    end
+  end
+
   defp maybe_put_events(diff, socket) do
     case Utils.get_push_events(socket) do
       [_ | _] = events -> Map.update(diff, @events, events, &(&1 ++ events))
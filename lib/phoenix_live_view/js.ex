@@ -30,7 +30,14 @@ defmodule Phoenix.LiveView.JS do
     * `hide` - Hide elements, with optional transitions
     * `toggle` - Shows or hides elements based on visibility, with optional transitions
     * `transition` - Apply a temporary transition to elements for animations
+    * `animate` - Animate elements with keyframes
+    * `show_modal` - Open `<dialog>` elements as modal dialogs
+    * `close_dialog` - Close `<dialog>` elements
+    * `show_popover` - Show popover elements
+    * `hide_popover` - Hide popover elements
+    * `toggle_popover` - Shows or hides popover elements
     * `dispatch` - Dispatch a DOM event to elements
+    * `command` - Execute a custom command registered on the client
 
   For example, the following modal component can be shown or hidden on the
   client without a trip to the server:
@@ -500,6 +507,64 @@ defmodule Phoenix.LiveView.JS do
     put_op(js, "dispatch", args)
   end
 
+  @doc """
+  Executes a custom JS command registered on the client.
+
+    * `name` - The string name of the command, as registered with the
+      `jsCommands` option of the `LiveSocket`.
+
+  Custom commands receive the same arguments as the built-in ones and can keep
+  their changes across DOM patches or defer patches while they are animating.
+  Built-in commands take precedence over custom commands of the same name.
+
+  ## Options
+
+    * `:to` - An optional DOM selector to execute the command on.
+      Defaults to the interacted element. See the `DOM selectors`
+      section for details.
+    * `:args` - An optional map of arguments passed to the command.
+
+  ## Examples
+
+  ```javascript
+  let liveSocket = new LiveSocket("/live", Socket, {
+    jsCommands: {
+      highlight(e, eventType, phxEvent, view, sourceEl, el, {color}) {
+        this.sticky(el, "highlight", (el) => el.style.backgroundColor = color)
+      }
+    }
+  })
+  ```
+
+  ```heex
+  <button phx-click={JS.command("highlight", to: "#item", args: %{color: "yellow"})}>
+    Highlight
+  </button>
+  ```
+  """
+  def command(js \\ %JS{}, name)
+  def command(%JS{} = js, name), do: command(js, name, [])
+  def command(name, opts), do: command(%JS{}, name, opts)
+
+  @doc "See `command/2`."
+  def command(%JS{} = js, name, opts) when is_binary(name) and is_list(opts) do
+    opts = validate_keys(opts, :command, [:to, :args])
+
+    args =
+      case Keyword.get(opts, :args, %{}) do
+        %{} = args when is_map_key(args, :to) or is_map_key(args, "to") ->
+          raise ArgumentError, "the :args passed to JS.command must not contain a `to` key"
+
+        %{} = args ->
+          args
+
+        other ->
+          raise ArgumentError, "expected :args to be a map, got: #{inspect(other)}"
+      end
+
+    put_op(js, name, Map.to_list(args) ++ [to: opts[:to]])
+  end
+
   @doc """
   Toggles element visibility.
 
@@ -888,6 +953,107 @@ defmodule Phoenix.LiveView.JS do
     )
   end
 
+  @doc """
+  Animates elements with the [Web Animations API](https://developer.mozilla.org/en-US/docs/Web/API/Web_Animations_API).
+
+    * `keyframes` - A list of keyframe maps, or a map of CSS properties to
+      lists of values, as accepted by
+      [`Element.animate()`](https://developer.mozilla.org/en-US/docs/Web/API/Element/animate).
+      CSS properties are given in camel case, such as `backgroundColor`.
+
+  Unlike `transition/1`, no CSS classes need to be defined for the animation.
+  When the user prefers reduced motion, the animation runs without motion:
+  the final keyframe is applied if it is kept with the `:fill` option.
+
+  ## Options
+
+    * `:to` - An optional DOM selector to animate.
+      Defaults to the interacted element. See the `DOM selectors`
+      section for details.
+    * `:duration` - The duration of the animation in milliseconds.
+      Defaults to #{@default_transition_time}.
+    * `:easing` - The timing function, such as `"ease-out"`. Defaults to `"linear"`.
+    * `:delay` - The delay in milliseconds before the animation starts.
+    * `:iterations` - The number of times the animation repeats, or `:infinity`.
+    * `:direction` - The direction of the animation, such as `"alternate"`.
+    * `:fill` - Whether the first or last keyframe is kept before or after the
+      animation, such as `"forwards"`.
+    * `:blocking` - A boolean flag to block the UI until the animation is finished,
+      for at most one second. Animations with `iterations: :infinity` never block.
+      Defaults `true`.
+
+  ## Examples
+
+  ```heex
+  <div id="item">My Item</div>
+  <button phx-click={
+    JS.animate(
+      [%{transform: "translateX(0)"}, %{transform: "translateX(8px)"}, %{transform: "translateX(0)"}],
+      to: "#item",
+      duration: 150,
+      iterations: 3
+    )
+  }>
+    Shake!
+  </button>
+
+  <div phx-mounted={JS.animate(%{opacity: [0, 1]}, duration: 300, easing: "ease-out")}>
+    Fades in
+  </div>
+  ```
+  """
+  def animate(keyframes) when is_list(keyframes) or is_map(keyframes) do
+    animate(%JS{}, keyframes, [])
+  end
+
+  @doc "See `animate/1`."
+  def animate(%JS{} = js, keyframes) when is_list(keyframes) or is_map(keyframes) do
+    animate(js, keyframes, [])
+  end
+
+  def animate(keyframes, opts)
+      when (is_list(keyframes) or is_map(keyframes)) and is_list(opts) do
+    animate(%JS{}, keyframes, opts)
+  end
+
+  @doc "See `animate/1`."
+  def animate(%JS{} = js, keyframes, opts)
+      when (is_list(keyframes) or is_map(keyframes)) and is_list(opts) do
+    opts =
+      validate_keys(opts, :animate, [
+        :to,
+        :duration,
+        :easing,
+        :delay,
+        :iterations,
+        :direction,
+        :fill,
+        :blocking
+      ])
+
+    if is_list(keyframes) and not Enum.all?(keyframes, &is_map/1) do
+      raise ArgumentError,
+            "expected keyframes to be a list of maps or a map, got: #{inspect(keyframes)}"
+    end
+
+    options =
+      for key <- [:duration, :easing, :delay, :iterations, :direction, :fill],
+          Keyword.has_key?(opts, key),
+          into: %{},
+          do: {key, animation_option(key, opts[key])}
+
+    put_op(js, "animate",
+      keyframes: keyframes,
+      options: options,
+      to: opts[:to],
+      blocking: opts[:blocking]
+    )
+  end
+
+  # JSON has no infinity, the client converts it back
+  defp animation_option(:iterations, :infinity), do: "infinity"
+  defp animation_option(_key, value), do: value
+
   @doc """
   Sets an attribute on elements.
 
@@ -1173,12 +1339,172 @@ defmodule Phoenix.LiveView.JS do
     put_op(js, "pop_focus", [])
   end
 
+  @doc """
+  Opens `<dialog>` elements as modal dialogs.
+
+  The dialog is opened with [`showModal()`](https://developer.mozilla.org/en-US/docs/Web/API/HTMLDialogElement/showModal),
+  which places it in the top layer above the rest of the page, makes the
+  page behind it inert and closes it when the user presses the Esc key.
+  Unlike `show/1`, no focus wrapping or `phx-key` bindings are needed.
+
+  Once a dialog was opened or closed with a JS command, its open state is
+  owned by the client and kept when the server re-renders the dialog. It
+  also follows native closes, such as the Esc key or a `<form method="dialog">`.
+  Use the `phx-close` binding to be notified when the dialog closes.
+
+  ## Options
+
+    * `:to` - An optional DOM selector of the dialog to open.
+      Defaults to the interacted element. See the `DOM selectors`
+      section for details.
+
+  ## Examples
+
+  ```heex
+  <button phx-click={JS.show_modal(to: "#confirm")}>Delete</button>
+
+  <dialog id="confirm" phx-close="confirm_closed">
+    <form method="dialog">
+      <p>Are you sure?</p>
+      <button value="cancel">Cancel</button>
+      <button value="delete">Delete</button>
+    </form>
+  </dialog>
+  ```
+  """
+  def show_modal(opts \\ [])
+  def show_modal(%JS{} = js), do: show_modal(js, [])
+  def show_modal(opts) when is_list(opts), do: show_modal(%JS{}, opts)
+
+  @doc "See `show_modal/1`."
+  def show_modal(%JS{} = js, opts) when is_list(opts) do
+    opts = validate_keys(opts, :show_modal, [:to])
+    put_op(js, "show_modal", to: opts[:to])
+  end
+
+  @doc """
+  Closes `<dialog>` elements.
+
+  See `show_modal/1` for details on how the open state is kept across patches.
+
+  ## Options
+
+    * `:to` - An optional DOM selector of the dialog to close.
+      Defaults to the interacted element. See the `DOM selectors`
+      section for details.
+    * `:return_value` - An optional string to set as the
+      [`returnValue`](https://developer.mozilla.org/en-US/docs/Web/API/HTMLDialogElement/returnValue)
+      of the dialog, which is sent with the `phx-close` event.
+
+  ## Examples
+
+      JS.close_dialog(to: "#confirm")
+      JS.close_dialog(to: {:closest, "dialog"}, return_value: "cancel")
+  """
+  def close_dialog(opts \\ [])
+  def close_dialog(%JS{} = js), do: close_dialog(js, [])
+  def close_dialog(opts) when is_list(opts), do: close_dialog(%JS{}, opts)
+
+  @doc "See `close_dialog/1`."
+  def close_dialog(%JS{} = js, opts) when is_list(opts) do
+    opts = validate_keys(opts, :close_dialog, [:to, :return_value])
+    put_op(js, "close_dialog", to: opts[:to], return_value: opts[:return_value])
+  end
+
+  @doc """
+  Shows [popover](https://developer.mozilla.org/en-US/docs/Web/API/Popover_API) elements.
+
+  The element must have the `popover` attribute. It is shown in the top layer
+  and, unless it is a `popover="manual"` element, closed by the browser when
+  the user presses the Esc key or clicks outside of it. The popover stays open
+  when the server re-renders the element, including when a patch moves it
+  within the page. Use the `phx-toggle` binding to be notified when the
+  popover is shown or hidden.
+
+  ## Options
+
+    * `:to` - An optional DOM selector of the popover to show.
+      Defaults to the interacted element. See the `DOM selectors`
+      section for details.
+
+  ## Examples
+
+  ```heex
+  <button phx-click={JS.show_popover(to: "#menu")}>Menu</button>
+
+  <div id="menu" popover phx-toggle="menu_toggled">
+    ...
+  </div>
+  ```
+  """
+  def show_popover(opts \\ [])
+  def show_popover(%JS{} = js), do: show_popover(js, [])
+  def show_popover(opts) when is_list(opts), do: show_popover(%JS{}, opts)
+
+  @doc "See `show_popover/1`."
+  def show_popover(%JS{} = js, opts) when is_list(opts) do
+    opts = validate_keys(opts, :show_popover, [:to])
+    put_op(js, "show_popover", to: opts[:to])
+  end
+
+  @doc """
+  Hides popover elements.
+
+  See `show_popover/1` for details.
+
+  ## Options
+
+    * `:to` - An optional DOM selector of the popover to hide.
+      Defaults to the interacted element. See the `DOM selectors`
+      section for details.
+
+  ## Examples
+
+      JS.hide_popover(to: "#menu")
+  """
+  def hide_popover(opts \\ [])
+  def hide_popover(%JS{} = js), do: hide_popover(js, [])
+  def hide_popover(opts) when is_list(opts), do: hide_popover(%JS{}, opts)
+
+  @doc "See `hide_popover/1`."
+  def hide_popover(%JS{} = js, opts) when is_list(opts) do
+    opts = validate_keys(opts, :hide_popover, [:to])
+    put_op(js, "hide_popover", to: opts[:to])
+  end
+
+  @doc """
+  Shows or hides popover elements based on their open state.
+
+  See `show_popover/1` for details.
+
+  ## Options
+
+    * `:to` - An optional DOM selector of the popover to toggle.
+      Defaults to the interacted element. See the `DOM selectors`
+      section for details.
+
+  ## Examples
+
+      JS.toggle_popover(to: "#menu")
+  """
+  def toggle_popover(opts \\ [])
+  def toggle_popover(%JS{} = js), do: toggle_popover(js, [])
+  def toggle_popover(opts) when is_list(opts), do: toggle_popover(%JS{}, opts)
+
+  @doc "See `toggle_popover/1`."
+  def toggle_popover(%JS{} = js, opts) when is_list(opts) do
+    opts = validate_keys(opts, :toggle_popover, [:to])
+    put_op(js, "toggle_popover", to: opts[:to])
+  end
+
   @doc """
   Sends a navigation event to the server and updates the browser's pushState history.
 
   ## Options
 
     * `:replace` - Whether to replace the browser's pushState history. Defaults to `false`.
+    * `:transition` - The name of a view transition to run for the navigation, see
+      the `phx-view-transition` binding. Defaults to `nil`.
 
   ## Examples
 
@@ -1200,8 +1526,8 @@ defmodule Phoenix.LiveView.JS do
   @doc "See `navigate/1`."
   def navigate(%JS{} = js, href, opts) when is_binary(href) and is_list(opts) do
     Phoenix.LiveView.Utils.valid_live_navigation_destination!(href, "JS.navigate")
-    opts = validate_keys(opts, :navigate, [:replace])
-    put_op(js, "navigate", href: href, replace: !!opts[:replace])
+    opts = validate_keys(opts, :navigate, [:replace, :transition])
+    put_op(js, "navigate", href: href, replace: !!opts[:replace], transition: opts[:transition])
   end
 
   @doc """
@@ -1210,6 +1536,8 @@ defmodule Phoenix.LiveView.JS do
   ## Options
 
     * `:replace` - Whether to replace the browser's pushState history. Defaults to `false`.
+    * `:transition` - The name of a view transition to run for the patch, see
+      the `phx-view-transition` binding. Defaults to `nil`.
 
   ## Examples
 
@@ -1231,8 +1559,48 @@ defmodule Phoenix.LiveView.JS do
   @doc "See `patch/1`."
   def patch(%JS{} = js, href, opts) when is_binary(href) and is_list(opts) do
     Phoenix.LiveView.Utils.valid_live_navigation_destination!(href, "JS.patch")
-    opts = validate_keys(opts, :patch, [:replace])
-    put_op(js, "patch", href: href, replace: !!opts[:replace])
+    opts = validate_keys(opts, :patch, [:replace, :transition])
+    put_op(js, "patch", href: href, replace: !!opts[:replace], transition: opts[:transition])
+  end
+
+  @doc """
+  Pauses an in-progress upload entry.
+
+  No further chunks are sent until the entry is resumed with `resume_upload/1`,
+  but the entry is kept alive on the server while it is paused. Accepts the
+  `Phoenix.LiveView.UploadEntry` or its ref. Uploads using an external
+  uploader can only be paused if the uploader supports it, see the
+  [Uploads guide](uploads.md#pausing-and-resuming-uploads).
+
+  ## Examples
+
+  ```heex
+  <button type="button" phx-click={JS.pause_upload(entry)}>pause</button>
+  ```
+  """
+  def pause_upload(entry_or_ref), do: pause_upload(%JS{}, entry_or_ref)
+
+  @doc "See `pause_upload/1`."
+  def pause_upload(%JS{} = js, entry_or_ref) do
+    put_op(js, "pause_upload", ref: upload_entry_ref(entry_or_ref))
+  end
+
+  @doc """
+  Resumes a paused upload entry from where it stopped.
+
+  See `pause_upload/1`.
+
+  ## Examples
+
+  ```heex
+  <button type="button" phx-click={JS.resume_upload(entry)}>resume</button>
+  ```
+  """
+  def resume_upload(entry_or_ref), do: resume_upload(%JS{}, entry_or_ref)
+
+  @doc "See `resume_upload/1`."
+  def resume_upload(%JS{} = js, entry_or_ref) do
+    put_op(js, "resume_upload", ref: upload_entry_ref(entry_or_ref))
   end
 
   @doc """
@@ -1325,6 +1693,13 @@ defmodule Phoenix.LiveView.JS do
     end)
   end
 
+  defp upload_entry_ref(%Phoenix.LiveView.UploadEntry{ref: ref}), do: ref
+  defp upload_entry_ref(ref) when is_binary(ref), do: ref
+
+  defp upload_entry_ref(other) do
+    raise ArgumentError, "expected an upload entry or its ref, got: #{inspect(other)}"
+  end
+
   defp put_value(opts) do
     case Keyword.fetch(opts, :value) do
       {:ok, val} when is_map(val) -> Keyword.put(opts, :value, val)
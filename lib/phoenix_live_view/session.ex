@@ -12,7 +12,8 @@ defmodule Phoenix.LiveView.Session do
             router: nil,
             flash: nil,
             live_session_name: nil,
-            assign_new: []
+            assign_new: [],
+            prefetch?: false
 
   def main?(%Session{} = session), do: session.router != nil and session.parent_pid == nil
 
@@ -57,7 +58,7 @@ defmodule Phoenix.LiveView.Session do
   """
   def verify_session(endpoint, topic, session_token, static_token) do
     with {:ok, %{id: id} = session} <- Static.verify_token(endpoint, session_token),
-         :ok <- verify_topic(topic, id),
+         {:ok, prefetch?} <- verify_topic(topic, id),
          {:ok, static} <- verify_static_token(endpoint, id, static_token) do
       merged_session = Map.merge(session, static)
       live_session_name = merged_session[:live_session_name]
@@ -71,6 +72,7 @@ defmodule Phoenix.LiveView.Session do
         session: merged_session.session,
         assign_new: merged_session.assign_new,
         live_session_name: live_session_name,
+        prefetch?: prefetch?,
         # optional keys
         router: merged_session[:router],
         flash: merged_session[:flash]
@@ -80,7 +82,19 @@ defmodule Phoenix.LiveView.Session do
     end
   end
 
-  defp verify_topic("lv:" <> session_id, session_id), do: :ok
+  defp verify_topic("lv:" <> session_id, session_id), do: {:ok, false}
+
+  # prefetched LiveViews (phx-prefetch) join on their own topic, suffixed with
+  # a counter, as they coexist with the LiveView mounted under the same id
+  defp verify_topic("lv:" <> topic_id, session_id) do
+    with [^session_id, ref] <- String.split(topic_id, ":prefetch-", parts: 2),
+         true <- String.match?(ref, ~r/\A[1-9][0-9]{0,9}\z/) do
+      {:ok, true}
+    else
+      _ -> {:error, :invalid}
+    end
+  end
+
   defp verify_topic(_topic, _session_id), do: {:error, :invalid}
 
   defp verify_static_token(_endpoint, _id, nil), do: {:ok, %{assign_new: []}}
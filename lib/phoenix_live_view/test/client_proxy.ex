@@ -6,7 +6,9 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
   @async_shutdown_timeout 5_000
   @events :e
   @title :t
+  @head :h
   @reply :r
+  @viewport_bindings ~w(phx-viewport-top phx-viewport-bottom phx-viewport-left phx-viewport-right)
 
   defstruct session_token: nil,
             static_token: nil,
@@ -52,8 +54,17 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
   @doc """
   Reports upload progress to the proxy.
   """
-  def report_upload_progress(proxy_pid, from, element, entry_ref, percent, cid) do
-    GenServer.call(proxy_pid, {:upload_progress, from, element, entry_ref, percent, cid})
+  def report_upload_progress(
+        proxy_pid,
+        from,
+        element,
+        entry_ref,
+        percent,
+        cid,
+        checksum \\ nil
+      ) do
+    message = {:upload_progress, from, element, entry_ref, percent, cid, checksum}
+    GenServer.call(proxy_pid, message)
   end
 
   @doc """
@@ -168,12 +179,14 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
       test_supervisor: test_supervisor,
       url: url,
       page_title: :unset,
+      page_head: :unset,
       on_error: on_error,
       start_location: start_location
     }
 
     try do
       {root_view, rendered, resp} = mount_view(state, root_view, url, redirect_url)
+      {_rendered, state} = maybe_push_head(resp.rendered, state)
 
       new_state =
         state
@@ -231,7 +244,7 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
         receive do
           {^ref, {:ok, %{rendered: rendered} = resp}} ->
             Process.demonitor(mon_ref, [:flush])
-            {%{view | pid: pid}, Diff.merge_diff(%{}, rendered), resp}
+            {%{view | pid: pid}, Diff.merge_diff(%{}, Map.delete(rendered, @head)), resp}
 
           {^ref, {:error, %{live_redirect: opts} = resp}} ->
             maybe_push_events(resp, state)
@@ -622,8 +635,13 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
   defp default_test_error(:missing_form_id), do: :warn
   defp default_test_error(_), do: :raise
 
-  def handle_call({:upload_progress, from, %Element{} = el, entry_ref, progress, cid}, _, state) do
+  def handle_call(
+        {:upload_progress, from, %Element{} = el, entry_ref, progress, cid, checksum},
+        _,
+        state
+      ) do
     payload = maybe_put_cid(%{"entry_ref" => entry_ref, "progress" => progress}, cid)
+    payload = if checksum, do: Map.put(payload, "checksum", checksum), else: payload
     topic = proxy_topic(el)
     %{pid: pid} = fetch_view_by_topic!(state, topic)
 
@@ -642,6 +660,15 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
     {:reply, {:ok, state.page_title}, state}
   end
 
+  def handle_call(:page_head, _from, %{page_head: :unset} = state) do
+    state = %{state | page_head: root_page_head(state.html_tree)}
+    {:reply, {:ok, state.page_head}, state}
+  end
+
+  def handle_call(:page_head, _from, state) do
+    {:reply, {:ok, state.page_head}, state}
+  end
+
   def handle_call(:url, _from, state) do
     {:reply, {:ok, state.url}, state}
   end
@@ -942,6 +969,8 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
       |> maybe_push_reply(state)
       |> maybe_push_title(state)
 
+    {diff, state} = maybe_push_head(diff, state)
+
     if diff == %{} do
       state
     else
@@ -1205,8 +1234,7 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
            "element selected by #{inspect(element.selector)} for phx-hook does not have an ID"}
         end
 
-      TreeDOM.attribute(node, "phx-viewport-top") ||
-          TreeDOM.attribute(node, "phx-viewport-bottom") ->
+      Enum.any?(@viewport_bindings, &TreeDOM.attribute(node, &1)) ->
         {:ok, event, []}
 
       true ->
@@ -1476,6 +1504,17 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
     end
   end
 
+  defp maybe_push_head(diff, state) do
+    case diff do
+      %{@head => head} ->
+        page_head = for {key, [tag, attrs]} <- head, into: %{}, do: {key, {tag, attrs}}
+        {Map.delete(diff, @head), %{state | page_head: page_head}}
+
+      %{} ->
+        {diff, state}
+    end
+  end
+
   defp fill_in_map([{key, value} | rest], prefix, node, acc) do
     key = to_string(key)
 
@@ -1625,4 +1664,18 @@ defmodule Phoenix.LiveViewTest.ClientProxy do
         nil
     end
   end
+
+  defp root_page_head(root_html) do
+    case TreeDOM.filter(root_html, fn node -> TreeDOM.tag(node) == "head" end) do
+      [node] ->
+        for {tag, attrs, _} <- TreeDOM.filter(node, &TreeDOM.attribute(&1, "data-phx-head")),
+            into: %{} do
+          {{_, key}, attrs} = List.keytake(attrs, "data-phx-head", 0)
+          {key, {tag, Map.new(attrs)}}
+        end
+
+      _ ->
+        %{}
+    end
+  end
 end
@@ -1405,6 +1405,21 @@ defmodule Phoenix.LiveViewTest do
     call(view, :page_title)
   end
 
+  @doc """
+  Returns the keyed head tags that were most recently updated via a `page_head` assign.
+
+  The tags are returned as a map of their keys to `{tag, attrs}` tuples.
+
+  ## Examples
+
+      render_click(view, :event_that_triggers_page_head_update)
+      assert {"meta", %{"content" => "my description"}} = page_head(view)["description"]
+
+  """
+  def page_head(view) do
+    call(view, :page_head)
+  end
+
   @doc """
   Asserts a live patch will happen within `timeout` milliseconds.
   The default `timeout` is [ExUnit](https://ex-unit.hexdocs.pm/ExUnit.html#configure/1)'s
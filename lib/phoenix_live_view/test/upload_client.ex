@@ -17,6 +17,10 @@ defmodule Phoenix.LiveViewTest.UploadClient do
     GenServer.call(pid, :channel_pids)
   end
 
+  def simulate_rejoin(%Upload{pid: pid}, name) do
+    GenServer.call(pid, {:simulate_rejoin, name})
+  end
+
   def fetch_allow_acknowledged(%Upload{pid: pid}, entry_name) do
     GenServer.call(pid, {:fetch_allow_acknowledged, entry_name})
   end
@@ -82,9 +86,11 @@ defmodule Phoenix.LiveViewTest.UploadClient do
     end
   end
 
+  # the upload channel registers the entry server owning the writer with the
+  # LiveView, rather than itself, so the entry server stands in for the channel
   def handle_call(:channel_pids, _from, state) do
     pids =
-      for {name, %{socket: %{channel_pid: pid}}} <- state.entries,
+      for {name, %{socket: %{assigns: %{entry_pid: pid}}}} <- state.entries,
           into: %{},
           do: {name, pid}
 
@@ -108,6 +114,31 @@ defmodule Phoenix.LiveViewTest.UploadClient do
     end
   end
 
+  # closes the entry's channel like a dropped connection would and rejoins it,
+  # replying with the offset the upload resumes from
+  def handle_call({:simulate_rejoin, entry_name}, _from, state) do
+    entry = get_entry!(state, entry_name)
+    :ok = GenServer.stop(entry.socket.channel_pid, {:shutdown, :closed})
+
+    case Phoenix.ChannelTest.join(state.socket, "lvu:123", %{"token" => entry.token}) do
+      {:ok, _resp, entry_socket} ->
+        Process.unlink(entry_socket.channel_pid)
+        Process.monitor(entry_socket.channel_pid)
+        ref = Phoenix.ChannelTest.push(entry_socket, "offset", %{})
+
+        receive do
+          %Phoenix.Socket.Reply{ref: ^ref, status: :ok, payload: %{offset: offset}} ->
+            entry = %{entry | socket: entry_socket}
+            {:reply, {:ok, offset}, %{state | entries: Map.put(state.entries, entry_name, entry)}}
+        after
+          get_chunk_timeout(state) -> exit(:timeout)
+        end
+
+      {:error, %{reason: reason}} ->
+        {:reply, {:error, reason}, state}
+    end
+  end
+
   defp build_and_join_entry(%{socket: nil} = _state, client_entry, token) do
     %{
       "name" => name,
@@ -247,6 +278,7 @@ defmodule Phoenix.LiveViewTest.UploadClient do
         :binary.part(entry.content, stats.start, stats.chunk_size)
       end
 
+    {chunk, entry} = maybe_checksum_chunk(state, entry, chunk)
     ref = Phoenix.ChannelTest.push(entry.socket, "chunk", {:binary, chunk})
 
     receive do
@@ -258,7 +290,8 @@ defmodule Phoenix.LiveViewTest.UploadClient do
             element,
             entry.ref,
             stats.new_percent,
-            state.cid
+            state.cid,
+            if(stats.new_percent == 100, do: entry[:checksum])
           )
 
         update_entry_percent(state, entry, stats.new_percent)
@@ -283,10 +316,24 @@ defmodule Phoenix.LiveViewTest.UploadClient do
     end
   end
 
-  defp update_entry_percent(state, entry, new_percent) do
-    new_entries =
-      Map.update!(state.entries, entry.name, fn entry -> %{entry | chunk_percent: new_percent} end)
+  # mirrors the JavaScript client, which prefixes each chunk with its SHA-256 digest
+  # and sends a rolling checksum chaining all digests with the final progress
+  defp maybe_checksum_chunk(%{config: %{checksum: true}}, entry, chunk) do
+    digest = :crypto.hash(:sha256, chunk)
+    rolling = :crypto.hash(:sha256, Map.get(entry, :rolling_checksum, <<>>) <> digest)
+
+    entry =
+      entry
+      |> Map.put(:rolling_checksum, rolling)
+      |> Map.put(:checksum, Base.encode16(rolling, case: :lower))
 
+    {digest <> chunk, entry}
+  end
+
+  defp maybe_checksum_chunk(_state, entry, chunk), do: {chunk, entry}
+
+  defp update_entry_percent(state, entry, new_percent) do
+    new_entries = Map.put(state.entries, entry.name, %{entry | chunk_percent: new_percent})
     %{state | entries: new_entries}
   end
 
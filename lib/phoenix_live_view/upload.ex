@@ -2,7 +2,7 @@ defmodule Phoenix.LiveView.Upload do
   # Operations integrating Phoenix.LiveView.Socket with UploadConfig.
   @moduledoc false
 
-  alias Phoenix.LiveView.{Socket, Utils, UploadConfig, UploadEntry}
+  alias Phoenix.LiveView.{Socket, Utils, UploadChannel, UploadConfig, UploadEntry}
 
   @refs_to_names :__phoenix_refs_to_names__
   @upload_token_opts if String.to_integer(System.otp_release()) >= 26,
@@ -143,6 +143,46 @@ defmodule Phoenix.LiveView.Upload do
     end
   end
 
+  @doc """
+  Verifies the rolling checksum sent by the client with the final progress
+  against the one computed by the `Phoenix.LiveView.UploadChannel` process.
+
+  When checksums are required, a completed entry without a checksum fails
+  just like a mismatching one.
+  """
+  def verify_checksum(%Socket{} = socket, config_ref, entry_ref, 100 = _progress, checksum) do
+    conf = get_upload_by_ref!(socket, config_ref)
+
+    with true <- conf.checksum?,
+         %UploadEntry{} = entry <- UploadConfig.get_entry_by_ref(conf, entry_ref),
+         pid when is_pid(pid) <- UploadConfig.entry_pid(conf, entry),
+         false <- checksum_matches?(pid, checksum) do
+      # the written file can no longer be consumed, so discard it right away
+      _ = UploadChannel.cancel(pid)
+      fail_entry_upload(socket, conf, entry_ref, :checksum_mismatch)
+    else
+      _ -> socket
+    end
+  end
+
+  def verify_checksum(%Socket{} = socket, _config_ref, _entry_ref, _progress, _checksum),
+    do: socket
+
+  defp checksum_matches?(pid, checksum) when is_binary(checksum) do
+    UploadChannel.checksum(pid) == {:ok, checksum}
+  end
+
+  defp checksum_matches?(_pid, _checksum), do: false
+
+  @doc """
+  Puts the `:too_many_files` error for a selection the client rejected as a whole,
+  such as a drop exceeding the number of files read from dropped directories.
+  """
+  def put_overflow_error(%Socket{} = socket, config_ref) do
+    conf = get_upload_by_ref!(socket, config_ref)
+    put_upload_error(socket, conf.name, conf.ref, :too_many_files)
+  end
+
   @doc """
   Puts the entries into the `%UploadConfig{}`.
   """
@@ -400,7 +440,9 @@ defmodule Phoenix.LiveView.Upload do
       max_file_size: conf.max_file_size,
       max_entries: conf.max_entries,
       chunk_size: conf.chunk_size,
-      chunk_timeout: conf.chunk_timeout
+      chunk_timeout: conf.chunk_timeout,
+      chunk_window: conf.chunk_window,
+      checksum: conf.checksum?
     }
 
     {new_socket, new_conf, new_entries} = mark_preflighted(socket, conf, refs)
@@ -3,12 +3,16 @@ defmodule Phoenix.LiveView.UploadChannel do
   use Phoenix.Channel, log_handle_in: false
   @timeout :infinity
 
-  alias Phoenix.LiveView.{Static, Channel}
+  alias Phoenix.LiveView.{Static, Channel, UploadEntryServer}
 
   def cancel(pid) do
     GenServer.call(pid, :cancel, @timeout)
   end
 
+  def checksum(pid) do
+    GenServer.call(pid, :checksum, @timeout)
+  end
+
   def consume(pid, entry, func) when is_function(func, 1) or is_function(func, 2) do
     case GenServer.call(pid, :consume_start, @timeout) do
       {:ok, file_meta} ->
@@ -57,225 +61,63 @@ defmodule Phoenix.LiveView.UploadChannel do
     %{"token" => token} = auth_payload
 
     with {:ok, %{pid: pid, ref: ref, cid: cid}} <- Static.verify_token(socket.endpoint, token),
-         {:ok, config} <- Channel.register_upload(pid, ref, cid) do
-      %{
-        max_file_size: max_file_size,
-        chunk_timeout: chunk_timeout,
-        max_entries_mode: max_entries_mode,
-        writer: {writer, writer_opts}
-      } = config
-
-      case writer.init(writer_opts) do
-        {:ok, writer_state} ->
-          Process.monitor(pid)
-          Process.flag(:trap_exit, true)
-
-          socket =
-            assign(socket, %{
-              writer: writer,
-              writer_state: writer_state,
-              live_view_pid: pid,
-              max_file_size: max_file_size,
-              max_entries_mode: max_entries_mode,
-              chunk_timeout: chunk_timeout,
-              chunk_timer: nil,
-              writer_closed?: false,
-              done?: false,
-              uploaded_size: 0
-            })
-
-          {:ok, socket}
-
-        {:error, reason} ->
-          # the entry is already registered with the LiveView at this point, so the
-          # failure must be reported just like a write_chunk/2 or close/2 failure,
-          # which retains the entry with a {:writer_failure, reason} error
-          Channel.report_writer_error(pid, reason)
-
-          {:error, %{reason: :writer_error}}
-      end
+         {:ok, entry_pid} <- start_or_resume_upload(socket, pid, ref, cid) do
+      Process.monitor(entry_pid)
+      {:ok, assign(socket, :entry_pid, entry_pid)}
     else
       {:error, reason} when reason in [:expired, :invalid, :outdated] ->
         {:error, %{reason: :invalid_token}}
 
-      {:error, reason} when reason in [:already_registered, :disallowed] ->
+      {:error, reason} when reason in [:already_registered, :disallowed, :writer_error] ->
         {:error, %{reason: reason}}
     end
   end
 
-  @impl true
-  def handle_in("chunk", {:binary, payload}, socket) do
-    %{uploaded_size: uploaded_size, max_file_size: max_file_size} = socket.assigns
-    socket = reschedule_chunk_timer(socket)
-
-    if !socket.assigns.writer_closed? and byte_size(payload) + uploaded_size <= max_file_size do
-      case write_bytes(socket, payload) do
-        {:ok, new_socket} ->
-          {:reply, :ok, new_socket}
-
-        {:error, reason, new_socket} ->
-          # a close(:done) failure already closed the writer; don't close it twice
-          new_socket =
-            if new_socket.assigns.writer_closed? do
-              new_socket
-            else
-              case close_writer(new_socket, {:error, reason}) do
-                {:ok, new_socket} -> new_socket
-                {:error, _reason, new_socket} -> new_socket
-              end
-            end
-
-          :ok = Channel.report_writer_error(socket.assigns.live_view_pid, reason)
-
-          {:stop, {:shutdown, :closed}, {:error, %{reason: :writer_error}}, new_socket}
-      end
-    else
-      reply = %{reason: :file_size_limit_exceeded, limit: max_file_size}
-      {:stop, {:shutdown, :closed}, {:error, reply}, socket}
-    end
-  end
-
-  @impl true
-  def handle_info({:EXIT, _pid, reason}, socket) do
-    {:stop, reason, socket}
-  end
+  # the entry server outlives a closed channel, so a client rejoining after a
+  # reconnect resumes the upload it registered before
+  defp start_or_resume_upload(socket, pid, ref, cid) do
+    case UploadEntryServer.start(pid, ref, cid, self(), socket.transport_pid) do
+      {:ok, entry_pid} ->
+        {:ok, entry_pid}
 
-  def handle_info(
-        {:DOWN, _, _, live_view_pid, reason},
-        %{assigns: %{live_view_pid: live_view_pid}} = socket
-      ) do
-    reason = if reason == :normal, do: {:shutdown, :closed}, else: reason
-    {:stop, reason, maybe_cancel_writer(socket)}
-  end
+      {:error, :shutdown} ->
+        {:error, :writer_error}
 
-  def handle_info(:chunk_timeout, socket) do
-    {:stop, {:shutdown, :closed}, socket}
-  end
+      {:error, {:shutdown, :already_registered}} ->
+        with {:ok, entry_pid} <- Channel.fetch_upload(pid, ref, cid),
+             :ok <- UploadEntryServer.attach(entry_pid, self(), socket.transport_pid) do
+          {:ok, entry_pid}
+        end
 
-  @impl true
-  def handle_call(:consume_start, _from, socket) do
-    if socket.assigns.done? do
-      {:reply, {:ok, file_meta(socket)}, socket}
-    else
-      {:reply, {:error, :in_progress}, socket}
+      {:error, {:shutdown, reason}} ->
+        {:error, reason}
     end
   end
 
   @impl true
-  def handle_call(:consume_done, from, socket) do
-    if socket.assigns.max_entries_mode == :total do
-      :ok = Channel.report_upload_consumed(socket.assigns.live_view_pid)
+  def handle_in("chunk", {:binary, payload}, socket) do
+    case UploadEntryServer.chunk(socket.assigns.entry_pid, payload) do
+      :ok -> {:reply, :ok, socket}
+      {:error, reply} -> {:stop, {:shutdown, :closed}, {:error, reply}, socket}
     end
-
-    GenServer.reply(from, :ok)
-    {:stop, {:shutdown, :closed}, socket}
   end
 
-  def handle_call(:cancel, from, socket) do
-    if socket.assigns.writer_closed? do
-      GenServer.reply(from, :ok)
-      {:stop, {:shutdown, :closed}, socket}
-    else
-      case close_writer(socket, :cancel) do
-        {:ok, new_socket} ->
-          GenServer.reply(from, :ok)
-          {:stop, {:shutdown, :closed}, new_socket}
-
-        {:error, reason, new_socket} ->
-          GenServer.reply(from, {:error, reason})
-          {:stop, {:shutdown, :closed}, new_socket}
-      end
+  # the client asks for the acknowledged offset when a chunk push times out,
+  # as it cannot know whether the chunk was written, after rejoining to resume
+  # the upload, and periodically while an upload is paused to keep the entry
+  # from timing out
+  def handle_in("offset", _payload, socket) do
+    case UploadEntryServer.offset(socket.assigns.entry_pid) do
+      {:ok, offset} -> {:reply, {:ok, %{offset: offset}}, socket}
+      {:error, reply} -> {:stop, {:shutdown, :closed}, {:error, reply}, socket}
     end
   end
 
   @impl true
-  def terminate(_reason, socket) do
-    _ = maybe_cancel_writer(socket)
-    :ok
-  end
-
-  defp reschedule_chunk_timer(socket) do
-    cancel_timer(socket.assigns.chunk_timer, :chunk_timeout)
-    new_timer = Process.send_after(self(), :chunk_timeout, socket.assigns.chunk_timeout)
-    assign(socket, :chunk_timer, new_timer)
-  end
-
-  defp cancel_timer(nil = _timer, _msg), do: :ok
-
-  defp cancel_timer(timer, msg) do
-    if Process.cancel_timer(timer) do
-      :ok
-    else
-      receive do
-        ^msg -> :ok
-      after
-        0 -> :ok
-      end
-    end
-  end
-
-  defp write_bytes(socket, payload) do
-    case socket.assigns.writer.write_chunk(payload, socket.assigns.writer_state) do
-      {:ok, writer_state} ->
-        socket
-        |> assign(:uploaded_size, socket.assigns.uploaded_size + byte_size(payload))
-        |> assign(:writer_state, writer_state)
-        |> maybe_close_completed_file()
-
-      {:error, reason, writer_state} ->
-        cancel_timer(socket.assigns.chunk_timer, :chunk_timeout)
-        {:error, reason, assign(socket, writer_state: writer_state, chunk_timer: nil)}
-    end
-  end
-
-  defp maybe_close_completed_file(socket) do
-    if socket.assigns.uploaded_size == socket.assigns.max_file_size do
-      case close_writer(socket, :done) do
-        {:ok, socket} -> {:ok, assign(socket, done?: true)}
-        {:error, reason, new_socket} -> {:error, reason, new_socket}
-      end
-    else
-      {:ok, socket}
-    end
-  end
-
-  # we need to handle the case where socket assigns aren't set yet because
-  # we are trapping exits and may enter terminate before joining is complete
-  defp maybe_cancel_writer(socket) do
-    case socket.assigns do
-      %{writer_closed?: false} ->
-        case close_writer(socket, :cancel) do
-          {:ok, new_socket} -> new_socket
-          {:error, _reason, new_socket} -> new_socket
-        end
-
-      %{} ->
-        socket
-    end
-  end
-
-  defp close_writer(socket, reason) do
-    cancel_timer(socket.assigns.chunk_timer, :chunk_timeout)
-    socket = assign(socket, chunk_timer: nil, writer_closed?: true)
-
-    case socket.assigns.writer.close(socket.assigns.writer_state, reason) do
-      {:ok, writer_state} ->
-        {:ok,
-         socket
-         |> assign(writer_state: writer_state)
-         |> garbage_collect()}
-
-      {:error, reason} ->
-        {:error, reason, socket}
-    end
-  end
-
-  defp garbage_collect(socket) do
-    send(socket.transport_pid, :garbage_collect)
-    :erlang.garbage_collect(self())
-
-    socket
+  def handle_info(
+        {:DOWN, _, _, entry_pid, reason},
+        %{assigns: %{entry_pid: entry_pid}} = socket
+      ) do
+    {:stop, reason, socket}
   end
-
-  defp file_meta(socket), do: socket.assigns.writer.meta(socket.assigns.writer_state)
 end
@@ -61,6 +61,7 @@ defmodule Phoenix.LiveView.UploadConfig do
   @default_max_file_size 8_000_000
   @default_chunk_size 64_000
   @default_chunk_timeout 10_000
+  @default_chunk_window 1
 
   @unregistered :unregistered
   @invalid :invalid
@@ -81,6 +82,8 @@ defmodule Phoenix.LiveView.UploadConfig do
              :accept,
              :errors,
              :auto_upload?,
+             :client_validation?,
+             :checksum?,
              :progress_event,
              :writer,
              :validator
@@ -94,6 +97,7 @@ defmodule Phoenix.LiveView.UploadConfig do
             max_file_size: @default_max_file_size,
             chunk_size: @default_chunk_size,
             chunk_timeout: @default_chunk_timeout,
+            chunk_window: @default_chunk_window,
             entries: [],
             consumed_entries: 0,
             entry_refs_to_pids: %{},
@@ -106,6 +110,8 @@ defmodule Phoenix.LiveView.UploadConfig do
             ref: nil,
             errors: [],
             auto_upload?: false,
+            client_validation?: false,
+            checksum?: false,
             progress_event: nil,
             writer: nil,
             validator: nil
@@ -118,6 +124,7 @@ defmodule Phoenix.LiveView.UploadConfig do
           max_entries: pos_integer(),
           max_entries_mode: :selected | :total,
           max_file_size: pos_integer(),
+          chunk_window: pos_integer(),
           entries: list(),
           consumed_entries: non_neg_integer(),
           entry_refs_to_pids: %{String.t() => pid() | :unregistered | :invalid | :failed},
@@ -133,6 +140,8 @@ defmodule Phoenix.LiveView.UploadConfig do
           errors: list(),
           ref: String.t(),
           auto_upload?: boolean(),
+          client_validation?: boolean(),
+          checksum?: boolean(),
           writer: (name :: atom() | String.t(), UploadEntry.t(), Phoenix.LiveView.Socket.t() ->
                      {module(), term()}),
           validator: (UploadEntry.t() -> :ok | {:error, atom()}) | nil,
@@ -288,6 +297,24 @@ defmodule Phoenix.LiveView.UploadConfig do
           @default_chunk_timeout
       end
 
+    chunk_window =
+      case Keyword.fetch(opts, :chunk_window) do
+        {:ok, pos_integer} when is_integer(pos_integer) and pos_integer > 0 ->
+          pos_integer
+
+        {:ok, other} ->
+          raise ArgumentError, """
+          invalid :chunk_window value provided to allow_upload.
+
+          Only a positive integer is supported (Defaults to #{@default_chunk_window}). Got:
+
+          #{inspect(other)}
+          """
+
+        :error ->
+          @default_chunk_window
+      end
+
     progress_event =
       case Keyword.fetch(opts, :progress) do
         {:ok, func} when is_function(func, 3) ->
@@ -356,10 +383,13 @@ defmodule Phoenix.LiveView.UploadConfig do
       external: external,
       chunk_size: chunk_size,
       chunk_timeout: chunk_timeout,
+      chunk_window: chunk_window,
       progress_event: progress_event,
       writer: writer,
       validator: validator,
       auto_upload?: Keyword.get(opts, :auto_upload, false),
+      client_validation?: Keyword.get(opts, :client_validation, false),
+      checksum?: Keyword.get(opts, :checksum, false),
       allowed?: true
     }
   end
@@ -559,7 +589,8 @@ defmodule Phoenix.LiveView.UploadConfig do
 
   @doc false
   def put_entries(%UploadConfig{} = conf, entries) do
-    pruned_conf = maybe_replace_sole_entry(conf, entries)
+    # a previous selection rejected as a whole by the client is superseded
+    pruned_conf = conf |> recalculate_errors() |> maybe_replace_sole_entry(entries)
 
     new_conf =
       Enum.reduce(entries, pruned_conf, fn client_entry, acc ->
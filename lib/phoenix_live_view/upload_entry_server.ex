@@ -0,0 +1,318 @@
+defmodule Phoenix.LiveView.UploadEntryServer do
+  @moduledoc false
+  # Owns the writer of an upload entry on behalf of the upload channel.
+  #
+  # The server is registered with the LiveView as the entry's upload pid, so the
+  # entry and its writer outlive a channel that closes mid-upload. A client that
+  # rejoins the entry's channel within the chunk timeout resumes the upload from
+  # the acknowledged offset. Otherwise the writer is cancelled and the server exits.
+  use GenServer
+  @timeout :infinity
+
+  alias Phoenix.LiveView.Channel
+
+  def start(live_view_pid, ref, cid, channel_pid, transport_pid) do
+    GenServer.start(__MODULE__, {live_view_pid, ref, cid, channel_pid, transport_pid})
+  end
+
+  def attach(pid, channel_pid, transport_pid) do
+    GenServer.call(pid, {:attach, channel_pid, transport_pid}, @timeout)
+  catch
+    :exit, _reason -> {:error, :disallowed}
+  end
+
+  # the entry may exit before its channel handles the :DOWN message
+  def chunk(pid, payload) do
+    GenServer.call(pid, {:chunk, payload}, @timeout)
+  catch
+    :exit, _reason -> {:error, %{reason: :closed}}
+  end
+
+  def offset(pid) do
+    GenServer.call(pid, :offset, @timeout)
+  catch
+    :exit, _reason -> {:error, %{reason: :closed}}
+  end
+
+  @impl true
+  def init({live_view_pid, ref, cid, channel_pid, transport_pid}) do
+    case Channel.register_upload(live_view_pid, ref, cid) do
+      {:ok, config} ->
+        %{
+          max_file_size: max_file_size,
+          chunk_timeout: chunk_timeout,
+          max_entries_mode: max_entries_mode,
+          checksum?: checksum?,
+          writer: {writer, writer_opts}
+        } = config
+
+        case writer.init(writer_opts) do
+          {:ok, writer_state} ->
+            Process.monitor(live_view_pid)
+
+            state = %{
+              writer: writer,
+              writer_state: writer_state,
+              live_view_pid: live_view_pid,
+              channel_pid: channel_pid,
+              channel_ref: Process.monitor(channel_pid),
+              transport_pid: transport_pid,
+              max_file_size: max_file_size,
+              max_entries_mode: max_entries_mode,
+              chunk_timeout: chunk_timeout,
+              chunk_timer: nil,
+              checksum?: checksum?,
+              checksum: <<>>,
+              writer_closed?: false,
+              done?: false,
+              uploaded_size: 0
+            }
+
+            {:ok, state}
+
+          {:error, reason} ->
+            # the entry is already registered with the LiveView at this point, so the
+            # failure must be reported just like a write_chunk/2 or close/2 failure,
+            # which retains the entry with a {:writer_failure, reason} error
+            Channel.report_writer_error(live_view_pid, reason)
+
+            {:stop, :shutdown}
+        end
+
+      {:error, reason} ->
+        {:stop, {:shutdown, reason}}
+    end
+  end
+
+  # a channel rejoining the entry takes over from the previous one, which
+  # may not have noticed yet that its transport is gone
+  @impl true
+  def handle_call({:attach, channel_pid, transport_pid}, _from, state) do
+    if state.channel_ref, do: Process.demonitor(state.channel_ref, [:flush])
+
+    state = %{
+      state
+      | channel_pid: channel_pid,
+        channel_ref: Process.monitor(channel_pid),
+        transport_pid: transport_pid
+    }
+
+    state = if state.writer_closed?, do: state, else: reschedule_chunk_timer(state)
+    {:reply, :ok, state}
+  end
+
+  def handle_call({:chunk, _payload}, {pid, _}, %{channel_pid: channel_pid} = state)
+      when pid != channel_pid do
+    {:reply, {:error, %{reason: :closed}}, state}
+  end
+
+  def handle_call({:chunk, payload}, _from, state) do
+    case verify_chunk(state, payload) do
+      {:ok, chunk, digest} ->
+        write_chunk(state, chunk, digest)
+
+      :error ->
+        new_state = maybe_cancel_writer(state)
+        :ok = Channel.report_checksum_mismatch(state.live_view_pid)
+        {:stop, {:shutdown, :closed}, {:error, %{reason: :checksum_mismatch}}, new_state}
+    end
+  end
+
+  def handle_call(:offset, _from, state) do
+    state = if state.writer_closed?, do: state, else: reschedule_chunk_timer(state)
+    {:reply, {:ok, state.uploaded_size}, state}
+  end
+
+  # the rolling checksum chains the digests of all written chunks
+  def handle_call(:checksum, _from, state) do
+    {:reply, {:ok, Base.encode16(state.checksum, case: :lower)}, state}
+  end
+
+  def handle_call(:consume_start, _from, state) do
+    if state.done? do
+      {:reply, {:ok, file_meta(state)}, state}
+    else
+      {:reply, {:error, :in_progress}, state}
+    end
+  end
+
+  def handle_call(:consume_done, from, state) do
+    if state.max_entries_mode == :total do
+      :ok = Channel.report_upload_consumed(state.live_view_pid)
+    end
+
+    GenServer.reply(from, :ok)
+    {:stop, {:shutdown, :closed}, state}
+  end
+
+  def handle_call(:cancel, from, state) do
+    if state.writer_closed? do
+      GenServer.reply(from, :ok)
+      {:stop, {:shutdown, :closed}, state}
+    else
+      case close_writer(state, :cancel) do
+        {:ok, new_state} ->
+          GenServer.reply(from, :ok)
+          {:stop, {:shutdown, :closed}, new_state}
+
+        {:error, reason, new_state} ->
+          GenServer.reply(from, {:error, reason})
+          {:stop, {:shutdown, :closed}, new_state}
+      end
+    end
+  end
+
+  @impl true
+  def handle_info(
+        {:DOWN, _, _, live_view_pid, reason},
+        %{live_view_pid: live_view_pid} = state
+      ) do
+    reason = if reason == :normal, do: {:shutdown, :closed}, else: reason
+    {:stop, reason, maybe_cancel_writer(state)}
+  end
+
+  # a closed transport keeps the entry around for a rejoin until the chunk
+  # timeout elapses, while a completed entry waits to be consumed
+  def handle_info({:DOWN, ref, _, _, {:shutdown, :closed}}, %{channel_ref: ref} = state) do
+    state = %{state | channel_pid: nil, channel_ref: nil, transport_pid: nil}
+    state = if state.writer_closed?, do: state, else: reschedule_chunk_timer(state)
+    {:noreply, state}
+  end
+
+  def handle_info({:DOWN, ref, _, _, reason}, %{channel_ref: ref} = state) do
+    reason = if reason in [:normal, {:shutdown, :left}], do: {:shutdown, :closed}, else: reason
+    {:stop, reason, maybe_cancel_writer(state)}
+  end
+
+  def handle_info(:chunk_timeout, state) do
+    {:stop, {:shutdown, :closed}, state}
+  end
+
+  @impl true
+  def terminate(_reason, state) do
+    _ = maybe_cancel_writer(state)
+    :ok
+  end
+
+  # with checksums, each chunk is prefixed with its SHA-256 digest
+  defp verify_chunk(%{checksum?: false}, payload), do: {:ok, payload, nil}
+
+  defp verify_chunk(_state, <<digest::binary-size(32), chunk::binary>>) do
+    if :crypto.hash(:sha256, chunk) == digest, do: {:ok, chunk, digest}, else: :error
+  end
+
+  defp verify_chunk(_state, _payload), do: :error
+
+  defp write_chunk(state, payload, digest) do
+    %{uploaded_size: uploaded_size, max_file_size: max_file_size} = state
+    state = reschedule_chunk_timer(state)
+
+    if !state.writer_closed? and byte_size(payload) + uploaded_size <= max_file_size do
+      case write_bytes(state, payload, digest) do
+        {:ok, new_state} ->
+          {:reply, :ok, new_state}
+
+        {:error, reason, new_state} ->
+          # a close(:done) failure already closed the writer; don't close it twice
+          new_state =
+            if new_state.writer_closed? do
+              new_state
+            else
+              case close_writer(new_state, {:error, reason}) do
+                {:ok, new_state} -> new_state
+                {:error, _reason, new_state} -> new_state
+              end
+            end
+
+          :ok = Channel.report_writer_error(state.live_view_pid, reason)
+
+          {:stop, {:shutdown, :closed}, {:error, %{reason: :writer_error}}, new_state}
+      end
+    else
+      reply = %{reason: :file_size_limit_exceeded, limit: max_file_size}
+      {:stop, {:shutdown, :closed}, {:error, reply}, state}
+    end
+  end
+
+  defp reschedule_chunk_timer(state) do
+    cancel_timer(state.chunk_timer, :chunk_timeout)
+    %{state | chunk_timer: Process.send_after(self(), :chunk_timeout, state.chunk_timeout)}
+  end
+
+  defp cancel_timer(nil = _timer, _msg), do: :ok
+
+  defp cancel_timer(timer, msg) do
+    if Process.cancel_timer(timer) do
+      :ok
+    else
+      receive do
+        ^msg -> :ok
+      after
+        0 -> :ok
+      end
+    end
+  end
+
+  defp write_bytes(state, payload, digest) do
+    case state.writer.write_chunk(payload, state.writer_state) do
+      {:ok, writer_state} ->
+        uploaded_size = state.uploaded_size + byte_size(payload)
+
+        %{state | uploaded_size: uploaded_size, writer_state: writer_state}
+        |> update_checksum(digest)
+        |> maybe_close_completed_file()
+
+      {:error, reason, writer_state} ->
+        cancel_timer(state.chunk_timer, :chunk_timeout)
+        {:error, reason, %{state | writer_state: writer_state, chunk_timer: nil}}
+    end
+  end
+
+  defp update_checksum(state, nil = _digest), do: state
+
+  defp update_checksum(state, digest) do
+    %{state | checksum: :crypto.hash(:sha256, state.checksum <> digest)}
+  end
+
+  defp maybe_close_completed_file(state) do
+    if state.uploaded_size == state.max_file_size do
+      case close_writer(state, :done) do
+        {:ok, state} -> {:ok, %{state | done?: true}}
+        {:error, reason, new_state} -> {:error, reason, new_state}
+      end
+    else
+      {:ok, state}
+    end
+  end
+
+  defp maybe_cancel_writer(%{writer_closed?: false} = state) do
+    case close_writer(state, :cancel) do
+      {:ok, new_state} -> new_state
+      {:error, _reason, new_state} -> new_state
+    end
+  end
+
+  defp maybe_cancel_writer(state), do: state
+
+  defp close_writer(state, reason) do
+    cancel_timer(state.chunk_timer, :chunk_timeout)
+    state = %{state | chunk_timer: nil, writer_closed?: true}
+
+    case state.writer.close(state.writer_state, reason) do
+      {:ok, writer_state} ->
+        {:ok, garbage_collect(%{state | writer_state: writer_state})}
+
+      {:error, reason} ->
+        {:error, reason, state}
+    end
+  end
+
+  defp garbage_collect(state) do
+    if state.transport_pid, do: send(state.transport_pid, :garbage_collect)
+    :erlang.garbage_collect(self())
+
+    state
+  end
+
+  defp file_meta(state), do: state.writer.meta(state.writer_state)
+end
@@ -9,8 +9,9 @@ defmodule Phoenix.LiveView.UploadWriter do
   we don't want the chunks to be written to disk since we only need to forward
   them on.
 
-  **Note**: Upload writers run inside the channel uploader process, so
-  any blocking work will block the channel, and errors will crash the channel process.
+  **Note**: Upload writers run inside the upload entry process, which the channel
+  uploader forwards chunks to, so any blocking work will block the upload, and
+  errors will crash the entry process along with its channel.
 
   Custom implementations of `Phoenix.LiveView.UploadWriter` can be passed to
   `allow_upload/3`. To initialize the writer with options, define a 3-arity function
@@ -111,6 +111,41 @@ defmodule Phoenix.LiveView.Utils do
     Map.put(%{assigns | __changed__: changed}, key, val)
   end
 
+  @doc """
+  Normalizes the `:page_head` assign into `{key, tag, attrs}` entries.
+
+  Attribute names and values are converted to strings, attributes
+  set to `nil` or `false` are dropped and `true` becomes an empty value.
+  """
+  def page_head(nil), do: []
+
+  def page_head(head) when is_list(head) or is_map(head) do
+    for {key, entry} <- head do
+      {tag, attrs} =
+        case entry do
+          {tag, attrs} when tag in [:meta, :link] and (is_list(attrs) or is_map(attrs)) ->
+            {Atom.to_string(tag), attrs}
+
+          other ->
+            raise ArgumentError,
+                  "expected :page_head entry #{inspect(key)} to be a {:meta, attrs} or " <>
+                    "{:link, attrs} tuple, got: #{inspect(other)}"
+        end
+
+      attrs =
+        for {name, value} <- attrs, value not in [nil, false] do
+          {to_string(name), if(value == true, do: "", else: to_string(value))}
+        end
+
+      {to_string(key), tag, attrs}
+    end
+  end
+
+  def page_head(other) do
+    raise ArgumentError,
+          "expected :page_head to be a keyword list or a map, got: #{inspect(other)}"
+  end
+
   @doc """
   Clears the changes from the socket assigns.
   """
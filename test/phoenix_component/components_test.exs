@@ -246,6 +246,36 @@ defmodule Phoenix.LiveView.ComponentsTest do
     end
   end
 
+  describe "live_head/1" do
+    test "renders keyed meta and link tags" do
+      assigns = %{
+        head: [
+          description: {:meta, name: "description", content: "A post"},
+          canonical: {:link, rel: "canonical", href: "/posts/1", hreflang: nil}
+        ]
+      }
+
+      assert t2h(~H|<.live_head head={@head} />|) ==
+               ~X"""
+               <meta data-phx-head="description" name="description" content="A post"/>
+               <link data-phx-head="canonical" rel="canonical" href="/posts/1"/>
+               """
+    end
+
+    test "renders nothing without head" do
+      assigns = %{}
+      assert t2h(~H|<.live_head />|) == []
+    end
+
+    test "raises on unsupported tags" do
+      assigns = %{head: [script: {:script, src: "/app.js"}]}
+
+      assert_raise ArgumentError, ~r/expected :page_head entry :script/, fn ->
+        t2h(~H|<.live_head head={@head} />|)
+      end
+    end
+  end
+
   describe "dynamic_tag/1" do
     test "ensures HTML safe tag names" do
       assigns = %{}
@@ -765,6 +795,21 @@ defmodule Phoenix.LiveView.ComponentsTest do
       assert t2h(~H|<.live_file_input upload={@conf} accept=".jpeg" />|) ==
                ~X|<input type="file" accept=".jpeg" data-phx-hook="Phoenix.LiveFileUpload" data-phx-active-refs="foo" data-phx-done-refs="" data-phx-preflighted-refs="">|
     end
+
+    test "renders limits for client validation" do
+      assigns = %{
+        conf: %Phoenix.LiveView.UploadConfig{
+          accept: ~w(.png),
+          client_validation?: true,
+          max_entries: 3,
+          max_file_size: 1_000,
+          entries: [%{preflighted?: false, done?: false, ref: "foo"}]
+        }
+      }
+
+      assert t2h(~H|<.live_file_input upload={@conf} />|) ==
+               ~X|<input type="file" accept=".png" data-phx-hook="Phoenix.LiveFileUpload" data-phx-active-refs="foo" data-phx-done-refs="" data-phx-preflighted-refs="" data-phx-max-file-size="1000" data-phx-max-entries="3" multiple>|
+    end
   end
 
   describe "intersperse" do
@@ -79,6 +79,12 @@ defmodule Phoenix.LiveView.DiffTest do
     Diff.render(%Socket{endpoint: __MODULE__}, rendered, fingerprints, components)
   end
 
+  defp render_with_assigns(assigns) do
+    socket = %Socket{endpoint: __MODULE__, assigns: assigns}
+    rendered = basic_template(%{time: "10:30", subtitle: "Sunny"})
+    Diff.render(socket, rendered, Diff.new_fingerprints(), Diff.new_components())
+  end
+
   defp rendered_to_binary(map) do
     map |> Diff.to_iodata() |> IO.iodata_to_binary()
   end
@@ -138,6 +144,41 @@ defmodule Phoenix.LiveView.DiffTest do
     end
   end
 
+  describe "page head" do
+    test "sends the keyed head entries when page_head changes" do
+      {diff, _, _} =
+        render_with_assigns(%{
+          __changed__: %{page_head: true},
+          page_head: [
+            description: {:meta, name: "description", content: "A post", lang: false},
+            alternate: {:link, rel: "alternate", href: "/de", hreflang: "de"}
+          ]
+        })
+
+      assert diff[:h] == %{
+               "description" => ["meta", %{"name" => "description", "content" => "A post"}],
+               "alternate" => [
+                 "link",
+                 %{"rel" => "alternate", "href" => "/de", "hreflang" => "de"}
+               ]
+             }
+    end
+
+    test "sends an empty set when page_head is cleared" do
+      {diff, _, _} = render_with_assigns(%{__changed__: %{page_head: true}, page_head: nil})
+      assert diff[:h] == %{}
+    end
+
+    test "does not send the head when page_head is unchanged" do
+      {diff, _, _} =
+        render_with_assigns(%{
+          __changed__: %{},
+          page_head: [canonical: {:link, rel: "canonical"}]
+        })
+      refute Map.has_key?(diff, :h)
+    end
+  end
+
   describe "full renders without fingerprints" do
     test "basic template" do
       rendered = basic_template(%{time: "10:30", subtitle: "Sunny"})
@@ -235,6 +235,10 @@ defmodule Phoenix.LiveView.ElementsTest do
       assert last_event(view) =~ ~s|prev-page: %{}|
       assert view |> element("#posts") |> render_hook("next-page") |> is_binary()
       assert last_event(view) =~ ~s|next-page: %{}|
+      assert view |> element("#slides") |> render_hook("prev-slide") |> is_binary()
+      assert last_event(view) =~ ~s|prev-slide: %{}|
+      assert view |> element("#slides") |> render_hook("next-slide") |> is_binary()
+      assert last_event(view) =~ ~s|next-slide: %{}|
     end
   end
 
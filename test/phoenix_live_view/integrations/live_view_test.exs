@@ -417,6 +417,23 @@ defmodule Phoenix.LiveView.LiveViewTest do
     end
   end
 
+  describe "head" do
+    test "sends page head updates", %{conn: conn} do
+      {:ok, view, _html} = live(conn, "/thermo")
+      assert page_head(view) == %{}
+
+      description = {:meta, name: "description", content: "Hot"}
+      GenServer.call(view.pid, {:set, :page_head, description: description})
+
+      assert page_head(view) == %{
+               "description" => {"meta", %{"name" => "description", "content" => "Hot"}}
+             }
+
+      GenServer.call(view.pid, {:set, :page_head, nil})
+      assert page_head(view) == %{}
+    end
+  end
+
   describe "live_isolated" do
     test "renders a live view with custom session", %{conn: conn} do
       {:ok, view, _} =
@@ -132,6 +132,12 @@ defmodule Phoenix.LiveView.JSTest do
              }
     end
 
+    test "transition" do
+      assert JS.navigate("/home", transition: "slide") == %JS{
+               ops: [["navigate", %{href: "/home", replace: false, transition: "slide"}]]
+             }
+    end
+
     test "allows full http(s) URLs" do
       assert JS.navigate("https://example.com/home") == %JS{
                ops: [["navigate", %{href: "https://example.com/home", replace: false}]]
@@ -179,6 +185,12 @@ defmodule Phoenix.LiveView.JSTest do
              }
     end
 
+    test "transition" do
+      assert JS.patch("/home", transition: "slide") == %JS{
+               ops: [["patch", %{href: "/home", replace: false, transition: "slide"}]]
+             }
+    end
+
     test "allows full http(s) URLs" do
       assert JS.patch("https://example.com/home") == %JS{
                ops: [["patch", %{href: "https://example.com/home", replace: false}]]
@@ -207,6 +219,30 @@ defmodule Phoenix.LiveView.JSTest do
     end
   end
 
+  describe "pause_upload and resume_upload" do
+    test "with an entry or ref" do
+      entry = %Phoenix.LiveView.UploadEntry{ref: "0"}
+      assert JS.pause_upload(entry) == %JS{ops: [["pause_upload", %{ref: "0"}]]}
+      assert JS.pause_upload("1") == %JS{ops: [["pause_upload", %{ref: "1"}]]}
+      assert JS.resume_upload(entry) == %JS{ops: [["resume_upload", %{ref: "0"}]]}
+      assert JS.resume_upload("1") == %JS{ops: [["resume_upload", %{ref: "1"}]]}
+    end
+
+    test "composability" do
+      js = JS.pause_upload("0") |> JS.resume_upload("1")
+
+      assert js == %JS{
+               ops: [["pause_upload", %{ref: "0"}], ["resume_upload", %{ref: "1"}]]
+             }
+    end
+
+    test "raises with an invalid ref" do
+      assert_raise ArgumentError, ~r/expected an upload entry or its ref/, fn ->
+        JS.pause_upload(:bad)
+      end
+    end
+  end
+
   describe "add_class" do
     test "with defaults" do
       assert JS.add_class("show") == %JS{
@@ -562,6 +598,44 @@ defmodule Phoenix.LiveView.JSTest do
     end
   end
 
+  describe "command" do
+    test "with defaults" do
+      assert JS.command("highlight") == %JS{ops: [["highlight", %{}]]}
+
+      assert JS.command("highlight", to: "#item") == %JS{
+               ops: [["highlight", %{to: "#item"}]]
+             }
+    end
+
+    test "with args" do
+      assert JS.command("highlight", args: %{color: "red"}) == %JS{
+               ops: [["highlight", %{color: "red"}]]
+             }
+
+      assert JS.command(JS.show(), "highlight", to: {:closest, "li"}, args: %{color: "red"}) ==
+               %JS{
+                 ops: [
+                   ["show", %{}],
+                   ["highlight", %{color: "red", to: %{closest: "li"}}]
+                 ]
+               }
+    end
+
+    test "raises with invalid args" do
+      assert_raise ArgumentError, ~r/expected :args to be a map/, fn ->
+        JS.command("highlight", args: [color: "red"])
+      end
+
+      assert_raise ArgumentError, ~r/must not contain a `to` key/, fn ->
+        JS.command("highlight", args: %{to: "#item"})
+      end
+
+      assert_raise ArgumentError, ~r/invalid option for command/, fn ->
+        JS.command("highlight", bad: :opt)
+      end
+    end
+  end
+
   describe "dispatch" do
     test "with defaults" do
       assert JS.dispatch("click", to: "#modal") == %JS{
@@ -907,6 +981,74 @@ defmodule Phoenix.LiveView.JSTest do
     end
   end
 
+  describe "animate" do
+    test "with defaults" do
+      keyframes = [%{opacity: 0}, %{opacity: 1}]
+
+      assert JS.animate(keyframes) == %JS{
+               ops: [["animate", %{keyframes: keyframes, options: %{}}]]
+             }
+
+      assert JS.animate(%{opacity: [0, 1]}, to: "#item") == %JS{
+               ops: [["animate", %{keyframes: %{opacity: [0, 1]}, options: %{}, to: "#item"}]]
+             }
+    end
+
+    test "with options" do
+      assert JS.animate([%{opacity: 0}],
+               duration: 300,
+               easing: "ease-out",
+               delay: 50,
+               iterations: :infinity,
+               direction: "alternate",
+               fill: "forwards",
+               blocking: false
+             ) == %JS{
+               ops: [
+                 [
+                   "animate",
+                   %{
+                     keyframes: [%{opacity: 0}],
+                     options: %{
+                       duration: 300,
+                       easing: "ease-out",
+                       delay: 50,
+                       iterations: "infinity",
+                       direction: "alternate",
+                       fill: "forwards"
+                     },
+                     blocking: false
+                   }
+                 ]
+               ]
+             }
+    end
+
+    test "composability" do
+      js = JS.show(to: "#item") |> JS.animate([%{opacity: 0}, %{opacity: 1}], duration: 100)
+
+      assert js == %JS{
+               ops: [
+                 ["show", %{to: "#item"}],
+                 [
+                   "animate",
+                   %{keyframes: [%{opacity: 0}, %{opacity: 1}], options: %{duration: 100}}
+                 ]
+               ]
+             }
+    end
+
+    test "raises with invalid keyframes or options" do
+      assert_raise ArgumentError, ~r/expected keyframes to be a list of maps or a map/, fn ->
+        JS.animate([:opacity])
+      end
+
+      assert_raise ArgumentError, ~r/invalid option for animate/, fn ->
+        JS.animate([%{opacity: 0}], time: 100)
+      end
+    end
+  end
+
   describe "transition" do
     test "with defaults" do
       assert JS.transition("shake") == %JS{
@@ -1264,6 +1406,138 @@ defmodule Phoenix.LiveView.JSTest do
     end
   end
 
+  describe "show_modal" do
+    test "with defaults" do
+      assert JS.show_modal() == %JS{ops: [["show_modal", %{}]]}
+      assert JS.show_modal(to: "#el") == %JS{ops: [["show_modal", %{to: "#el"}]]}
+    end
+
+    test "composability" do
+      js =
+        JS.push_focus()
+        |> JS.show_modal(to: "#el")
+
+      assert js == %JS{ops: [["push_focus", %{}], ["show_modal", %{to: "#el"}]]}
+    end
+
+    test "raises with unknown options" do
+      assert_raise ArgumentError, ~r/invalid option for show_modal/, fn ->
+        JS.show_modal(bad: :opt)
+      end
+    end
+
+    test "encoding" do
+      assert js_to_string(JS.show_modal()) == ~S<[["show_modal",{}]]>
+    end
+  end
+
+  describe "close_dialog" do
+    test "with defaults" do
+      assert JS.close_dialog() == %JS{ops: [["close_dialog", %{}]]}
+
+      assert JS.close_dialog(to: {:closest, "dialog"}, return_value: "cancel") ==
+               %JS{
+                 ops: [["close_dialog", %{to: %{closest: "dialog"}, return_value: "cancel"}]]
+               }
+    end
+
+    test "composability" do
+      js =
+        JS.push("delete")
+        |> JS.close_dialog(to: "#confirm")
+
+      assert js == %JS{
+               ops: [["push", %{event: "delete"}], ["close_dialog", %{to: "#confirm"}]]
+             }
+    end
+
+    test "raises with unknown options" do
+      assert_raise ArgumentError, ~r/invalid option for close_dialog/, fn ->
+        JS.close_dialog(bad: :opt)
+      end
+    end
+
+    test "encoding" do
+      assert js_to_string(JS.close_dialog(return_value: "ok")) ==
+               ~S<[["close_dialog",{"return_value":"ok"}]]>
+    end
+  end
+
+  describe "show_popover" do
+    test "with defaults" do
+      assert JS.show_popover() == %JS{ops: [["show_popover", %{}]]}
+      assert JS.show_popover(to: "#el") == %JS{ops: [["show_popover", %{to: "#el"}]]}
+    end
+
+    test "composability" do
+      js =
+        JS.push_focus()
+        |> JS.show_popover(to: "#el")
+
+      assert js == %JS{ops: [["push_focus", %{}], ["show_popover", %{to: "#el"}]]}
+    end
+
+    test "raises with unknown options" do
+      assert_raise ArgumentError, ~r/invalid option for show_popover/, fn ->
+        JS.show_popover(bad: :opt)
+      end
+    end
+
+    test "encoding" do
+      assert js_to_string(JS.show_popover()) == ~S<[["show_popover",{}]]>
+    end
+  end
+
+  describe "hide_popover" do
+    test "with defaults" do
+      assert JS.hide_popover() == %JS{ops: [["hide_popover", %{}]]}
+      assert JS.hide_popover(to: "#el") == %JS{ops: [["hide_popover", %{to: "#el"}]]}
+    end
+
+    test "composability" do
+      js =
+        JS.push_focus()
+        |> JS.hide_popover(to: "#el")
+
+      assert js == %JS{ops: [["push_focus", %{}], ["hide_popover", %{to: "#el"}]]}
+    end
+
+    test "raises with unknown options" do
+      assert_raise ArgumentError, ~r/invalid option for hide_popover/, fn ->
+        JS.hide_popover(bad: :opt)
+      end
+    end
+
+    test "encoding" do
+      assert js_to_string(JS.hide_popover()) == ~S<[["hide_popover",{}]]>
+    end
+  end
+
+  describe "toggle_popover" do
+    test "with defaults" do
+      assert JS.toggle_popover() == %JS{ops: [["toggle_popover", %{}]]}
+      assert JS.toggle_popover(to: "#el") == %JS{ops: [["toggle_popover", %{to: "#el"}]]}
+    end
+
+    test "composability" do
+      js =
+        JS.push_focus()
+        |> JS.toggle_popover(to: "#el")
+
+      assert js == %JS{ops: [["push_focus", %{}], ["toggle_popover", %{to: "#el"}]]}
+    end
+
+    test "raises with unknown options" do
+      assert_raise ArgumentError, ~r/invalid option for toggle_popover/, fn ->
+        JS.toggle_popover(bad: :opt)
+      end
+    end
+
+    test "encoding" do
+      assert js_to_string(JS.toggle_popover()) == ~S<[["toggle_popover",{}]]>
+    end
+  end
+
   describe "concat" do
     test "combines multiple JS structs" do
       js1 = JS.push("inc", value: %{one: 1, two: 2})
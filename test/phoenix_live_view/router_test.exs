@@ -41,6 +41,32 @@ defmodule Phoenix.LiveView.RouterTest do
     assert conn.resp_body =~ ~s(session: %{"user_id" => "chris"})
   end
 
+  test "verifies prefetch topics against the session id", %{conn: conn} do
+    conn = get(conn, "/thermo")
+
+    [{id, session_token, static_token} | _] =
+      conn.resp_body |> DOM.parse_document() |> elem(1) |> TreeDOM.find_live_views()
+
+    assert {:ok, %Session{prefetch?: true}} =
+             Session.verify_session(@endpoint, "lv:#{id}:prefetch-1", session_token, static_token)
+
+    assert {:ok, %Session{prefetch?: false}} =
+             Session.verify_session(@endpoint, "lv:#{id}", session_token, static_token)
+
+    assert {:error, :invalid} =
+             Session.verify_session(@endpoint, "lv:#{id}:other", session_token, static_token)
+
+    for suffix <- ["", "0", "01", "-1", "1:other", "abc", "12345678901"] do
+      topic = "lv:#{id}:prefetch-#{suffix}"
+
+      assert {:error, :invalid} =
+               Session.verify_session(@endpoint, topic, session_token, static_token)
+    end
+
+    assert {:error, :invalid} =
+             Session.verify_session(@endpoint, "lv:other:prefetch-1", session_token, static_token)
+  end
+
   test "routing with module container", %{conn: conn} do
     conn = get(conn, "/thermo")
     assert conn.resp_body =~ ~r/<article[^>]*class="thermo"[^>]*>/
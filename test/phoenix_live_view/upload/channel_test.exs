@@ -474,6 +474,33 @@ defmodule Phoenix.LiveView.UploadChannelTest do
         assert_receive {:DOWN, _ref, :process, ^channel_pid, {:shutdown, :closed}}, 1000
       end
 
+      @tag allow: [accept: :any, checksum: true]
+      test "verifies chunk and rolling checksums", %{lv: lv} do
+        avatar = file_input(lv, "form", :avatar, build_entries(1))
+        assert render_upload(avatar, "myfile1.jpeg", 50) =~ "#{@context}:myfile1.jpeg:50%"
+        html = render_upload(avatar, "myfile1.jpeg", 50)
+        assert html =~ "#{@context}:myfile1.jpeg:100%"
+        refute html =~ "entry_error::checksum_mismatch"
+      end
+
+      @tag allow: [accept: :any, checksum: true]
+      test "upload channel exits when a chunk does not match its checksum", %{lv: lv} do
+        avatar = file_input(lv, "form", :avatar, build_entries(1))
+        assert render_upload(avatar, "myfile1.jpeg", 1) =~ "#{@context}:myfile1.jpeg:1%"
+        assert %{"myfile1.jpeg" => channel_pid} = UploadClient.channel_pids(avatar)
+
+        unlink(channel_pid, lv)
+        Process.monitor(channel_pid)
+
+        digest = :crypto.hash(:sha256, "expected")
+
+        assert UploadClient.simulate_attacker_chunk(avatar, "myfile1.jpeg", digest <> "actual") ==
+                 {:error, %{reason: :checksum_mismatch}}
+
+        assert_receive {:DOWN, _ref, :process, ^channel_pid, {:shutdown, :closed}}, 1000
+        assert render(lv) =~ "entry_error::checksum_mismatch"
+      end
+
       @tag allow: [accept: :any, max_file_size: 100, chunk_timeout: 500]
       test "upload channel exits when client does not send chunk after timeout", %{lv: lv} do
         avatar =
@@ -490,6 +517,24 @@ defmodule Phoenix.LiveView.UploadChannelTest do
         assert_receive {:DOWN, _ref, :process, ^channel_pid, {:shutdown, :closed}}, 1000
       end
 
+      @tag allow: [accept: :any, max_file_size: 100]
+      test "upload resumes from the acknowledged offset when its channel is rejoined",
+           %{lv: lv} do
+        avatar =
+          file_input(lv, "form", :avatar, [
+            %{name: "foo.jpeg", content: String.duplicate("0", 100)}
+          ])
+
+        assert render_upload(avatar, "foo.jpeg", 40) =~ "#{@context}:foo.jpeg:40%"
+        assert %{"foo.jpeg" => entry_pid} = UploadClient.channel_pids(avatar)
+
+        assert {:ok, 40} = UploadClient.simulate_rejoin(avatar, "foo.jpeg")
+        assert %{"foo.jpeg" => ^entry_pid} = UploadClient.channel_pids(avatar)
+        assert render(lv) =~ "channel:#{UploadLive.inspect_html_safe(entry_pid)}"
+
+        assert render_upload(avatar, "foo.jpeg", 60) =~ "#{@context}:foo.jpeg:100%"
+      end
+
       @tag allow: [max_entries: 3, accept: :any]
       test "multiple entries under max", %{lv: lv} do
         avatar = file_input(lv, "form", :avatar, build_entries(2))
@@ -154,6 +154,42 @@ defmodule Phoenix.LiveView.UploadConfigTest do
       assert %UploadConfig{max_file_size: 10_000_000} = socket.assigns.uploads.avatar
     end
 
+    test "raises when invalid :chunk_window provided" do
+      assert_raise ArgumentError, ~r/invalid :chunk_window value provided/, fn ->
+        LiveView.allow_upload(build_socket(), :avatar, accept: :any, chunk_window: 0)
+      end
+
+      assert_raise ArgumentError, ~r/invalid :chunk_window value provided/, fn ->
+        LiveView.allow_upload(build_socket(), :avatar, accept: :any, chunk_window: "bad")
+      end
+    end
+
+    test "supports optional :chunk_window" do
+      socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any)
+      assert %UploadConfig{chunk_window: 1} = socket.assigns.uploads.avatar
+
+      socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any, chunk_window: 4)
+      assert %UploadConfig{chunk_window: 4} = socket.assigns.uploads.avatar
+    end
+
+    test "supports optional :client_validation" do
+      socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any)
+      assert %UploadConfig{client_validation?: false} = socket.assigns.uploads.avatar
+
+      socket =
+        LiveView.allow_upload(build_socket(), :avatar, accept: :any, client_validation: true)
+
+      assert %UploadConfig{client_validation?: true} = socket.assigns.uploads.avatar
+    end
+
+    test "supports optional :checksum" do
+      socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any)
+      assert %UploadConfig{checksum?: false} = socket.assigns.uploads.avatar
+
+      socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any, checksum: true)
+      assert %UploadConfig{checksum?: true} = socket.assigns.uploads.avatar
+    end
+
     test "supports :max_entries_mode and defaults to :selected" do
       socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any)
       assert socket.assigns.uploads.avatar.max_entries_mode == :selected
@@ -279,6 +315,59 @@ defmodule Phoenix.LiveView.UploadConfigTest do
     end
   end
 
+  describe "put_overflow_error/2" do
+    test "puts too_many_files until new entries are put" do
+      socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any, max_entries: 2)
+      %{ref: ref} = socket.assigns.uploads.avatar
+
+      socket = LiveView.Upload.put_overflow_error(socket, ref)
+      assert socket.assigns.uploads.avatar.errors == [{ref, :too_many_files}]
+
+      avatar = socket.assigns.uploads.avatar
+      entries = [build_client_entry(:avatar)]
+      {:ok, socket} = LiveView.Upload.put_entries(socket, avatar, entries, nil)
+      assert socket.assigns.uploads.avatar.errors == []
+    end
+  end
+
+  describe "verify_checksum/5" do
+    setup do
+      socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any, checksum: true)
+      %{"ref" => ref} = entry = build_client_entry(:avatar)
+      avatar = socket.assigns.uploads.avatar
+      {:ok, socket} = LiveView.Upload.put_entries(socket, avatar, [entry], nil)
+
+      # stands in for the upload channel, which is cancelled on a failed verification
+      channel =
+        spawn_link(fn ->
+          receive do
+            {:"$gen_call", from, :cancel} -> GenServer.reply(from, :ok)
+          end
+        end)
+
+      avatar = socket.assigns.uploads.avatar
+      {:ok, socket, _entry} = LiveView.Upload.register_entry_upload(socket, avatar, channel, ref)
+
+      %{socket: socket, ref: ref, channel: channel}
+    end
+
+    test "fails a completed entry without a checksum", %{socket: socket, ref: ref} = context do
+      Process.monitor(context.channel)
+      config_ref = socket.assigns.uploads.avatar.ref
+      socket = LiveView.Upload.verify_checksum(socket, config_ref, ref, 100, nil)
+
+      assert socket.assigns.uploads.avatar.errors == [{ref, :checksum_mismatch}]
+      assert_receive {:DOWN, _, :process, _, :normal}
+    end
+
+    test "ignores progress before completion", %{socket: socket, ref: ref} do
+      new_socket =
+        LiveView.Upload.verify_checksum(socket, socket.assigns.uploads.avatar.ref, ref, 50, nil)
+
+      assert new_socket == socket
+    end
+  end
+
   describe "put_entries/2" do
     test "does not overwrite existing refs" do
       socket = LiveView.allow_upload(build_socket(), :avatar, accept: :any, max_entries: 1)
@@ -243,6 +243,22 @@ defmodule Phoenix.LiveViewUnitTest do
       socket = put_in(socket.private.connect_params["_track_static"], client)
       static_changed?(socket)
     end
+
+    test "stale_statics returns the tracked statics that changed" do
+      socket = %{@socket | transport_pid: self()}
+      Process.put(:cache_static_manifest_latest, %{"foo/bar.css" => "foo/bar-123456.css"})
+
+      socket =
+        put_in(socket.private.connect_params["_track_static"], [
+          "//domain.com/foo/bar-123456.css?vsn=d",
+          "//domain.com/baz/bat-654321.js"
+        ])
+
+      assert Phoenix.LiveView.stale_statics(socket) == ["//domain.com/baz/bat-654321.js"]
+
+      Process.put(:cache_static_manifest_latest, nil)
+      assert Phoenix.LiveView.stale_statics(socket) == []
+    end
   end
 
   describe "redirect/2" do